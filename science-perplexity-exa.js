@@ -2,7 +2,9 @@
 // Node.js 20+ compatible
 //
 // VALIDATION FLOW:
-// - TIER 0: Wikipedia "On This Day" (free, fast, name-only for birthdays/deaths)
+// - TIER 0: Wikipedia "On This Day" (Wikimedia feed, free, QID/name + year for birthdays/deaths)
+// - TIER 0.5: Wikidata date statements (free, requires QID: P569/P570, P585, P577, P619, P575)
+//   • match → PASS, same day other year → Year Auto-Correction, other day → REJECT (people only)
 // - TIER 1: Wikipedia Article (free, requires QID, Portal URLs OK, GPT fallback)
 // - TIER 2: Perplexity Validation (main validator, $0.003/event)
 //   • YES → PASS immediately
@@ -12,19 +14,41 @@
 // - TIER 3: Exa Search with include_text (date filter, $0.001/event, 3x retry)
 // - TIER 4: Content Verification (GPT-4o-mini check on top results)
 
+const crypto = require("crypto");
 const fs = require("fs");
+const http = require("http");
 const https = require("https");
 const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
+const { parseArgs } = require("util");
 require("dotenv").config({ path: path.join(__dirname, ".env") });
 
-const PERPLEXITY_API_KEY = process.env.PERPLEXITY_API_KEY;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const EXA_API_KEY = process.env.EXA_API_KEY;
+// Read when a request is made, so the module can be loaded (e.g. by tests) without keys
+const API_KEY_VARS = { perplexity: "PERPLEXITY_API_KEY", openai: "OPENAI_API_KEY", exa: "EXA_API_KEY" };
+
+function apiKey(provider) {
+  return process.env[API_KEY_VARS[provider]];
+}
+
 const DEBUG = !!Number(process.env.DEBUG ?? 0);
 
-if (!PERPLEXITY_API_KEY) { console.error("❌ Missing PERPLEXITY_API_KEY"); process.exit(1); }
-if (!OPENAI_API_KEY) { console.error("❌ Missing OPENAI_API_KEY"); process.exit(1); }
-if (!EXA_API_KEY) { console.error("❌ Missing EXA_API_KEY"); process.exit(1); }
+// HTTP_MODE=live (default) | record (save every response to FIXTURES_DIR) | replay (serve from FIXTURES_DIR, no network)
+const HTTP_MODE = process.env.HTTP_MODE || "live";
+const FIXTURES_DIR = path.resolve(process.env.FIXTURES_DIR || path.join(__dirname, "fixtures"));
+
+// Checked by main() before a run. Replayed fixtures and injected clients need no keys.
+function assertEnvironment() {
+  if (!["live", "record", "replay"].includes(HTTP_MODE)) {
+    throw new Error(`Invalid HTTP_MODE "${HTTP_MODE}" (live, record or replay)`);
+  }
+  for (const name of ["RUN_BUDGET_USD", "EVENT_BUDGET_USD"]) {
+    if (!(envBudget(name) >= 0)) throw new Error(`Invalid ${name} "${process.env[name]}" (expected a USD amount, 0 or more)`);
+  }
+  if (HTTP_MODE === "replay") return;
+  
+  const missing = Object.keys(API_KEY_VARS).filter(p => !apiKey(p) && !PROVIDER_CLIENTS[p]).map(p => API_KEY_VARS[p]);
+  if (missing.length > 0) throw new Error(`Missing ${missing.join(", ")}`);
+}
 
 // ---------- CONFIG ----------
 
@@ -56,38 +80,558 @@ const SCIENCE_CATEGORIES = [
   },
 ];
 
-// ---------- Metrics ----------
-let METRICS = {
-  apiCalls: { perplexity: 0, perplexity_validation: 0, openai: 0, openai_mini: 0, exa_search: 0, exa_contents: 0, wikidata: 0 },
-  costs: { perplexity: 0, openai: 0, exa: 0 },
-  events: { seeded: 0, enriched: 0, validated: 0, dropped: 0, fallback: 0 },
-  dropReasons: {},
-  cacheHits: 0,
+// Everything below can be replaced by a config file (--config FILE, env CONFIG_FILE,
+// or science.config.json next to this script) and per run with --set key=value.
+// Categories replace the defaults as a whole; other sections merge key by key.
+const DEFAULT_CONFIG = {
+  vertical: "science",
+  categories: SCIENCE_CATEGORIES,
+  pipeline: {
+    targetTotal: 7,         // events per date the fallback tops up to
+    fallbackThreshold: 5,   // birthdays/deaths fallback runs below this many events
+    fallbackMax: 5,         // most fallback events per date
+    maxSources: 5,          // sources kept per published event
+    checkSources: true,     // fetch each source before publishing (see Source Hygiene)
+  },
+  models: {
+    perplexity: "sonar",    // seeding, validation and year-correction rewrites
+    polish: "gpt-4o",       // final context
+    check: "gpt-4o-mini",   // YES/NO/UNCLEAR content checks
+    translate: "gpt-4o",    // translated title and context
+  },
+  output: {
+    formats: ["json"],      // any of OUTPUT_FORMATS, one file each per date
+    feedLink: "https://github.com/tschauner/Source-validation",  // RSS channel link
+  },
+  translations: {
+    languages: [],          // any of TRANSLATION_LANGUAGES, added to each published event
+  },
   validation: {
-    tier0_success: 0,
-    tier0_fail: 0,
-    tier1_success: 0,
-    tier1_fail: 0,
-    tier1_date_mismatch: 0,
-    tier1_gpt_fallback: 0,
-    tier2_yes: 0,
-    tier2_no: 0,
-    tier2_unclear: 0,
-    tier2_year_corrected: 0,
-    tier3_success: 0,
-    tier3_fail: 0,
-    tier3_retries: 0,
-    tier4_success: 0,
-    tier4_fail: 0
-  }
+    mode: "first-pass",     // first confirming tier publishes, or "ensemble": every tier votes
+    // ensemble only:
+    prior: 0.5,             // confidence before any signal
+    threshold: 0.8,         // publish at or above this confidence
+    borderline: 0.6,        // [borderline, threshold) is flagged borderline
+    publishBorderline: false,
+    reliability: {          // how often each tier is right when it takes a side
+      "wiki-on-this-day": 0.9,
+      "wikidata-claims": 0.95,
+      "wiki-article": 0.85,
+      "perplexity": 0.8,
+      "exa-include-text": 0.75,
+    },
+  },
+  archive: {
+    enabled: true,          // pair each published source with a web archive snapshot
+    save: true,             // request a snapshot when there is none or the closest is too old
+    maxAgeDays: 365,        // older snapshots are replaced when `save` is on
+  },
 };
 
+const OUTPUT_FORMATS = ["json", "jsonl", "csv", "ics", "md", "rss"];
+const TRANSLATION_LANGUAGES = ["de", "fr", "es", "it", "ja"];
+
+const CONFIG_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    vertical: { type: "string", pattern: "^[a-z0-9][a-z0-9-]*$" },
+    categories: {
+      type: "array",
+      minItems: 1,
+      uniqueBy: "name",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["name", "count", "description"],
+        properties: {
+          name: { type: "string", minLength: 1 },
+          count: { type: "integer", minimum: 1, maximum: 10 },
+          description: { type: "string", minLength: 1 },
+        },
+      },
+    },
+    pipeline: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        targetTotal: { type: "integer", minimum: 1 },
+        fallbackThreshold: { type: "integer", minimum: 0 },
+        fallbackMax: { type: "integer", minimum: 0 },
+        maxSources: { type: "integer", minimum: 1, maximum: 20 },
+        checkSources: { type: "boolean" },
+      },
+    },
+    models: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        perplexity: { type: "string", minLength: 1 },
+        polish: { type: "string", minLength: 1 },
+        check: { type: "string", minLength: 1 },
+        translate: { type: "string", minLength: 1 },
+      },
+    },
+    output: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        formats: { type: "array", minItems: 1, items: { type: "string", enum: OUTPUT_FORMATS } },
+        feedLink: { type: "string", pattern: "^https?://" },
+      },
+    },
+    translations: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        languages: { type: "array", items: { type: "string", enum: TRANSLATION_LANGUAGES } },
+      },
+    },
+    validation: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        mode: { type: "string", enum: ["first-pass", "ensemble"] },
+        prior: { type: "number", minimum: 0.01, maximum: 0.99 },
+        threshold: { type: "number", minimum: 0.01, maximum: 0.99 },
+        borderline: { type: "number", minimum: 0.01, maximum: 0.99 },
+        publishBorderline: { type: "boolean" },
+        reliability: {
+          type: "object",
+          additionalProperties: false,
+          properties: Object.fromEntries(["wiki-on-this-day", "wikidata-claims", "wiki-article", "perplexity", "exa-include-text"]
+            .map(tier => [tier, { type: "number", minimum: 0.5, maximum: 0.99 }])),
+        },
+      },
+    },
+    archive: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        enabled: { type: "boolean" },
+        save: { type: "boolean" },
+        maxAgeDays: { type: "integer", minimum: 1 },
+      },
+    },
+  },
+};
+
+// JSON Schema subset (type, enum, pattern, min/max, required, properties,
+// additionalProperties, items, minItems) plus uniqueBy; returns every problem, not just the first
+function validateSchema(value, schema, at = "config") {
+  const errors = [];
+  const typeOf = v => Array.isArray(v) ? "array" : v === null ? "null" : Number.isInteger(v) ? "integer" : typeof v;
+  const actual = typeOf(value);
+  const types = [].concat(schema.type || []);
+  
+  if (types.length > 0 && !types.includes(actual) && !(types.includes("number") && actual === "integer")) {
+    return [`${at}: expected ${types.join(" or ")}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at}: must be one of ${schema.enum.join(", ")}`];
+  }
+  
+  if (actual === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key}: required`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (schema.properties?.[key]) errors.push(...validateSchema(v, schema.properties[key], `${at}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${at}.${key}: unknown key`);
+    }
+  } else if (actual === "array") {
+    if (value.length < (schema.minItems || 0)) errors.push(`${at}: needs at least ${schema.minItems} item(s)`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+    if (schema.uniqueBy) {
+      const seen = value.map(item => String(item?.[schema.uniqueBy]).toLowerCase());
+      const dupes = uniq(seen.filter((k, i) => seen.indexOf(k) !== i));
+      if (dupes.length > 0) errors.push(`${at}: duplicate ${schema.uniqueBy} ${dupes.join(", ")}`);
+    }
+  } else if (actual === "string") {
+    if (value.length < (schema.minLength || 0)) errors.push(schema.minLength === 1 ? `${at}: must not be empty` : `${at}: shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: must match ${schema.pattern}`);
+  } else if (actual === "integer" || actual === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+  
+  return errors;
+}
+
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  if (!/\.ya?ml$/i.test(file)) return JSON.parse(text);
+  
+  let yaml;
+  try {
+    yaml = require("yaml");
+  } catch {
+    throw new Error(`${file}: YAML configs need the "yaml" package (npm install yaml), or use JSON`);
+  }
+  return yaml.parse(text);
+}
+
+// "pipeline.maxSources=3", "categories.Prizes & Standards.count=2", "models.polish=gpt-4o-mini"
+function applyConfigOverride(config, assignment) {
+  const eq = assignment.indexOf("=");
+  if (eq <= 0) throw new Error(`Invalid --set "${assignment}" (expected key.path=value)`);
+  
+  const keys = assignment.slice(0, eq).trim().split(".");
+  const raw = assignment.slice(eq + 1).trim();
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch {
+    value = raw;
+  }
+  
+  let target = config;
+  for (let i = 0; i < keys.length; i++) {
+    let key = keys[i];
+    // Array items by index or, for categories, by name
+    if (Array.isArray(target) && !/^\d+$/.test(key)) {
+      const index = target.findIndex(item => String(item?.name).toLowerCase() === key.toLowerCase());
+      if (index === -1) throw new Error(`--set ${assignment}: no item named "${key}"`);
+      key = index;
+    }
+    if (i === keys.length - 1) {
+      target[key] = value;
+    } else {
+      if (target[key] === undefined) target[key] = {};
+      if (typeof target[key] !== "object" || target[key] === null) throw new Error(`--set ${assignment}: "${keys[i]}" is not an object`);
+      target = target[key];
+    }
+  }
+}
+
+function defaultConfigFile() {
+  if (process.env.CONFIG_FILE) return process.env.CONFIG_FILE;
+  const file = path.join(__dirname, "science.config.json");
+  return fs.existsSync(file) ? file : null;
+}
+
+function loadConfig(file = defaultConfigFile(), overrides = []) {
+  const config = structuredClone(DEFAULT_CONFIG);
+  
+  if (file) {
+    let loaded;
+    try {
+      loaded = readConfigFile(file);
+    } catch (err) {
+      throw new Error(`Cannot read config ${file}: ${err.message}`);
+    }
+    if (!loaded || typeof loaded !== "object" || Array.isArray(loaded)) {
+      throw new Error(`Config ${file} must contain an object`);
+    }
+    for (const [key, value] of Object.entries(loaded)) {
+      const isSection = DEFAULT_CONFIG[key] && typeof DEFAULT_CONFIG[key] === "object" && !Array.isArray(DEFAULT_CONFIG[key]);
+      config[key] = isSection && value && typeof value === "object" && !Array.isArray(value) ? { ...config[key], ...value } : value;
+    }
+  }
+  
+  for (const assignment of overrides) applyConfigOverride(config, assignment);
+  
+  const errors = validateSchema(config, CONFIG_SCHEMA);
+  if (config.validation?.borderline > config.validation?.threshold) {
+    errors.push("config.validation.borderline: must be <= threshold");
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid config${file ? ` (${file})` : ""}:\n  - ${errors.join("\n  - ")}`);
+  }
+  
+  return config;
+}
+
+// Active configuration; main() swaps in the loaded one before any date runs
+const CONFIG = structuredClone(DEFAULT_CONFIG);
+
+function applyConfig(config) {
+  for (const key of Object.keys(CONFIG)) delete CONFIG[key];
+  Object.assign(CONFIG, config);
+}
+
+// ---------- Metrics ----------
+function createMetrics() {
+  return {
+    apiCalls: { perplexity: 0, perplexity_validation: 0, openai: 0, openai_mini: 0, exa_search: 0, exa_contents: 0, wikidata: 0, wikimedia: 0, web: 0, archive: 0 },
+    costs: { perplexity: 0, openai: 0, exa: 0 },
+    events: { seeded: 0, enriched: 0, validated: 0, dropped: 0, fallback: 0 },
+    dropReasons: {},
+    cacheHits: {},
+    budget: { exhausted: 0, polish_skipped: 0, translate_skipped: 0, tier3_skipped: 0, categories_skipped: 0 },
+    dedup: { merged: 0, published: 0, reasons: {} },
+    translations: { translated: 0, retried: 0, failed: 0 },
+    extraction: { repaired: 0, dropped: 0, truncated: 0 },
+    ensemble: { confident: 0, borderline: 0, rejected: 0 },
+    pool: { added: 0, drawn: 0 },
+    review: { queued: 0, approved: 0, rejected: 0 },
+    evidence: { supported: 0, partial: 0, uncached: 0, none: 0 },
+    archive: { found: 0, saved: 0, missing: 0, fallback: 0 },
+    sources: { checked: 0, canonicalized: 0, redirected: 0, dead: 0, soft404: 0, blocked: 0, unreachable: 0, duplicates: 0 },
+    validation: {
+      tier0_success: 0,
+      tier0_fail: 0,
+      tier1_success: 0,
+      tier1_fail: 0,
+      tier1_date_mismatch: 0,
+      tier1_gpt_fallback: 0,
+      tier2_yes: 0,
+      tier2_no: 0,
+      tier2_unclear: 0,
+      tier2_malformed: 0,
+      tier2_year_corrected: 0,
+      tier3_success: 0,
+      tier3_fail: 0,
+      tier3_retries: 0,
+      tier4_success: 0,
+      tier4_fail: 0,
+      wikidata_success: 0,
+      wikidata_conflict: 0,
+      wikidata_year_corrected: 0,
+      wikidata_no_claims: 0
+    }
+  };
+}
+
+const METRICS = createMetrics();
+
+// Reset counters in place so exported references stay valid between dates
+function resetMetrics() {
+  const fresh = createMetrics();
+  for (const key of Object.keys(METRICS)) delete METRICS[key];
+  Object.assign(METRICS, fresh);
+}
+
 // ---------- Global Cache ----------
-const CONTENTS_CACHE = new Map();
-const WIKI_ON_THIS_DAY_CACHE = new Map();
-const EXA_SEARCH_CACHE = new Map();
-const PERPLEXITY_VALIDATION_CACHE = new Map();
-const WIKIDATA_CACHE = new Map();
+// Persistent provider caches. CACHE_BACKEND=file (default) | sqlite | memory,
+// stored under CACHE_DIR. Entries expire after their cache's TTL; the oldest
+// writes are evicted once maxEntries is exceeded. Record/replay runs default to
+// the memory backend so a warm cache cannot change which requests are made.
+const CACHE_BACKEND = process.env.CACHE_BACKEND || (HTTP_MODE === "live" ? "file" : "memory");
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, ".cache");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CACHE_CONFIG = {
+  contents: { ttl: 30 * DAY_MS, maxEntries: 1000 },
+  wiki_on_this_day: { ttl: 7 * DAY_MS, maxEntries: 400 },
+  exa_search: { ttl: 14 * DAY_MS, maxEntries: 5000 },
+  perplexity_validation: { ttl: 30 * DAY_MS, maxEntries: 5000 },
+  wikidata: { ttl: 90 * DAY_MS, maxEntries: 10000 },
+  url_health: { ttl: 7 * DAY_MS, maxEntries: 5000 },
+  archive: { ttl: 30 * DAY_MS, maxEntries: 10000 },
+};
+
+function createMemoryBackend() {
+  return {
+    load() { return []; },
+    persist() {},
+  };
+}
+
+function createFileBackend(dir) {
+  const fileFor = name => path.join(dir, `${name}.json`);
+  
+  return {
+    load(name) {
+      const file = fileFor(name);
+      if (!fs.existsSync(file)) return [];
+      try {
+        const entries = JSON.parse(fs.readFileSync(file, "utf8"));
+        return Array.isArray(entries) ? entries : [];
+      } catch (err) {
+        log.warn(`⚠️ Ignoring unreadable cache file ${file}: ${err.message}`);
+        return [];
+      }
+    },
+    persist(name, records) {
+      fs.mkdirSync(dir, { recursive: true });
+      const entries = [...records].map(([key, r]) => ({ key, ...r }));
+      const tmp = `${fileFor(name)}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(entries));
+      fs.renameSync(tmp, fileFor(name));
+    },
+  };
+}
+
+// Uses the built-in node:sqlite module (Node 22.5+), no extra dependency
+function createSqliteBackend(dir) {
+  let db = null;
+  
+  function open() {
+    if (db) return db;
+    let sqlite;
+    try { sqlite = require("node:sqlite"); }
+    catch { throw new Error(`CACHE_BACKEND=sqlite requires Node 22.5+ (running ${process.version})`); }
+    
+    fs.mkdirSync(dir, { recursive: true });
+    db = new sqlite.DatabaseSync(path.join(dir, "cache.sqlite"));
+    db.exec(`CREATE TABLE IF NOT EXISTS entries (
+      cache TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL,
+      created INTEGER NOT NULL, expires INTEGER,
+      PRIMARY KEY (cache, key))`);
+    return db;
+  }
+  
+  return {
+    load(name) {
+      return open().prepare("SELECT key, value, created, expires FROM entries WHERE cache = ? ORDER BY created")
+        .all(name)
+        .map(row => ({ key: row.key, value: JSON.parse(row.value), created: row.created, expires: row.expires }));
+    },
+    persist(name, records, changes) {
+      const conn = open();
+      const upsert = conn.prepare("INSERT OR REPLACE INTO entries (cache, key, value, created, expires) VALUES (?, ?, ?, ?, ?)");
+      const remove = conn.prepare("DELETE FROM entries WHERE cache = ? AND key = ?");
+      
+      conn.exec("BEGIN");
+      try {
+        for (const key of changes.deleted) remove.run(name, key);
+        for (const key of changes.updated) {
+          const r = records.get(key);
+          if (r) upsert.run(name, key, JSON.stringify(r.value), r.created, r.expires);
+        }
+        conn.exec("COMMIT");
+      } catch (err) {
+        conn.exec("ROLLBACK");
+        throw err;
+      }
+    },
+  };
+}
+
+function createCacheBackend(kind, dir) {
+  if (kind === "memory") return createMemoryBackend();
+  if (kind === "file") return createFileBackend(dir);
+  if (kind === "sqlite") return createSqliteBackend(dir);
+  throw new Error(`Unknown CACHE_BACKEND "${kind}" (expected file, sqlite or memory)`);
+}
+
+const CACHE_STORE = createCacheBackend(CACHE_BACKEND, CACHE_DIR);
+
+// Editorial state is not a provider cache: it records decisions that must outlive
+// every run, so it never expires, is never evicted and stays on disk in record/replay
+// runs. STATE_BACKEND=file (default) | sqlite | memory, stored under STATE_DIR.
+const STATE_BACKEND = process.env.STATE_BACKEND || "file";
+const STATE_DIR = process.env.STATE_DIR || path.join(__dirname, ".state");
+const STATE_STORE = createCacheBackend(STATE_BACKEND, STATE_DIR);
+
+// Map-like cache (has/get/set/delete) with lazy loading from the backend.
+// Every fresh get() counts as a hit for this cache in METRICS.cacheHits; use
+// peek() for internal reads that do not save a provider call.
+function createCache(name, { ttl = null, maxEntries = Infinity, store = CACHE_STORE } = {}) {
+  let records = null;
+  const changes = { updated: new Set(), deleted: new Set() };
+  
+  function load() {
+    if (records) return records;
+    records = new Map();
+    for (const e of store.load(name)) {
+      records.set(e.key, { value: e.value, created: e.created, expires: e.expires ?? null });
+    }
+    return records;
+  }
+  
+  function isFresh(r) {
+    return r.expires === null || r.expires > Date.now();
+  }
+  
+  function remove(key) {
+    if (!load().delete(key)) return false;
+    changes.updated.delete(key);
+    changes.deleted.add(key);
+    return true;
+  }
+  
+  return {
+    name,
+    has(key) {
+      const r = load().get(key);
+      return !!r && isFresh(r);
+    },
+    get(key) {
+      const value = this.peek(key);
+      if (value !== undefined) METRICS.cacheHits[name] = (METRICS.cacheHits[name] || 0) + 1;
+      return value;
+    },
+    peek(key) {
+      const r = load().get(key);
+      return r && isFresh(r) ? r.value : undefined;
+    },
+    set(key, value) {
+      const now = Date.now();
+      load().delete(key);
+      records.set(key, { value, created: now, expires: ttl ? now + ttl : null });
+      changes.deleted.delete(key);
+      changes.updated.add(key);
+      
+      // Evict oldest writes first (Map keeps insertion order)
+      while (records.size > maxEntries) remove(records.keys().next().value);
+      return this;
+    },
+    delete(key) {
+      return remove(key);
+    },
+    get size() {
+      return load().size;
+    },
+    entries() {
+      return [...load()].map(([key, r]) => ({
+        key,
+        created: r.created,
+        expires: r.expires,
+        expired: !isFresh(r),
+        bytes: Buffer.byteLength(JSON.stringify(r.value) || ""),
+      }));
+    },
+    prune() {
+      let removed = 0;
+      for (const [key, r] of [...load()]) {
+        if (!isFresh(r) && remove(key)) removed++;
+      }
+      return removed;
+    },
+    invalidate(prefix) {
+      let removed = 0;
+      for (const key of [...load().keys()]) {
+        if (key.startsWith(prefix) && remove(key)) removed++;
+      }
+      return removed;
+    },
+    flush() {
+      if (!records || (changes.updated.size === 0 && changes.deleted.size === 0)) return;
+      store.persist(name, records, changes);
+      changes.updated.clear();
+      changes.deleted.clear();
+    },
+  };
+}
+
+const CONTENTS_CACHE = createCache("contents", CACHE_CONFIG.contents);
+const WIKI_ON_THIS_DAY_CACHE = createCache("wiki_on_this_day", CACHE_CONFIG.wiki_on_this_day);
+const EXA_SEARCH_CACHE = createCache("exa_search", CACHE_CONFIG.exa_search);
+const PERPLEXITY_VALIDATION_CACHE = createCache("perplexity_validation", CACHE_CONFIG.perplexity_validation);
+const WIKIDATA_CACHE = createCache("wikidata", CACHE_CONFIG.wikidata);
+const URL_HEALTH_CACHE = createCache("url_health", CACHE_CONFIG.url_health);
+const ARCHIVE_CACHE = createCache("archive", CACHE_CONFIG.archive);
+
+const CACHES = [CONTENTS_CACHE, WIKI_ON_THIS_DAY_CACHE, EXA_SEARCH_CACHE, PERPLEXITY_VALIDATION_CACHE, WIKIDATA_CACHE, URL_HEALTH_CACHE, ARCHIVE_CACHE];
+
+// Rejected and borderline events per MM-DD with the editor's decisions (see queueForReview)
+const REVIEW_QUEUE = createCache("review", { store: STATE_STORE });
+// Events validated onto another day, waiting for that day's run, next year's included (see poolCandidate)
+const CANDIDATE_POOL = createCache("candidates", { store: STATE_STORE });
+// Events published per MM-DD, so later runs merge into them instead of repeating them
+const PUBLISHED_LEDGER = createCache("published", { store: STATE_STORE });
+
+const EDITORIAL_STATE = [REVIEW_QUEUE, CANDIDATE_POOL, PUBLISHED_LEDGER];
+
+function flushCaches() {
+  for (const cache of [...CACHES, ...EDITORIAL_STATE]) {
+    try { cache.flush(); }
+    catch (err) { log.error(`⚠️ Could not persist ${cache.name} cache: ${err.message}`); }
+  }
+}
 
 // ---------- Helpers ----------
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
@@ -161,42 +705,179 @@ function getMultilingualDateStrings(monthName, day) {
   return uniq(dateStrings);
 }
 
-// Parse date from Perplexity's ACTUAL_DATE field
+// ---------- Historical Dates ----------
+// A date is { year, month, day, calendar, era }. Years are historical: 44 BC is -44
+// and there is no year 0 (the convention of Wikidata and the Wikimedia feed).
+// `marked` is set when the source states the calendar; only such dates are dual-dated.
+const MONTH_NAMES = ["January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December"];
+
+// Old Style dates are still quoted for countries that switched late (Russia 1918, Greece 1923)
+const DUAL_DATING_UNTIL = 1923;
+
+function isBeforeGregorianReform(year, month, day) {
+  return year < 1582 || (year === 1582 && (month < 10 || (month === 10 && day < 15)));
+}
+
+function toJulianDayNumber({ year, month, day, calendar }) {
+  const a = Math.floor((14 - month) / 12);
+  const y = (year < 0 ? year + 1 : year) + 4800 - a;
+  const m = month + 12 * a - 3;
+  const jdn = day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4);
+  return calendar === "julian" ? jdn - 32083 : jdn - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+}
+
+function fromJulianDayNumber(jdn, calendar) {
+  let b = 0, c = jdn + 32082;
+  if (calendar !== "julian") {
+    const a = jdn + 32044;
+    b = Math.floor((4 * a + 3) / 146097);
+    c = a - Math.floor(146097 * b / 4);
+  }
+  const d = Math.floor((4 * c + 3) / 1461);
+  const e = c - Math.floor(1461 * d / 4);
+  const m = Math.floor((5 * e + 2) / 153);
+  const year = 100 * b + d - 4800 + Math.floor(m / 10);
+  return {
+    year: year <= 0 ? year - 1 : year,
+    month: m + 3 - 12 * Math.floor(m / 10),
+    day: e - Math.floor((153 * m + 2) / 5) + 1,
+  };
+}
+
+// Without an explicit calendar, dates before 15 October 1582 are Julian (as Wikipedia quotes them)
+function makeDate({ year, month, day, calendar, marked }) {
+  year = parseInt(year);
+  month = parseInt(month);
+  day = parseInt(day);
+  if (!Number.isFinite(year) || year === 0 || !(month >= 1 && month <= 12) || !(day >= 1 && day <= 31)) return null;
+  
+  calendar = calendar === "julian" || calendar === "gregorian"
+    ? calendar
+    : isBeforeGregorianReform(year, month, day) ? "julian" : "gregorian";
+  
+  // Round-trip rejects impossible days such as February 30
+  const check = fromJulianDayNumber(toJulianDayNumber({ year, month, day, calendar }), calendar);
+  if (check.month !== month || check.day !== day) return null;
+  
+  return { year, month, day, calendar, era: year < 0 ? "BCE" : "CE", ...(marked && { marked: true }) };
+}
+
+function convertCalendar(date, calendar) {
+  if (date.calendar === calendar) return date;
+  return makeDate({ ...fromJulianDayNumber(toJulianDayNumber(date), calendar), calendar, marked: date.marked });
+}
+
+// The date as stated plus, for a marked calendar while dual dating was in use, its
+// other-calendar equivalent. An unmarked date is taken as given.
+function dateForms(date) {
+  if (!date) return [];
+  if (!date.marked || date.year >= DUAL_DATING_UNTIL) return [date];
+  const other = convertCalendar(date, date.calendar === "julian" ? "gregorian" : "julian");
+  return other.month === date.month && other.day === date.day ? [date] : [date, other];
+}
+
+// Returns the form of `date` that falls on the target month/day, or null
+function matchTargetDay(date, monthNum, day) {
+  return dateForms(date).find(f => f.month === monthNum && f.day === parseInt(day)) || null;
+}
+
+function formatYear(year) {
+  return year < 0 ? `${-year} BC` : String(year);
+}
+
+// "-0044-03-15" for 44 BC
+function formatIsoDate(date) {
+  return `${date.year < 0 ? "-" : ""}${String(Math.abs(date.year)).padStart(4, "0")}-${String(date.month).padStart(2, "0")}-${String(date.day).padStart(2, "0")}`;
+}
+
+function parseIsoDate(str, calendar) {
+  const match = String(str || "").match(/^(-?)(\d{1,4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  return makeDate({ year: parseInt(match[2]) * (match[1] ? -1 : 1), month: match[3], day: match[4], calendar });
+}
+
+function assumedCalendar(date) {
+  return isBeforeGregorianReform(date.year, date.month, date.day) ? "julian" : "gregorian";
+}
+
+// Only marks the calendar when it is not the one a reader would assume for that date
+function describeDate(date) {
+  const text = `${MONTH_NAMES[date.month - 1]} ${date.day}, ${formatYear(date.year)}`;
+  if (date.calendar === assumedCalendar(date)) return text;
+  return `${text} (${date.calendar === "julian" ? "O.S." : "N.S."})`;
+}
+
+// An event's calendar counts as marked once it is dual-dated or when it is not the
+// assumed one (a seed's `calendar: "julian"` after 1582)
+function eventDate(event) {
+  const date = parseIsoDate(event.date, event.calendar);
+  if (!date || !(event.dualDate || date.calendar !== assumedCalendar(date))) return date;
+  return { ...date, marked: true };
+}
+
+// The date as the source stated it: an event already moved onto the other form of a
+// dual date (a pooled candidate) keeps its original in dualDate
+function statedDate(event) {
+  const original = event.dualDate && parseIsoDate(event.dualDate.date, event.dualDate.calendar);
+  return original ? { ...original, marked: true } : eventDate(event);
+}
+
+function claimedDate(event, monthName, day) {
+  const date = eventDate(event);
+  return date ? describeDate(date) : `${monthName} ${parseInt(day)}, ${formatYear(event.year)}`;
+}
+
+// Years the event can be listed under: both sides of a dual date
+function eventYears(event) {
+  const years = dateForms(eventDate(event)).map(f => f.year);
+  if (event.dualDate) years.push(parseIsoDate(event.dualDate.date, event.dualDate.calendar)?.year);
+  const claimed = parseInt(event.year);
+  return uniq([claimed, ...years].filter(Number.isFinite));
+}
+
+// Moves the event onto the form of its date that falls on the target day
+function applyEventDate(event, stated, form) {
+  event.date = formatIsoDate(form);
+  event.year = form.year;
+  event.calendar = form.calendar;
+  if (form !== stated) event.dualDate = { date: formatIsoDate(stated), calendar: stated.calendar };
+  else delete event.dualDate;
+}
+
+const ERA_PATTERN = "(?:\\s*(BCE|BC|B\\.C\\.(?:E\\.)?|CE|AD|A\\.D\\.)(?![A-Za-z]))?";
+// "(O.S.)" marks the date before it; "[O.S. 25 October]" gives the other calendar's date instead
+const CALENDAR_MARKER = /^\s*[\[(]?\s*(O\.\s?S\.?|Old Style|Julian|N\.\s?S\.?|New Style|Gregorian)(\s*:?\s*\d)?/i;
+
+// Parse date from Perplexity's ACTUAL_DATE field: "March 15, 44 BC", "25 December 1642 (O.S.)", "1879-03-14"
 function parsePerplexityDate(dateStr) {
   if (!dateStr) return null;
   
   const patterns = [
-    /(\w+)\s+(\d{1,2}),?\s+(\d{4})/i,
-    /(\d{1,2})\s+(\w+),?\s+(\d{4})/i,
-    /(\d{4})-(\d{2})-(\d{2})/,
+    { regex: new RegExp(`([A-Za-z]+)\\s+(\\d{1,2}),?\\s+(\\d{1,4})\\b${ERA_PATTERN}`, "i"), month: 1, day: 2, year: 3, era: 4 },
+    { regex: new RegExp(`(\\d{1,2})\\s+([A-Za-z]+),?\\s+(\\d{1,4})\\b${ERA_PATTERN}`, "i"), month: 2, day: 1, year: 3, era: 4 },
+    { regex: /(?<![\w-])(-?\d{1,4})-(\d{2})-(\d{2})(?!\d)/, month: 2, day: 3, year: 1 },
   ];
   
-  for (const pattern of patterns) {
-    const match = dateStr.match(pattern);
-    if (match) {
-      let month, day, year;
-      
-      if (pattern.source.includes('\\w+')) {
-        if (match[1].match(/^\w+$/)) {
-          month = match[1];
-          day = parseInt(match[2]);
-          year = parseInt(match[3]);
-        } else {
-          day = parseInt(match[1]);
-          month = match[2];
-          year = parseInt(match[3]);
-        }
-      } else {
-        year = parseInt(match[1]);
-        const monthNum = parseInt(match[2]);
-        day = parseInt(match[3]);
-        const months = ["January", "February", "March", "April", "May", "June",
-          "July", "August", "September", "October", "November", "December"];
-        month = months[monthNum - 1];
-      }
-      
-      return { month, day, year, monthNum: getMonthNumber(month) };
+  for (const { regex, ...groups } of patterns) {
+    const match = dateStr.match(regex);
+    if (!match) continue;
+    
+    const monthNum = /^\d+$/.test(match[groups.month]) ? parseInt(match[groups.month]) : getMonthNumber(match[groups.month]);
+    if (!monthNum) continue;
+    
+    let year = parseInt(match[groups.year]);
+    if (groups.era && /^B/i.test(match[groups.era] || "")) year = -year;
+    
+    const marker = dateStr.slice(match.index + match[0].length).match(CALENDAR_MARKER);
+    let calendar;
+    if (marker) {
+      const julian = /^(O|Old|Julian)/i.test(marker[1]) !== Boolean(marker[2]);
+      calendar = julian ? "julian" : "gregorian";
     }
+    
+    const date = makeDate({ year, month: monthNum, day: match[groups.day], calendar, marked: Boolean(marker) });
+    if (date) return date;
   }
   
   return null;
@@ -211,175 +892,648 @@ function getMonthNumber(monthName) {
   return months[monthName.toLowerCase()] || 0;
 }
 
-const UGC_BLOCK = [
-  "youtube.com", "youtu.be", "dailymotion.com", "vimeo.com",
-  "tiktok.com", "facebook.com", "instagram.com", "x.com", "twitter.com",
-  "reddit.com", "medium.com"
-];
+// ---------- Domain Trust Registry ----------
+// One entry per domain; subdomains inherit it (en.wikipedia.org → wikipedia.org), lookalikes
+// such as nature.com.evil.net do not. trust: 0 = blocked, TRUST.listed … TRUST.high = usable.
+// region "eu" counts as a European source; historical marks history/anniversary references;
+// hint entries only score domain quality and are not allowed as sources.
+const TRUST = { blocked: 0, listed: 0.5, historical: 0.75, high: 1 };
 
-const ALLOWED_DOMAINS = [
-  "bbc.com", "bbc.co.uk", "reuters.com", "apnews.com", "theguardian.com",
-  "cnn.com", "nytimes.com", "telegraph.co.uk", "independent.co.uk",
-  "nature.com", "science.org", "sciencemag.org", "cell.com", "thelancet.com",
-  "scientificamerican.com", "newscientist.com", "sciencedaily.com",
-  "pnas.org", "journals.aps.org", "iopscience.iop.org",
-  "nasa.gov", "esa.int", "spacex.com", "space.com", "planetary.org",
-  "mit.edu", "stanford.edu", "harvard.edu", "ox.ac.uk", "cam.ac.uk",
-  "nobelprize.org", "royalsociety.org", "aaas.org",
-  "nih.gov", "cdc.gov", "who.int", "mayoclinic.org", "bmj.com",
-  "ieee.org", "acm.org", "sciencedirect.com", "springer.com",
-  "jstor.org", "archive.org", "loc.gov", "biodiversitylibrary.org",
-  "historyofinformation.com", "todayinsci.com", "onthisday.com",
-  "si.edu", "nhm.ac.uk", "amnh.org", "exploratorium.edu",
-  "wikipedia.org", "en.wikipedia.org", "britannica.com",
-  "smithsonianmag.com", "nationalgeographic.com"
-];
+const DOMAIN_REGISTRY = {
+  // User-generated content: never a source, excluded from Exa searches
+  "youtube.com": { trust: TRUST.blocked, region: "intl", type: "ugc" },
+  "youtu.be": { trust: TRUST.blocked, region: "intl", type: "ugc" },
+  "dailymotion.com": { trust: TRUST.blocked, region: "intl", type: "ugc" },
+  "vimeo.com": { trust: TRUST.blocked, region: "intl", type: "ugc" },
+  "tiktok.com": { trust: TRUST.blocked, region: "intl", type: "ugc" },
+  "facebook.com": { trust: TRUST.blocked, region: "intl", type: "ugc" },
+  "instagram.com": { trust: TRUST.blocked, region: "intl", type: "ugc" },
+  "x.com": { trust: TRUST.blocked, region: "intl", type: "ugc" },
+  "twitter.com": { trust: TRUST.blocked, region: "intl", type: "ugc" },
+  "reddit.com": { trust: TRUST.blocked, region: "intl", type: "ugc" },
+  "medium.com": { trust: TRUST.blocked, region: "intl", type: "ugc" },
+  
+  // Journals and publishers
+  "nature.com": { trust: TRUST.high, region: "eu", type: "journal" },
+  "science.org": { trust: TRUST.high, region: "us", type: "journal" },
+  "sciencemag.org": { trust: TRUST.listed, region: "us", type: "journal" },
+  "cell.com": { trust: TRUST.high, region: "us", type: "journal" },
+  "thelancet.com": { trust: TRUST.high, region: "intl", type: "journal" },
+  "pnas.org": { trust: TRUST.listed, region: "us", type: "journal" },
+  "journals.aps.org": { trust: TRUST.listed, region: "us", type: "journal" },
+  "iopscience.iop.org": { trust: TRUST.listed, region: "intl", type: "journal" },
+  "bmj.com": { trust: TRUST.listed, region: "intl", type: "journal" },
+  "sciencedirect.com": { trust: TRUST.listed, region: "intl", type: "journal" },
+  "springer.com": { trust: TRUST.listed, region: "intl", type: "journal" },
+  "ieee.org": { trust: TRUST.listed, region: "us", type: "journal" },
+  "acm.org": { trust: TRUST.listed, region: "us", type: "journal" },
+  
+  // Agencies, institutions and societies
+  "nasa.gov": { trust: TRUST.high, region: "us", type: "agency" },
+  "esa.int": { trust: TRUST.high, region: "eu", type: "agency" },
+  "nih.gov": { trust: TRUST.high, region: "us", type: "agency" },
+  "cdc.gov": { trust: TRUST.high, region: "us", type: "agency" },
+  "who.int": { trust: TRUST.high, region: "intl", type: "agency" },
+  "loc.gov": { trust: TRUST.high, region: "us", type: "agency", historical: true },
+  "spacex.com": { trust: TRUST.listed, region: "us", type: "agency" },
+  "planetary.org": { trust: TRUST.listed, region: "us", type: "agency" },
+  "nobelprize.org": { trust: TRUST.listed, region: "intl", type: "agency" },
+  "royalsociety.org": { trust: TRUST.listed, region: "eu", type: "agency" },
+  "aaas.org": { trust: TRUST.listed, region: "us", type: "agency" },
+  "mayoclinic.org": { trust: TRUST.listed, region: "us", type: "agency" },
+  "mit.edu": { trust: TRUST.listed, region: "us", type: "agency" },
+  "stanford.edu": { trust: TRUST.listed, region: "us", type: "agency" },
+  "harvard.edu": { trust: TRUST.listed, region: "us", type: "agency" },
+  "ox.ac.uk": { trust: TRUST.listed, region: "eu", type: "agency" },
+  "cam.ac.uk": { trust: TRUST.listed, region: "eu", type: "agency" },
+  "si.edu": { trust: TRUST.listed, region: "us", type: "agency" },
+  "nhm.ac.uk": { trust: TRUST.listed, region: "intl", type: "agency" },
+  "amnh.org": { trust: TRUST.listed, region: "us", type: "agency" },
+  "exploratorium.edu": { trust: TRUST.listed, region: "us", type: "agency" },
+  
+  // News and magazines
+  "bbc.com": { trust: TRUST.high, region: "intl", type: "news" },
+  "bbc.co.uk": { trust: TRUST.high, region: "eu", type: "news" },
+  "reuters.com": { trust: TRUST.high, region: "intl", type: "news" },
+  "apnews.com": { trust: TRUST.high, region: "us", type: "news" },
+  "theguardian.com": { trust: TRUST.high, region: "eu", type: "news" },
+  "nytimes.com": { trust: TRUST.high, region: "us", type: "news" },
+  "cnn.com": { trust: TRUST.listed, region: "us", type: "news" },
+  "telegraph.co.uk": { trust: TRUST.listed, region: "eu", type: "news" },
+  "independent.co.uk": { trust: TRUST.listed, region: "eu", type: "news" },
+  "scientificamerican.com": { trust: TRUST.listed, region: "us", type: "news" },
+  "newscientist.com": { trust: TRUST.listed, region: "intl", type: "news" },
+  "sciencedaily.com": { trust: TRUST.listed, region: "us", type: "news" },
+  "space.com": { trust: TRUST.listed, region: "us", type: "news" },
+  "smithsonianmag.com": { trust: TRUST.listed, region: "us", type: "news" },
+  "nationalgeographic.com": { trust: TRUST.listed, region: "us", type: "news" },
+  
+  // Encyclopedias, archives and anniversary references
+  "wikipedia.org": { trust: TRUST.high, region: "intl", type: "encyclopedia" },
+  "britannica.com": { trust: TRUST.high, region: "intl", type: "encyclopedia", historical: true },
+  "jstor.org": { trust: TRUST.high, region: "us", type: "encyclopedia", historical: true },
+  "archive.org": { trust: TRUST.high, region: "us", type: "encyclopedia", historical: true },
+  "biodiversitylibrary.org": { trust: TRUST.listed, region: "intl", type: "encyclopedia" },
+  "todayinsci.com": { trust: TRUST.high, region: "us", type: "encyclopedia", historical: true },
+  "onthisday.com": { trust: TRUST.high, region: "intl", type: "encyclopedia", historical: true },
+  "historyofinformation.com": { trust: TRUST.historical, region: "us", type: "encyclopedia", historical: true },
+  
+  // Scoring hints only: raise domain quality, but never accepted as a source
+  "history.com": { trust: TRUST.historical, region: "us", type: "encyclopedia", historical: true, hint: true },
+  "historytoday.com": { trust: TRUST.historical, region: "intl", type: "news", historical: true, hint: true },
+};
 
-const EU_DOMAINS = ["bbc.co.uk", "nature.com", "telegraph.co.uk", "theguardian.com", 
-  "independent.co.uk", "esa.int", "ox.ac.uk", "cam.ac.uk", "royalsociety.org"];
+// host === domain or a subdomain of it; never a substring match
+function hostMatches(h, domain) {
+  return !!h && (h === domain || h.endsWith(`.${domain}`));
+}
 
-const HIGH_TRUST_DOMAINS = [
-  "wikipedia.org", "en.wikipedia.org", "britannica.com",
-  "bbc.co.uk", "bbc.com", "reuters.com", "apnews.com",
-  "theguardian.com", "nytimes.com",
-  "nature.com", "science.org", "cell.com", "thelancet.com",
-  "nasa.gov", "esa.int", "nih.gov", "cdc.gov", "who.int",
-  "jstor.org", "archive.org", "loc.gov", "todayinsci.com", "onthisday.com"
-];
+// Most specific registered suffix of the URL's host, or null
+function domainInfo(url) {
+  const labels = host(url).toLowerCase().replace(/\.$/, "").split(".").filter(Boolean);
+  for (let i = 0; i < labels.length - 1; i++) {
+    const domain = labels.slice(i).join(".");
+    if (DOMAIN_REGISTRY[domain]) return { domain, ...DOMAIN_REGISTRY[domain] };
+  }
+  return null;
+}
 
-const HISTORICAL_DOMAINS = [
-  "history.com", "historytoday.com", "britannica.com",
-  "onthisday.com", "todayinsci.com", "historyofinformation.com",
-  "archive.org", "loc.gov", "jstor.org"
-];
+const BLOCKED_DOMAINS = Object.keys(DOMAIN_REGISTRY).filter(d => DOMAIN_REGISTRY[d].trust === TRUST.blocked);
 
 function allowed(url) {
-  const h = host(url);
-  return ALLOWED_DOMAINS.some(d => h.includes(d) || d.includes(h));
+  const info = domainInfo(url);
+  return !!info && info.trust > TRUST.blocked && !info.hint;
+}
+
+function isHighTrust(url) {
+  return (domainInfo(url)?.trust || 0) >= TRUST.high;
 }
 
 function hasEuropeanSource(sources) {
   return sources.some(url => {
-    const h = host(url);
-    return EU_DOMAINS.some(d => h.includes(d));
+    return allowed(url) && domainInfo(url).region === "eu";
   });
 }
 
-function getJSON(hostname, path, headers = {}, timeout = 30000) {
-  return new Promise((resolve, reject) => {
-    const req = https.request({
-      hostname, port: 443, path, method: "GET",
-      headers: { ...headers }
-    }, res => {
-      let data = ""; res.setEncoding("utf8");
-      res.on("data", c => data += c);
-      res.on("end", () => {
-        let json;
-        try { json = JSON.parse(data); }
-        catch (e) { return reject(new Error(`Parse: ${e.message}`)); }
-        if (res.statusCode >= 400) return reject(new Error(`${hostname} ${res.statusCode}: ${data.slice(0, 200)}`));
-        resolve(json);
-      });
-    });
-    req.on("error", reject);
-    req.setTimeout(timeout, () => req.destroy(new Error("Timeout")));
-    req.end();
-  });
-}
+// ---------- Logging ----------
+// LOG_LEVEL=debug|info|warn|error|silent (DEBUG=1 implies debug), LOG_FORMAT=pretty|json.
+// pretty keeps the emoji console output; json writes one object per line with
+// runId/date/eventId/tier/provider so batch logs can be filtered (e.g. with jq).
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LOG_FORMATS = ["pretty", "json"];
 
-function postJSON(hostname, path, payload, headers = {}, timeout = 45000) {
-  return new Promise((resolve, reject) => {
-    const body = JSON.stringify(payload);
-    const req = https.request({
-      hostname, port: 443, path, method: "POST",
-      headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body), ...headers }
-    }, res => {
-      let data = ""; res.setEncoding("utf8");
-      res.on("data", c => data += c);
-      res.on("end", () => {
-        let json;
-        try { json = JSON.parse(data); }
-        catch (e) { return reject(new Error(`Parse: ${e.message}`)); }
-        if (res.statusCode >= 400) return reject(new Error(`${hostname} ${res.statusCode}: ${json.error?.message || data.slice(0, 200)}`));
-        resolve(json);
-      });
-    });
-    req.on("error", reject);
-    req.setTimeout(timeout, () => req.destroy(new Error("Timeout")));
-    req.write(body); req.end();
-  });
+const LOG = {
+  level: process.env.LOG_LEVEL || (DEBUG ? "debug" : "info"),
+  format: process.env.LOG_FORMAT || "pretty",
+  runId: crypto.randomUUID().slice(0, 8),
+  prefixEvents: false,
+};
+
+// Correlation fields (date, eventId, tier) for everything logged inside a call chain
+const LOG_CONTEXT = new AsyncLocalStorage();
+
+// Per-event state (budget spent, skipped stages) without threading it through every tier
+const EVENT_SCOPE = new AsyncLocalStorage();
+
+function withLogContext(fields, fn) {
+  return LOG_CONTEXT.run({ ...LOG_CONTEXT.getStore(), ...fields }, fn);
 }
 
-// ---------- Wikidata API ----------
-async function getWikipediaUrlFromQID(qid) {
-  if (!qid) return null;
-  
-  // Check cache
-  if (WIKIDATA_CACHE.has(qid)) {
-    console.log(`         💾 Wikidata cache hit: ${qid}`);
-    METRICS.cacheHits++;
-    return WIKIDATA_CACHE.get(qid);
-  }
-  
-  try {
-    console.log(`         🌐 Fetching Wikidata: ${qid}`);
-    const json = await getJSON("www.wikidata.org", `/wiki/Special:EntityData/${qid}.json`);
+function createLogger(fields = {}) {
+  function emit(level, msg, extra) {
+    if (LOG_LEVELS[level] < (LOG_LEVELS[LOG.level] ?? LOG_LEVELS.info)) return;
     
-    METRICS.apiCalls.wikidata++;
-    
-    const entity = json?.entities?.[qid];
-    if (!entity) return null;
-    
-    const enwikiLink = entity.sitelinks?.enwiki;
-    if (!enwikiLink) return null;
-    
-    const title = enwikiLink.title;
-    const url = `https://en.wikipedia.org/wiki/${encodeURIComponent(title.replace(/ /g, '_'))}`;
-    
-    console.log(`         ✅ Found Wikipedia URL: ${url}`);
-    
-    // Cache it
-    WIKIDATA_CACHE.set(qid, url);
+    if (LOG.format === "json") {
+      const entry = {
+        ts: new Date().toISOString(),
+        level,
+        runId: LOG.runId,
+        ...LOG_CONTEXT.getStore(),
+        ...fields,
+        ...extra,
+        msg: String(msg).trim(),
+      };
+      process.stdout.write(JSON.stringify(entry) + "\n");
+      return;
+    }
     
-    return url;
-  } catch (err) {
-    console.log(`         ⚠️ Wikidata lookup error: ${err.message}`);
-    return null;
+    // With concurrent events, prefix pretty lines with the event id so they can be told apart
+    const eventId = LOG.prefixEvents && LOG_CONTEXT.getStore()?.eventId;
+    const line = eventId ? String(msg).replace(/^(\n*)/, `$1[${eventId}] `) : msg;
+    (level === "error" ? console.error : console.log)(line);
   }
+  
+  return {
+    debug: (msg, extra) => emit("debug", msg, extra),
+    info: (msg, extra) => emit("info", msg, extra),
+    warn: (msg, extra) => emit("warn", msg, extra),
+    error: (msg, extra) => emit("error", msg, extra),
+    child: more => createLogger({ ...fields, ...more }),
+  };
 }
 
-// ---------- Perplexity with Retry ----------
-async function callPerplexity(prompt, maxRetries = 5) {
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const json = await postJSON("api.perplexity.ai", "/chat/completions", {
-        model: "sonar",
-        messages: [
-          { role: "system", content: "You are an expert science historian and researcher. Focus on groundbreaking scientific discoveries, research milestones, and technological achievements from ALL regions and institutions worldwide. Provide accurate information with Wikidata QIDs and reliable peer-reviewed sources." },
-          { role: "user", content: prompt }
-        ],
-        temperature: 0.2,
-        max_tokens: 4000
-      }, { "Authorization": `Bearer ${PERPLEXITY_API_KEY}` });
+const log = createLogger();
 
-      METRICS.apiCalls.perplexity++;
-      const tokens = (json.usage?.prompt_tokens || 0) + (json.usage?.completion_tokens || 0);
-      METRICS.costs.perplexity += tokens * 0.001 / 1000;
+// ---------- Budget ----------
+// Hard USD limits, checked before every paid call. `run` spans the whole CLI
+// invocation (all dates), `event` a single processEvent() call. Each paid call
+// reserves its estimate until chargeCost() replaces it with the actual cost, so
+// concurrent calls cannot together overshoot a limit.
 
-      return json;
-    } catch (err) {
-      if (attempt === maxRetries - 1) throw err;
-      const delay = 1000 * Math.pow(2, attempt);
-      if (DEBUG) console.log(`      ⏳ Perplexity retry ${attempt + 1}/${maxRetries} after ${delay}ms`);
-      await sleep(delay);
-    }
-  }
+// Unset or empty means no limit; 0 is a limit that blocks every paid call.
+// Anything that is not a USD amount is reported by assertEnvironment().
+function envBudget(name) {
+  const value = (process.env[name] || "").trim();
+  return value === "" ? Infinity : Number(value);
 }
 
-// ---------- OpenAI ----------
-async function callOpenAI(systemPrompt, userPrompt, temperature = 0.7, maxTokens = 300, model = "gpt-4o") {
+const BUDGET = {
+  run: envBudget("RUN_BUDGET_USD"),
+  event: envBudget("EVENT_BUDGET_USD"),
+  spent: 0,
+  reserved: 0,
+};
+
+// Share of a budget that may be spent before a stage is skipped
+const BUDGET_DEGRADE = { translate: 0.6, polish: 0.7, tier3: 0.85, seed: 0.95 };
+
+// OpenAI USD per 1k tokens [prompt, completion]; models not listed are charged as gpt-4o
+const OPENAI_PRICES = {
+  "gpt-4o": [0.0025, 0.01],
+  "gpt-4o-mini": [0.00015, 0.0006],
+};
+
+// Upper-bound estimates per call, reserved until the actual cost is known
+const COST_ESTIMATES = {
+  perplexity: 0.005, // max_tokens 4000 at $0.001/1k, plus the prompt
+  "gpt-4o": 0.004,
+  "gpt-4o-mini": 0.0003,
+  exa_search: 0.005,
+  exa_contents: 0.001, // per page
+};
+
+function budgetError(scope) {
+  const err = new Error(`${scope === "run" ? "Run" : "Event"} budget exhausted`);
+  err.code = "BUDGET_EXHAUSTED";
+  return err;
+}
+
+// Throws unless `estimate` fits next to what is spent and reserved; returns the reservation
+function assertBudget(estimate) {
+  const scope = EVENT_SCOPE.getStore();
+  
+  if (BUDGET.spent + BUDGET.reserved + estimate > BUDGET.run) {
+    if (scope) scope.budgetExhausted = true;
+    throw budgetError("run");
+  }
+  if (scope && scope.spent + scope.reserved + estimate > BUDGET.event) {
+    scope.budgetExhausted = true;
+    throw budgetError("event");
+  }
+  
+  BUDGET.reserved += estimate;
+  if (scope) scope.reserved += estimate;
+  return { estimate, scope, open: true };
+}
+
+// For a call that failed before it could be charged
+function releaseBudget(reservation) {
+  if (!reservation?.open) return;
+  reservation.open = false;
+  BUDGET.reserved -= reservation.estimate;
+  if (reservation.scope) reservation.scope.reserved -= reservation.estimate;
+}
+
+function chargeCost(provider, usd, reservation) {
+  releaseBudget(reservation);
+  METRICS.costs[provider] += usd;
+  BUDGET.spent += usd;
+  const scope = reservation?.scope ?? EVENT_SCOPE.getStore();
+  if (scope) scope.spent += usd;
+}
+
+// false once the run (or, inside processEvent, the event) budget is spent past the stage's threshold
+function budgetAllows(stage) {
+  const limit = BUDGET_DEGRADE[stage];
+  if (BUDGET.spent >= BUDGET.run * limit) return false;
+  
+  const scope = EVENT_SCOPE.getStore();
+  if (scope && stage !== "seed" && scope.spent >= BUDGET.event * limit) return false;
+  return true;
+}
+
+function skipForBudget(stage) {
+  METRICS.budget[`${stage}_skipped`]++;
+  const scope = EVENT_SCOPE.getStore();
+  if (scope) scope.budgetSkipped.push(stage);
+}
+
+// ---------- Concurrency & Rate Limits ----------
+// CONCURRENCY bounds how many events are processed at once (categories are
+// seeded in parallel up to the same limit). Provider calls are paced by one
+// token bucket per provider instead of fixed sleeps; override with
+// RATE_LIMIT_<PROVIDER>="<requests per second>[:<burst>]".
+const PIPELINE = {
+  concurrency: Math.max(1, parseInt(process.env.CONCURRENCY) || (HTTP_MODE === "live" ? 3 : 1)),
+};
+
+const DEFAULT_RATE_LIMITS = {
+  perplexity: "1:2",
+  openai: "5:5",
+  exa: "5:5",
+  wikidata: "5:5",
+  wikimedia: "5:5",
+  web: "5:5",
+  archive: "1:2",
+};
+
+function createRateLimiter(perSecond, burst) {
+  let tokens = burst;
+  let last = Date.now();
+  let queue = Promise.resolve();
+  
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - last) / 1000 * perSecond);
+    last = now;
+  }
+  
+  async function acquire() {
+    refill();
+    if (tokens < 1) {
+      await sleep(Math.ceil((1 - tokens) / perSecond * 1000));
+      refill();
+    }
+    tokens -= 1;
+  }
+  
+  return {
+    // FIFO: callers are served in the order they asked
+    take() {
+      const turn = queue.then(acquire);
+      queue = turn.catch(() => {});
+      return turn;
+    },
+  };
+}
+
+function parseRateLimit(provider) {
+  const spec = process.env[`RATE_LIMIT_${provider.toUpperCase()}`] || DEFAULT_RATE_LIMITS[provider];
+  const [rate, burst] = spec.split(":").map(Number);
+  if (!(rate > 0)) throw new Error(`Invalid RATE_LIMIT_${provider.toUpperCase()} "${spec}"`);
+  return createRateLimiter(rate, Math.max(1, burst || Math.ceil(rate)));
+}
+
+const RATE_LIMITERS = Object.fromEntries(Object.keys(DEFAULT_RATE_LIMITS).map(p => [p, parseRateLimit(p)]));
+
+function createSemaphore(limit) {
+  let active = 0;
+  const waiting = [];
+  
+  function next() {
+    if (active < limit && waiting.length > 0) {
+      active++;
+      waiting.shift()();
+    }
+  }
+  
+  return {
+    async run(fn) {
+      await new Promise(resolve => { waiting.push(resolve); next(); });
+      try { return await fn(); }
+      finally { active--; next(); }
+    },
+  };
+}
+
+// Like Promise.all(items.map(fn)) with at most `limit` running; results keep input order
+function mapLimit(items, limit, fn) {
+  const slots = createSemaphore(limit);
+  return Promise.all(items.map((item, i) => slots.run(() => fn(item, i))));
+}
+
+// Concurrent callers asking for the same key share one request instead of paying twice.
+// A joining caller counts as a hit on `cacheName`, exactly as it would have when run
+// sequentially, so metrics do not depend on timing.
+const IN_FLIGHT = new Map();
+
+function dedupeInFlight(cacheName, key, fn) {
+  const flightKey = `${cacheName}:${key}`;
+  if (IN_FLIGHT.has(flightKey)) {
+    METRICS.cacheHits[cacheName] = (METRICS.cacheHits[cacheName] || 0) + 1;
+    return IN_FLIGHT.get(flightKey);
+  }
+  
+  const promise = fn().finally(() => IN_FLIGHT.delete(flightKey));
+  IN_FLIGHT.set(flightKey, promise);
+  return promise;
+}
+
+// ---------- HTTP ----------
+// Base URLs are configurable per provider (e.g. a local mock server in CI).
+// A base URL may carry a path prefix: http://localhost:8080/openai
+const PROVIDER_ENDPOINTS = {
+  perplexity: process.env.PERPLEXITY_BASE_URL || "https://api.perplexity.ai",
+  openai: process.env.OPENAI_BASE_URL || "https://api.openai.com",
+  exa: process.env.EXA_BASE_URL || "https://api.exa.ai",
+  wikidata: process.env.WIKIDATA_BASE_URL || "https://www.wikidata.org",
+  wikimedia: process.env.WIKIMEDIA_BASE_URL || "https://api.wikimedia.org",
+  // Source pages (see Source Hygiene) are requested by full URL from their own host.
+  // WEB_BASE_URL routes them all to one stand-in as <base>/<host><path>.
+  web: process.env.WEB_BASE_URL || "",
+  // Any archive with the Wayback Machine's CDX, /save/ and /web/ endpoints
+  archive: process.env.ARCHIVE_BASE_URL || "https://web.archive.org",
+};
+
+function providerUrl(provider, reqPath) {
+  const base = PROVIDER_ENDPOINTS[provider].replace(/\/+$/, "");
+  if (provider !== "web") return new URL(base + reqPath);
+  const target = new URL(reqPath);
+  return base ? new URL(`${base}/${target.host}${target.pathname}${target.search}`) : target;
+}
+
+// Stand-ins per provider, e.g. fakes in tests. A client is called as
+// client({ method, path, headers, payload }) and returns the parsed response body, or a raw
+// { status, body } to simulate HTTP errors; throwing simulates a network error.
+const PROVIDER_CLIENTS = {};
+
+function setProviderClients(clients) {
+  for (const [provider, client] of Object.entries(clients)) {
+    if (!(provider in PROVIDER_ENDPOINTS)) throw new Error(`Unknown provider "${provider}"`);
+    if (client) PROVIDER_CLIENTS[provider] = client;
+    else delete PROVIDER_CLIENTS[provider];
+  }
+}
+
+async function callProviderClient(client, method, reqPath, headers, body) {
+  const out = await client({ method, path: reqPath, headers, payload: body ? JSON.parse(body) : null });
+  if (typeof out?.status === "number" && typeof out.body === "string") return { headers: {}, ...out };
+  return { status: 200, headers: {}, body: JSON.stringify(out ?? null) };
+}
+
+// Wikimedia APIs ask clients to identify themselves
+const USER_AGENT = process.env.USER_AGENT || "science-event-validation/7.2 (https://github.com/tschauner/Source-validation)";
+
+// Fixtures are keyed by provider + method + path + body (never headers, so no
+// API keys end up on disk). Identical requests within one run get a sequence
+// number, so retries of the same request replay in the recorded order. That order
+// only holds when events run one at a time, so record and replay default to
+// concurrency 1 and refuse a repeated request under more.
+const FIXTURE_SEQUENCE = new Map();
+
+function fixtureFile(provider, method, reqPath, body) {
+  const hash = crypto.createHash("sha256")
+    .update(`${method} ${provider} ${reqPath}\n${body || ""}`)
+    .digest("hex")
+    .slice(0, 20);
+  const seq = (FIXTURE_SEQUENCE.get(hash) || 0) + 1;
+  if (seq > 1 && PIPELINE.concurrency > 1) {
+    throw new Error(`Repeated ${method} ${provider}${reqPath} cannot be ${HTTP_MODE === "record" ? "recorded" : "replayed"} in order with concurrency ${PIPELINE.concurrency} (use --concurrency 1)`);
+  }
+  FIXTURE_SEQUENCE.set(hash, seq);
+  return path.join(FIXTURES_DIR, provider, `${hash}-${seq}.json`);
+}
+
+function sendRequest(url, method, headers, body, timeout) {
+  return new Promise((resolve, reject) => {
+    const transport = url.protocol === "http:" ? http : https;
+    const req = transport.request(url, { method, headers }, res => {
+      let data = ""; res.setEncoding("utf8");
+      res.on("data", c => data += c);
+      res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+    });
+    req.on("error", reject);
+    req.setTimeout(timeout, () => req.destroy(new Error("Timeout")));
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+async function httpRequest(provider, reqPath, { method = "GET", headers = {}, body = null, timeout = 30000 } = {}) {
+  if (!(provider in PROVIDER_ENDPOINTS)) throw new Error(`Unknown provider "${provider}"`);
+  const url = providerUrl(provider, reqPath);
+  if (PROVIDER_CLIENTS[provider]) return callProviderClient(PROVIDER_CLIENTS[provider], method, reqPath, headers, body);
+  const shown = provider === "web" ? reqPath : `${url.host}${reqPath}`;
+  log.debug(`      ↗ ${method} ${shown.split("?")[0]} (${HTTP_MODE})`, { provider });
+  
+  if (HTTP_MODE !== "replay") await RATE_LIMITERS[provider]?.take();
+  if (HTTP_MODE === "live") return sendRequest(url, method, headers, body, timeout);
+  
+  const file = fixtureFile(provider, method, reqPath, body);
+  
+  if (HTTP_MODE === "replay") {
+    if (!fs.existsSync(file)) {
+      throw new Error(`No recorded fixture for ${method} ${provider}${reqPath} (${path.relative(FIXTURES_DIR, file)})`);
+    }
+    const fixture = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (fixture.error) throw new Error(fixture.error);
+    return fixture.response;
+  }
+  
+  // record: network errors are stored too, so retry paths replay identically
+  const fixture = { provider, method, path: reqPath, request: body, response: null, error: null };
+  try {
+    fixture.response = await sendRequest(url, method, headers, body, timeout);
+    return fixture.response;
+  } catch (err) {
+    fixture.error = err.message;
+    throw err;
+  } finally {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+  }
+}
+
+function parseJSONResponse(provider, res) {
+  let json;
+  try { json = JSON.parse(res.body); }
+  catch (e) { throw new Error(`Parse: ${e.message}`); }
+  if (res.status >= 400) {
+    throw new Error(`${new URL(PROVIDER_ENDPOINTS[provider]).host} ${res.status}: ${json.error?.message || res.body.slice(0, 200)}`);
+  }
+  return json;
+}
+
+async function getJSON(provider, path, headers = {}, timeout = 30000) {
+  const res = await httpRequest(provider, path, { method: "GET", headers: { ...headers }, timeout });
+  return parseJSONResponse(provider, res);
+}
+
+async function postJSON(provider, path, payload, headers = {}, timeout = 45000) {
+  const body = JSON.stringify(payload);
+  const res = await httpRequest(provider, path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body), ...headers },
+    body,
+    timeout
+  });
+  return parseJSONResponse(provider, res);
+}
+
+// ---------- Wikidata API ----------
+const wikidataLog = log.child({ provider: "wikidata" });
+
+// Date statements checked by the Wikidata tier, per event type
+const WIKIDATA_DATE_PROPERTIES = {
+  birthday: ["P569"],                           // date of birth
+  death: ["P570"],                              // date of death
+  event: ["P585", "P577", "P619", "P575"],      // point in time, publication, launch, discovery
+};
+
+const WIKIDATA_JULIAN = "http://www.wikidata.org/entity/Q1985786";
+
+// Only the parts of an entity we use are cached: wiki sitelinks and date statements
+function summarizeEntity(entity) {
+  const sitelinks = {};
+  for (const [site, link] of Object.entries(entity.sitelinks || {})) {
+    if (/^[a-z_]+wiki$/.test(site) && site !== "commonswiki") sitelinks[site] = link.title;
+  }
+  
+  const claims = {};
+  const props = uniq(Object.values(WIKIDATA_DATE_PROPERTIES).flat());
+  for (const prop of props) {
+    const values = (entity.claims?.[prop] || [])
+      .filter(c => c.rank !== "deprecated" && c.mainsnak?.snaktype === "value")
+      .map(c => c.mainsnak.datavalue?.value)
+      .filter(v => v?.time)
+      .map(v => ({ time: v.time, precision: v.precision, calendar: v.calendarmodel === WIKIDATA_JULIAN ? "julian" : "gregorian" }));
+    if (values.length > 0) claims[prop] = values;
+  }
+  
+  return { id: entity.id, sitelinks, claims };
+}
+
+async function getWikidataEntity(qid) {
+  if (!qid || !/^Q\d+$/.test(qid)) return null;
+  return dedupeInFlight("wikidata", qid, () => fetchWikidataEntity(qid));
+}
+
+async function fetchWikidataEntity(qid) {
+  const cached = WIKIDATA_CACHE.get(qid);
+  if (cached && typeof cached === "object") {
+    wikidataLog.info(`         💾 Wikidata cache hit: ${qid}`);
+    return cached;
+  }
+  
+  try {
+    wikidataLog.info(`         🌐 Fetching Wikidata: ${qid}`);
+    const json = await getJSON("wikidata", `/wiki/Special:EntityData/${qid}.json`, { "User-Agent": USER_AGENT });
+    
+    METRICS.apiCalls.wikidata++;
+    
+    // Merged items come back under their new id
+    const entity = json?.entities?.[qid] || Object.values(json?.entities || {})[0];
+    if (!entity) return null;
+    
+    const summary = summarizeEntity(entity);
+    WIKIDATA_CACHE.set(qid, summary);
+    
+    return summary;
+  } catch (err) {
+    wikidataLog.warn(`         ⚠️ Wikidata lookup error: ${err.message}`);
+    return null;
+  }
+}
+
+async function getWikipediaUrlFromQID(qid, lang = "en") {
+  const entity = await getWikidataEntity(qid);
+  const title = entity?.sitelinks?.[`${lang}wiki`];
+  if (!title) return null;
+  
+  const url = `https://${lang}.wikipedia.org/wiki/${encodeURIComponent(title.replace(/ /g, '_'))}`;
+  wikidataLog.info(`         ✅ Found Wikipedia URL: ${url}`);
+  
+  return url;
+}
+
+// "+1879-03-14T00:00:00Z" → { year, month, day }; month/day are 0 below day precision.
+// Gregorian is Wikidata's default calendar model, so only a Julian statement is marked.
+function parseWikidataTime(value) {
+  const match = String(value.time).match(/^([+-])(\d+)-(\d{2})-(\d{2})T/);
+  if (!match) return null;
+  
+  const year = parseInt(match[2]) * (match[1] === "-" ? -1 : 1);
+  return { year, month: parseInt(match[3]), day: parseInt(match[4]), precision: value.precision, calendar: value.calendar, marked: value.calendar === "julian" };
+}
+
+// ---------- Perplexity with Retry ----------
+const perplexityLog = log.child({ provider: "perplexity" });
+
+async function callPerplexity(prompt, maxRetries = 5) {
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    try {
+      const reservation = assertBudget(COST_ESTIMATES.perplexity);
+      const json = await postJSON("perplexity", "/chat/completions", {
+        model: CONFIG.models.perplexity,
+        messages: [
+          { role: "system", content: "You are an expert science historian and researcher. Focus on groundbreaking scientific discoveries, research milestones, and technological achievements from ALL regions and institutions worldwide. Provide accurate information with Wikidata QIDs and reliable peer-reviewed sources." },
+          { role: "user", content: prompt }
+        ],
+        temperature: 0.2,
+        max_tokens: 4000
+      }, { "Authorization": `Bearer ${apiKey("perplexity")}` }).catch(err => { releaseBudget(reservation); throw err; });
+
+      METRICS.apiCalls.perplexity++;
+      const tokens = (json.usage?.prompt_tokens || 0) + (json.usage?.completion_tokens || 0);
+      chargeCost("perplexity", tokens * 0.001 / 1000, reservation);
+
+      return json;
+    } catch (err) {
+      if (err.code === "BUDGET_EXHAUSTED" || attempt === maxRetries - 1) throw err;
+      const delay = 1000 * Math.pow(2, attempt);
+      perplexityLog.debug(`      ⏳ Perplexity retry ${attempt + 1}/${maxRetries} after ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+// ---------- OpenAI ----------
+const openaiLog = log.child({ provider: "openai" });
+
+async function callOpenAI(systemPrompt, userPrompt, temperature = 0.7, maxTokens = 300, model = CONFIG.models.polish) {
   try {
-    const json = await postJSON("api.openai.com", "/v1/chat/completions", {
+    const reservation = assertBudget(COST_ESTIMATES[model] ?? COST_ESTIMATES["gpt-4o"]);
+    const json = await postJSON("openai", "/v1/chat/completions", {
       model,
       messages: [
         { role: "system", content: systemPrompt },
@@ -387,31 +1541,35 @@ async function callOpenAI(systemPrompt, userPrompt, temperature = 0.7, maxTokens
       ],
       temperature,
       max_tokens: maxTokens
-    }, { "Authorization": `Bearer ${OPENAI_API_KEY}` });
+    }, { "Authorization": `Bearer ${apiKey("openai")}` }).catch(err => { releaseBudget(reservation); throw err; });
 
-    if (model === "gpt-4o-mini") {
+    if (model === CONFIG.models.check) {
       METRICS.apiCalls.openai_mini++;
-      const usage = json.usage || {};
-      METRICS.costs.openai += (usage.prompt_tokens || 0) * 0.00015 / 1000 + (usage.completion_tokens || 0) * 0.0006 / 1000;
     } else {
       METRICS.apiCalls.openai++;
-      const usage = json.usage || {};
-      METRICS.costs.openai += (usage.prompt_tokens || 0) * 0.0025 / 1000 + (usage.completion_tokens || 0) * 0.01 / 1000;
     }
+    const usage = json.usage || {};
+    const [promptPrice, completionPrice] = OPENAI_PRICES[model] || OPENAI_PRICES["gpt-4o"];
+    chargeCost("openai", (usage.prompt_tokens || 0) * promptPrice / 1000 + (usage.completion_tokens || 0) * completionPrice / 1000, reservation);
 
     return json.choices?.[0]?.message?.content?.trim() || "";
   } catch (err) {
-    if (DEBUG) console.log(`      ⚠️ OpenAI error: ${err.message}`);
+    openaiLog.debug(`      ⚠️ OpenAI error: ${err.message}`);
     throw err;
   }
 }
 
 // ---------- EXA ----------
+const exaLog = log.child({ provider: "exa" });
+
 async function exaSearch(query, opts = {}) {
-  const cacheKey = JSON.stringify({ query, opts });
+  const cacheKey = `${query}|${JSON.stringify(opts)}`;
+  return dedupeInFlight("exa_search", cacheKey, () => runExaSearch(query, opts, cacheKey));
+}
+
+async function runExaSearch(query, opts, cacheKey) {
   if (EXA_SEARCH_CACHE.has(cacheKey)) {
-    console.log(`      💾 Exa cache hit: "${query.substring(0, 50)}..."`);
-    METRICS.cacheHits++;
+    exaLog.info(`      💾 Exa cache hit: "${query.substring(0, 50)}..."`);
     return EXA_SEARCH_CACHE.get(cacheKey);
   }
   
@@ -420,7 +1578,7 @@ async function exaSearch(query, opts = {}) {
     numResults: opts.numResults ?? 15,
     type: "neural",
     useAutoprompt: false,
-    excludeDomains: UGC_BLOCK,
+    excludeDomains: BLOCKED_DOMAINS,
     ...(opts.includeText && { text: { includeHtmlTags: false, maxCharacters: 5000 } })
   };
   
@@ -428,10 +1586,12 @@ async function exaSearch(query, opts = {}) {
     payload.includeText = opts.includeText;
   }
   
-  const json = await postJSON("api.exa.ai", "/search", payload, { "x-api-key": EXA_API_KEY });
+  const reservation = assertBudget(COST_ESTIMATES.exa_search);
+  const json = await postJSON("exa", "/search", payload, { "x-api-key": apiKey("exa") })
+    .catch(err => { releaseBudget(reservation); throw err; });
   
   METRICS.apiCalls.exa_search++;
-  METRICS.costs.exa += 0.005;  // $5 per 1k requests
+  chargeCost("exa", 0.005, reservation);  // $5 per 1k requests
   
   const results = Array.isArray(json?.results) ? json.results : [];
   
@@ -442,189 +1602,347 @@ async function exaSearch(query, opts = {}) {
 
 async function exaContents(ids) {
   if (!ids.length) return [];
-  
-  const json = await postJSON("api.exa.ai", "/contents", { ids, text: true, format: "markdown" }, { "x-api-key": EXA_API_KEY });
+  return dedupeInFlight("contents", ids.join(","), () => runExaContents(ids));
+}
+
+async function runExaContents(ids) {
+  const reservation = assertBudget(ids.length * COST_ESTIMATES.exa_contents);
+  const json = await postJSON("exa", "/contents", { ids, text: true, format: "markdown" }, { "x-api-key": apiKey("exa") })
+    .catch(err => { releaseBudget(reservation); throw err; });
   
   METRICS.apiCalls.exa_contents++;
-  METRICS.costs.exa += ids.length * 0.001;  // $1 per 1k pages
+  chargeCost("exa", ids.length * 0.001, reservation);  // $1 per 1k pages
   
   return Array.isArray(json?.results) ? json.results : [];
 }
 
-// ---------- TIER 0: Wikipedia "On This Day" ----------
+// ---------- Wikimedia "On this day" feed ----------
+// Structured events/births/deaths for a calendar day, each with its year and the
+// linked pages (title + Wikidata QID). Free, no API key.
+const wikimediaLog = log.child({ provider: "wikimedia" });
+
+const OTD_KINDS = { selected: "event", events: "event", births: "birth", deaths: "death" };
+
+function normalizeOnThisDayFeed(json) {
+  const entries = [];
+  
+  for (const [group, kind] of Object.entries(OTD_KINDS)) {
+    for (const item of json?.[group] || []) {
+      if (!item?.text) continue;
+      entries.push({
+        kind,
+        year: Number.isFinite(item.year) ? item.year : null,
+        text: item.text,
+        pages: (item.pages || []).map(pg => ({
+          title: pg.normalizedtitle || pg.titles?.normalized || String(pg.title || "").replace(/_/g, " "),
+          qid: pg.wikibase_item || null,
+        })),
+      });
+    }
+  }
+  
+  return { entries };
+}
+
 async function getWikipediaOnThisDay(monthName, day) {
-  const cacheKey = `${monthName}_${day}`;
+  return dedupeInFlight("wiki_on_this_day", `${monthName}_${parseInt(day)}`, () => fetchWikipediaOnThisDay(monthName, day));
+}
+
+async function fetchWikipediaOnThisDay(monthName, day) {
+  const cacheKey = `${monthName}_${parseInt(day)}`;
   
-  if (WIKI_ON_THIS_DAY_CACHE.has(cacheKey)) {
-    console.log(`      💾 Cache hit: Wikipedia ${monthName}_${day} page`);
-    METRICS.cacheHits++;
-    return WIKI_ON_THIS_DAY_CACHE.get(cacheKey);
+  const cached = WIKI_ON_THIS_DAY_CACHE.get(cacheKey);
+  if (Array.isArray(cached?.entries)) {
+    wikimediaLog.info(`      💾 Cache hit: Wikimedia on-this-day feed ${cacheKey}`);
+    return cached;
   }
   
-  console.log(`      🌐 Fetching Wikipedia "On This Day" page: ${monthName}_${day}`);
+  const mm = String(getMonthNumber(monthName)).padStart(2, '0');
+  const dd = String(parseInt(day)).padStart(2, '0');
+  wikimediaLog.info(`      🌐 Fetching Wikimedia "On this day" feed: ${mm}/${dd}`);
   
   try {
-    const searchQuery = `site:en.wikipedia.org/wiki/${monthName}_${day}`;
-    const results = await exaSearch(searchQuery, { numResults: 1 });
-    
-    if (results.length === 0) {
-      console.log(`      ⚠️ Could not find Wikipedia date page`);
-      return null;
-    }
-    
-    const contents = await exaContents([results[0].id]);
-    if (contents.length === 0) {
-      console.log(`      ⚠️ Could not fetch Wikipedia date page content`);
-      return null;
-    }
+    const json = await getJSON("wikimedia", `/feed/v1/wikipedia/en/onthisday/all/${mm}/${dd}`, { "User-Agent": USER_AGENT });
+    METRICS.apiCalls.wikimedia++;
     
-    const text = contents[0].text || "";
-    console.log(`      ✅ Wikipedia date page fetched (${text.length} chars)`);
+    const feed = normalizeOnThisDayFeed(json);
+    wikimediaLog.info(`      ✅ Feed loaded (${feed.entries.length} entries)`);
     
-    WIKI_ON_THIS_DAY_CACHE.set(cacheKey, text);
+    WIKI_ON_THIS_DAY_CACHE.set(cacheKey, feed);
     
-    return text;
+    return feed;
   } catch (err) {
-    console.log(`      ⚠️ Error fetching Wikipedia date page: ${err.message}`);
+    wikimediaLog.warn(`      ⚠️ Error fetching on-this-day feed: ${err.message}`);
     return null;
   }
 }
 
+// Local stand-in for the feed (and any other GET API): serves DIR/<request path>.json,
+// e.g. DIR/feed/v1/wikipedia/en/onthisday/all/10/08.json. Point WIKIMEDIA_BASE_URL at it.
+function createFixtureServer(dir) {
+  const root = path.resolve(dir);
+  
+  return http.createServer((req, res) => {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+    } catch {
+      res.writeHead(400, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: { message: `Malformed path ${req.url}` } }));
+      return;
+    }
+    const file = path.join(root, `${pathname.replace(/\/+$/, "")}.json`);
+    
+    if (!file.startsWith(root + path.sep) || !fs.existsSync(file)) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: { message: `No fixture for ${pathname}` } }));
+      return;
+    }
+    
+    res.writeHead(200, { "Content-Type": "application/json" });
+    fs.createReadStream(file).pipe(res);
+  });
+}
+
+// ---------- TIER 0: Wikipedia "On This Day" ----------
+function entryMentions(entry, term) {
+  const t = term.toLowerCase();
+  return entry.text.toLowerCase().includes(t) || entry.pages.some(pg => pg.title.toLowerCase() === t);
+}
+
 async function validateWithWikipediaOnThisDay(event, monthName, day) {
-  console.log(`\n      🔍 TIER 0: Wikipedia "On This Day" Check`);
-  console.log(`         Event: ${event.title}`);
-  console.log(`         Type: ${event.type}`);
-  console.log(`         Year: ${event.year}`);
+  log.info(`\n      🔍 TIER 0: Wikipedia "On This Day" Check`);
+  log.info(`         Event: ${event.title}`);
+  log.info(`         Type: ${event.type}`);
+  log.info(`         Year: ${formatYear(event.year)}`);
   
-  const wikiText = await getWikipediaOnThisDay(monthName, day);
+  const feed = await getWikipediaOnThisDay(monthName, day);
   
-  if (!wikiText) {
-    console.log(`         ⚠️ Could not load Wikipedia date page - skipping`);
+  if (!feed) {
+    log.warn(`         ⚠️ Could not load on-this-day feed - skipping`);
     return { validated: false, reason: 'wiki-date-page-unavailable' };
   }
   
-  const wikiLower = wikiText.toLowerCase();
-  const yearStr = event.year.toString();
+  // A dual-dated event may be listed under either year (Newton: 1642 O.S., 1643 N.S.)
+  const years = eventYears(event);
+  const isPerson = event.type === 'birthday' || event.type === 'death';
+  const kind = event.type === 'birthday' ? 'birth' : event.type === 'death' ? 'death' : 'event';
+  const candidates = feed.entries.filter(e => e.kind === kind);
+  const entryInfo = e => ({ kind: e.kind, year: e.year, text: e.text });
   
-  // For birthdays/deaths: NAME-ONLY matching
-  if (event.type === 'birthday' || event.type === 'death') {
+  // Strongest signal: the feed links the same Wikidata item in the same year
+  if (event.qid) {
+    const qidEntry = candidates.find(e => e.pages.some(pg => pg.qid === event.qid));
+    if (qidEntry && years.includes(qidEntry.year)) {
+      log.info(`         ✅✅ QID ${event.qid} LISTED FOR ${qidEntry.year} IN ON-THIS-DAY FEED!`);
+      METRICS.validation.tier0_success++;
+      return { validated: true, reason: 'wiki-on-this-day-qid-confirmed', matchedTerms: [event.qid], entry: entryInfo(qidEntry) };
+    }
+  }
+  
+  // For birthdays/deaths: name in the births/deaths list, same year
+  if (isPerson) {
     const name = extractName(event.title, event.type);
     if (name) {
-      console.log(`         👤 Extracted name: "${name}"`);
-      const nameLower = name.toLowerCase();
+      log.info(`         👤 Extracted name: "${name}"`);
+      const nameEntries = candidates.filter(e => entryMentions(e, name));
+      const sameYear = nameEntries.find(e => years.includes(e.year));
       
-      if (wikiLower.includes(nameLower)) {
-        console.log(`         ✅✅ NAME FOUND ON WIKIPEDIA "ON THIS DAY" PAGE!`);
+      if (sameYear) {
+        log.info(`         ✅✅ NAME FOUND IN ON-THIS-DAY ${kind.toUpperCase()}S (${sameYear.year})!`);
         METRICS.validation.tier0_success++;
-        return { validated: true, reason: 'wiki-on-this-day-name-confirmed' };
-      } else {
-        console.log(`         ❌ Name not found on Wikipedia date page`);
+        return { validated: true, reason: 'wiki-on-this-day-name-confirmed', name, matchedTerms: [name], entry: entryInfo(sameYear) };
+      }
+      if (nameEntries.length > 0) {
+        log.info(`         ❌ Name listed, but for ${nameEntries.map(e => e.year).join(', ')} (claimed ${years.map(formatYear).join(' / ')})`);
+        METRICS.validation.tier0_fail++;
+        return { validated: false, reason: 'wiki-on-this-day-year-mismatch', name, matchedTerms: [name], feedYears: nameEntries.map(e => e.year) };
       }
+      log.info(`         ❌ Name not found in on-this-day ${kind}s`);
     }
   }
   
-  // For events: title or keywords + year
-  const searchTerms = [
-    event.title,
-    ...(event.keywords || []),
-    yearStr
-  ];
-  
-  let foundMentions = [];
+  // For events: same-year entry mentioning the title or at least 2 keywords
+  const sameYearEntries = candidates.filter(e => years.includes(e.year));
+  let best = { entry: null, matchedTerms: [], titleFound: false, keywordCount: 0 };
   
-  for (const term of searchTerms) {
-    if (term && wikiLower.includes(term.toLowerCase())) {
-      foundMentions.push(term);
+  for (const entry of sameYearEntries) {
+    const titleFound = entryMentions(entry, event.title);
+    const matchedKeywords = (event.keywords || []).filter(k => k && entryMentions(entry, String(k)));
+    if (titleFound || matchedKeywords.length > best.keywordCount) {
+      best = { entry, matchedTerms: [...(titleFound ? [event.title] : []), ...matchedKeywords], titleFound, keywordCount: matchedKeywords.length };
+      if (titleFound) break;
     }
   }
   
-  console.log(`         🔎 Search terms found: ${foundMentions.length}/${searchTerms.length}`);
-  if (foundMentions.length > 0) {
-    console.log(`         📌 Found: ${foundMentions.join(', ')}`);
+  log.info(`         🔎 Same-year ${kind} entries: ${sameYearEntries.length} / ${candidates.length}`);
+  if (best.matchedTerms.length > 0) {
+    log.info(`         📌 Found: ${best.matchedTerms.join(', ')}`);
   }
   
-  const hasYear = wikiLower.includes(yearStr);
-  const titleFound = foundMentions.some(m => m === event.title);
-  const keywordCount = foundMentions.filter(m => m !== event.title && m !== yearStr).length;
+  const hasYear = sameYearEntries.length > 0;
+  const trace = { matchedTerms: best.matchedTerms, hasYear, titleFound: best.titleFound, keywordCount: best.keywordCount };
   
-  if ((titleFound && hasYear) || (keywordCount >= 2 && hasYear)) {
-    console.log(`         ✅✅ FOUND ON WIKIPEDIA "ON THIS DAY" PAGE!`);
+  if (best.titleFound || best.keywordCount >= 2) {
+    log.info(`         ✅✅ FOUND IN WIKIPEDIA "ON THIS DAY" FEED!`);
     METRICS.validation.tier0_success++;
-    return { validated: true, reason: 'wiki-on-this-day-confirmed' };
+    return { validated: true, reason: 'wiki-on-this-day-confirmed', ...trace, entry: entryInfo(best.entry) };
   } else {
-    console.log(`         ❌ Not found on Wikipedia date page`);
-    console.log(`         📊 Title: ${titleFound ? '✅' : '❌'} | Year: ${hasYear ? '✅' : '❌'} | Keywords: ${keywordCount}`);
+    log.info(`         ❌ Not found in on-this-day feed`);
+    log.info(`         📊 Title: ${best.titleFound ? '✅' : '❌'} | Year: ${hasYear ? '✅' : '❌'} | Keywords: ${best.keywordCount}`);
     METRICS.validation.tier0_fail++;
-    return { validated: false, reason: 'not-on-wiki-date-page' };
+    return { validated: false, reason: 'not-on-wiki-date-page', ...trace };
+  }
+}
+
+// ---------- TIER 0.5: Wikidata Date Statements ----------
+async function validateWithWikidataClaims(event, monthName, day) {
+  log.info(`\n      🔍 TIER 0.5: Wikidata Date Statements`);
+  log.info(`         Event: ${event.title}`);
+  log.info(`         QID: ${event.qid}`);
+  
+  const entity = await getWikidataEntity(event.qid);
+  if (!entity) {
+    log.warn(`         ⚠️ Wikidata entity unavailable - skipping`);
+    return { validated: false, reason: 'wikidata-unavailable' };
   }
+  
+  const props = WIKIDATA_DATE_PROPERTIES[event.type] || WIKIDATA_DATE_PROPERTIES.event;
+  const statements = props.flatMap(prop => (entity.claims[prop] || []).map(v => ({ prop, ...parseWikidataTime(v) })))
+    .filter(st => Number.isFinite(st.year));
+  
+  if (statements.length === 0) {
+    log.info(`         ⚠️ No ${props.join('/')} statements - skipping`);
+    METRICS.validation.wikidata_no_claims++;
+    return { validated: false, reason: 'wikidata-no-date-claims', properties: props };
+  }
+  
+  const targetMonth = getMonthNumber(monthName);
+  const targetDay = parseInt(day);
+  const years = eventYears(event);
+  const describe = st => ({ property: st.prop, date: formatIsoDate(st), precision: st.precision, calendar: st.calendar });
+  
+  // Below day precision a statement cannot confirm the day, only the year.
+  // Julian statements are matched through their Gregorian equivalent as well.
+  const dayPrecise = statements
+    .filter(st => st.precision >= 11)
+    .map(st => ({ ...st, date: makeDate(st) }))
+    .filter(st => st.date);
+  const sameDay = dayPrecise
+    .map(st => ({ ...st, form: matchTargetDay(st.date, targetMonth, targetDay) }))
+    .filter(st => st.form);
+  
+  log.info(`         📅 ${statements.length} statement(s), ${dayPrecise.length} day-precise, ${sameDay.length} on ${monthName} ${targetDay}`);
+  
+  const exact = sameDay.find(st => years.includes(st.form.year));
+  if (exact) {
+    log.info(`         ✅✅ WIKIDATA ${exact.prop} CONFIRMS ${describeDate(exact.form)}!`);
+    METRICS.validation.wikidata_success++;
+    return { validated: true, reason: 'wikidata-claim-confirmed', statement: describe(exact), statements: statements.map(describe) };
+  }
+  
+  if (sameDay.length > 0) {
+    const st = sameDay[0];
+    log.info(`         ❌ ${st.prop} has ${describeDate(st.form)} (claimed ${years.map(formatYear).join(' / ')})`);
+    METRICS.validation.wikidata_conflict++;
+    return {
+      validated: false,
+      reason: 'wikidata-year-conflict',
+      actualDate: describeDate(st.form),
+      statement: describe(st),
+      statements: statements.map(describe),
+    };
+  }
+  
+  if (dayPrecise.length > 0) {
+    const st = dayPrecise[0];
+    log.info(`         ❌ ${st.prop} has ${describeDate(st.date)} - different day`);
+    METRICS.validation.wikidata_conflict++;
+    return {
+      validated: false,
+      reason: 'wikidata-date-conflict',
+      actualDate: describeDate(st.date),
+      statement: describe(st),
+      statements: statements.map(describe),
+    };
+  }
+  
+  log.info(`         ⚠️ Only year/month precision - cannot confirm the day`);
+  return { validated: false, reason: 'wikidata-imprecise', statements: statements.map(describe) };
 }
 
 // ---------- TIER 1: Wikipedia Article + QID ----------
 async function validateWithWikipediaArticle(event, monthName, day) {
-  console.log(`\n      🔍 TIER 1: Wikipedia Article Validation`);
-  console.log(`         Event: ${event.title}`);
-  console.log(`         Type: ${event.type}`);
-  console.log(`         QID: ${event.qid || 'NONE'}`);
+  log.info(`\n      🔍 TIER 1: Wikipedia Article Validation`);
+  log.info(`         Event: ${event.title}`);
+  log.info(`         Type: ${event.type}`);
+  log.info(`         QID: ${event.qid || 'NONE'}`);
   
   let wikiSource = (event.sources || []).find(s => 
-    s.includes('wikipedia.org') || s.includes('en.wikipedia.org')
+    hostMatches(host(s), 'wikipedia.org')
   );
   
   // If no Wikipedia source but QID available, get URL from Wikidata
   if (!wikiSource && event.qid) {
-    console.log(`         🔍 No Wikipedia source, trying Wikidata lookup...`);
+    log.info(`         🔍 No Wikipedia source, trying Wikidata lookup...`);
     wikiSource = await getWikipediaUrlFromQID(event.qid);
   }
   
   if (!wikiSource) {
-    console.log(`         ⚠️ No Wikipedia source - skipping`);
+    log.warn(`         ⚠️ No Wikipedia source - skipping`);
     return { validated: false, reason: 'no-wiki-source' };
   }
   
-  console.log(`         📚 Wikipedia URL: ${wikiSource}`);
+  log.info(`         📚 Wikipedia URL: ${wikiSource}`);
   
   // Check if it's a Portal/Selected Anniversaries page
   const isPortalPage = wikiSource.includes('/Portal:') || wikiSource.includes('Selected_anniversaries');
   if (isPortalPage) {
-    console.log(`         📋 Detected Portal/Selected Anniversaries page`);
+    log.info(`         📋 Detected Portal/Selected Anniversaries page`);
   }
   
   try {
     const wikiId = wikiSource.match(/wikipedia\.org\/wiki\/([^#?]+)/)?.[1];
     if (!wikiId) {
-      return { validated: false, reason: 'bad-wiki-url' };
+      return { validated: false, reason: 'bad-wiki-url', url: wikiSource };
     }
     
-    const results = await exaSearch(`site:en.wikipedia.org ${wikiId}`, { numResults: 1 });
-    if (results.length === 0) {
-      return { validated: false, reason: 'wiki-not-found' };
-    }
+    let wikiText = CONTENTS_CACHE.get(wikiSource)?.text;
     
-    const contents = await exaContents([results[0].id]);
-    if (contents.length === 0) {
-      return { validated: false, reason: 'wiki-no-content' };
+    if (wikiText) {
+      log.info(`         💾 Wikipedia article cache hit (${wikiText.length} chars)`);
+    } else {
+      const results = await exaSearch(`site:en.wikipedia.org ${wikiId}`, { numResults: 1 });
+      if (results.length === 0) {
+        return { validated: false, reason: 'wiki-not-found', url: wikiSource };
+      }
+      
+      const contents = await exaContents([results[0].id]);
+      if (contents.length === 0) {
+        return { validated: false, reason: 'wiki-no-content', url: wikiSource };
+      }
+      
+      wikiText = contents[0].text || "";
+      log.info(`         ✅ Wikipedia article fetched (${wikiText.length} chars)`);
+      
+      CONTENTS_CACHE.set(wikiSource, { text: wikiText, timestamp: Date.now() });
     }
     
-    const wikiText = contents[0].text || "";
-    console.log(`         ✅ Wikipedia article fetched (${wikiText.length} chars)`);
-    
-    CONTENTS_CACHE.set(wikiSource, { text: wikiText, timestamp: Date.now() });
-    
     const wikiLower = wikiText.toLowerCase();
     
     // For Portal pages OR birthdays/deaths: NAME-ONLY matching
     if (isPortalPage || event.type === 'birthday' || event.type === 'death') {
       const name = extractName(event.title, event.type);
       if (name) {
-        console.log(`         👤 Searching for name: "${name}"`);
+        log.info(`         👤 Searching for name: "${name}"`);
         const nameLower = name.toLowerCase();
         
         if (wikiLower.includes(nameLower)) {
-          console.log(`         ✅✅ NAME FOUND IN WIKIPEDIA ARTICLE!`);
+          log.info(`         ✅✅ NAME FOUND IN WIKIPEDIA ARTICLE!`);
           METRICS.validation.tier1_success++;
-          return { validated: true, reason: 'wikipedia-article-name-confirmed' };
+          return { validated: true, reason: 'wikipedia-article-name-confirmed', url: wikiSource, name };
         } else {
-          console.log(`         ❌ Name not found in article`);
+          log.info(`         ❌ Name not found in article`);
         }
       }
     }
@@ -642,6 +1960,12 @@ async function validateWithWikipediaArticle(event, monthName, day) {
       `${dayNum} ${monthLower}`,
     ];
     
+    // Articles on dual-dated events often give only the Old Style (or only the New Style) day
+    for (const form of dateForms(eventDate(event))) {
+      if (form.month === getMonthNumber(monthName) && form.day === dayNum) continue;
+      datePatterns.push(`${MONTH_NAMES[form.month - 1]} ${form.day}`, `${form.day} ${MONTH_NAMES[form.month - 1]}`);
+    }
+    
     let dateFound = false;
     let foundPattern = '';
     
@@ -654,17 +1978,18 @@ async function validateWithWikipediaArticle(event, monthName, day) {
       }
     }
     
-    console.log(`         📅 Date pattern (${monthName} ${dayNum}): ${dateFound ? `✅ (${foundPattern})` : '❌'}`);
+    log.info(`         📅 Date pattern (${monthName} ${dayNum}): ${dateFound ? `✅ (${foundPattern})` : '❌'}`);
     
     if (dateFound) {
-      console.log(`         ✅✅ WIKIPEDIA ARTICLE VALIDATION PASSED!`);
+      log.info(`         ✅✅ WIKIPEDIA ARTICLE VALIDATION PASSED!`);
       METRICS.validation.tier1_success++;
-      return { validated: true, reason: 'wikipedia-article-confirmed' };
+      return { validated: true, reason: 'wikipedia-article-confirmed', url: wikiSource, datePattern: foundPattern };
     }
     
     // GPT FALLBACK for birthdays/deaths (gpt-4o-mini)
+    let gptAnswer = null;
     if (event.type === 'birthday' || event.type === 'death') {
-      console.log(`         🤖 GPT Fallback: Checking with GPT-4o-mini...`);
+      log.info(`         🤖 GPT Fallback: Checking with GPT-4o-mini...`);
       METRICS.validation.tier1_gpt_fallback++;
       
       const excerpt = wikiText.substring(0, 1000);
@@ -689,165 +2014,239 @@ Answer:`;
           prompt,
           0.2,
           10,
-          "gpt-4o-mini"
+          CONFIG.models.check
         );
         
         const answerUpper = answer.toUpperCase().trim();
-        console.log(`         🤖 GPT says: ${answerUpper}`);
+        gptAnswer = answerUpper;
+        log.info(`         🤖 GPT says: ${answerUpper}`);
         
         if (answerUpper.includes('YES')) {
-          console.log(`         ✅✅ GPT CONFIRMS DATE!`);
+          log.info(`         ✅✅ GPT CONFIRMS DATE!`);
           METRICS.validation.tier1_success++;
-          return { validated: true, reason: 'wikipedia-article-gpt-confirmed' };
+          return { validated: true, reason: 'wikipedia-article-gpt-confirmed', url: wikiSource, datePattern: null, gptAnswer };
         }
       } catch (err) {
-        console.log(`         ⚠️ GPT fallback error: ${err.message}`);
+        log.warn(`         ⚠️ GPT fallback error: ${err.message}`);
       }
     }
     
-    console.log(`         ❌ Date not confirmed - EVENT REJECTED`);
+    log.info(`         ❌ Date not confirmed - EVENT REJECTED`);
     METRICS.validation.tier1_fail++;
     METRICS.validation.tier1_date_mismatch++;
-    return { validated: false, reason: 'wiki-date-mismatch' };
+    return { validated: false, reason: 'wiki-date-mismatch', url: wikiSource, datePattern: null, gptAnswer };
     
   } catch (err) {
-    console.log(`         ⚠️ Wikipedia article error: ${err.message}`);
+    log.warn(`         ⚠️ Wikipedia article error: ${err.message}`);
     METRICS.validation.tier1_fail++;
-    return { validated: false, reason: 'wiki-error' };
+    return { validated: false, reason: 'wiki-error', url: wikiSource, error: err.message };
   }
 }
 
 // ---------- TIER 2: Perplexity Validator ----------
-async function validateWithPerplexity(event, monthName, day) {
-  console.log(`\n      🔍 TIER 2: Perplexity Date Validator`);
-  console.log(`         Event: ${event.title}`);
-  console.log(`         Date: ${monthName} ${parseInt(day)}, ${event.year}`);
-  
-  const cacheKey = `${event.title}_${monthName}_${day}_${event.year}`;
-  if (PERPLEXITY_VALIDATION_CACHE.has(cacheKey)) {
-    console.log(`         💾 Using cached Perplexity result`);
-    METRICS.cacheHits++;
-    return PERPLEXITY_VALIDATION_CACHE.get(cacheKey);
-  }
-  
-  const prompt = `Did this scientific event happen on the specified date?
+const VERDICTS = ["YES", "NO", "UNCLEAR"];
+const CONFIDENCES = ["HIGH", "MEDIUM", "LOW"];
 
-EVENT: ${event.title}
-CLAIMED DATE: ${monthName} ${parseInt(day)}, ${event.year}
-CONTEXT: ${event.context.substring(0, 300)}
+const VERDICT_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["verdict", "confidence", "actual_date", "reason", "sources"],
+  properties: {
+    verdict: { type: "string", enum: VERDICTS },
+    confidence: { type: "string", enum: CONFIDENCES },
+    actual_date: { type: ["string", "null"] },
+    reason: { type: "string", minLength: 1 },
+    sources: { type: "array", items: { type: "string", pattern: "^https?://" } },
+  },
+};
 
-Research this event and verify if the date is correct.
+function verdictResult(raw, format) {
+  return {
+    verdict: raw.verdict,
+    confidence: raw.confidence,
+    // Only a rejection names the date to correct to
+    actualDate: raw.verdict === "NO" && raw.actualDate ? raw.actualDate : null,
+    reason: raw.reason || "No reason provided",
+    sources: raw.sources || [],
+    format,
+  };
+}
 
-Answer in this exact format:
-VERDICT: YES / NO / UNCLEAR
-CONFIDENCE: HIGH / MEDIUM / LOW
-ACTUAL_DATE: [if different, provide the correct date in format "Month DD, YYYY"]
-REASON: [1-2 sentence explanation with sources]
+// First {...} in the reply, code fences and surrounding prose ignored, trailing commas forgiven
+function parseJsonObject(content) {
+  const match = String(content).replace(/```(?:json)?/gi, "").match(/\{[\s\S]*\}/);
+  if (!match) return null;
+  for (const text of [match[0], match[0].replace(/,(\s*[}\]])/g, "$1")]) {
+    try {
+      const parsed = JSON.parse(text);
+      return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+    } catch {}
+  }
+  return null;
+}
 
-Be strict: Only answer YES if you can confirm the exact date with reliable sources.`;
+// Leading word only, so "UNKNOWN" or "NOT SURE" is no verdict rather than a NO
+function matchChoice(value, choices) {
+  const text = String(value ?? "").toUpperCase().replace(/[*"'\[\]]/g, "").trim();
+  const word = text.match(/^[A-Z]+/)?.[0];
+  if (!choices.includes(word)) return null;
+  // An echoed template ("YES / NO / UNCLEAR") is not an answer either
+  if (choices.some(c => c !== word && new RegExp(`\\b${c}\\b`).test(text))) return null;
+  return word;
+}
 
-  try {
+// Field lookup for loose replies: JSON with other key casing, or "KEY: value" lines
+function looseField(content, json, names) {
+  if (json) {
+    const key = Object.keys(json).find(k => names.includes(k.toLowerCase().replace(/[\s-]/g, "_")));
+    if (key !== undefined) return json[key];
+  }
+  for (const line of String(content).split("\n")) {
+    const match = line.match(/^[\s*#>-]*([A-Za-z_ ]+?)\**\s*:\s*(.*)$/);
+    if (match && names.includes(match[1].trim().toLowerCase().replace(/\s+/g, "_"))) return match[2].trim();
+  }
+  return undefined;
+}
+
+// Strict JSON first (VERDICT_SCHEMA), then a tolerant read of near-misses and the old
+// "VERDICT: …" line format. Without a recognizable verdict the reply is "malformed".
+function parseVerdict(content) {
+  const json = parseJsonObject(content);
+  
+  if (json && validateSchema(json, VERDICT_SCHEMA, "verdict").length === 0) {
+    return verdictResult({ ...json, actualDate: json.actual_date }, "json");
+  }
+  
+  const verdict = matchChoice(looseField(content, json, ["verdict"]), VERDICTS);
+  if (!verdict) {
+    return verdictResult({ verdict: "UNCLEAR", confidence: "LOW", reason: "Malformed verdict" }, "malformed");
+  }
+  
+  const actualDate = looseField(content, json, ["actual_date", "actualdate", "correct_date"]);
+  const reason = looseField(content, json, ["reason", "explanation"]);
+  const sources = looseField(content, json, ["sources", "citations", "urls"]);
+  
+  return verdictResult({
+    verdict,
+    confidence: matchChoice(looseField(content, json, ["confidence"]), CONFIDENCES) || "LOW",
+    actualDate: typeof actualDate === "string" && !/^(null|none|n\/a|-)?$/i.test(actualDate.replace(/[\[\]"]/g, "").trim()) ? actualDate.trim() : null,
+    reason: typeof reason === "string" ? reason.trim() : null,
+    sources: (Array.isArray(sources) ? sources : String(sources || "").split(/[\s,]+/)).filter(u => /^https?:\/\//.test(u)),
+  }, json ? "json-loose" : "text");
+}
+
+async function validateWithPerplexity(event, monthName, day) {
+  log.info(`\n      🔍 TIER 2: Perplexity Date Validator`);
+  log.info(`         Event: ${event.title}`);
+  log.info(`         Date: ${claimedDate(event, monthName, day)}`);
+  
+  const cacheKey = `${event.title}_${monthName}_${day}_${event.year}`;
+  if (PERPLEXITY_VALIDATION_CACHE.has(cacheKey)) {
+    log.info(`         💾 Using cached Perplexity result`);
+    return PERPLEXITY_VALIDATION_CACHE.get(cacheKey);
+  }
+  
+  const prompt = `Did this scientific event happen on the specified date?
+
+EVENT: ${event.title}
+CLAIMED DATE: ${claimedDate(event, monthName, day)}
+CONTEXT: ${event.context.substring(0, 300)}
+
+Research this event and verify if the date is correct.
+
+Answer with only this JSON object:
+{
+  "verdict": "YES" | "NO" | "UNCLEAR",
+  "confidence": "HIGH" | "MEDIUM" | "LOW",
+  "actual_date": null, or if different the correct date as "Month DD, YYYY" (add BC for BC years, O.S. for Old Style dates),
+  "reason": "1-2 sentence explanation",
+  "sources": ["URLs you relied on"]
+}
+
+Be strict: Only answer YES if you can confirm the exact date with reliable sources.`;
+
+  try {
     const response = await callPerplexity(prompt, 3);
     
     const content = response.choices?.[0]?.message?.content || "";
-    console.log(`         🔎 Perplexity response:\n${content.substring(0, 400)}`);
+    log.info(`         🔎 Perplexity response:\n${content.substring(0, 400)}`);
     
     METRICS.apiCalls.perplexity_validation++;
     
-    const lines = content.split('\n');
-    const verdictLine = lines.find(l => l.toUpperCase().includes('VERDICT'));
-    const confidenceLine = lines.find(l => l.toUpperCase().includes('CONFIDENCE'));
-    const actualDateLine = lines.find(l => l.toUpperCase().includes('ACTUAL_DATE'));
-    const reasonLine = lines.find(l => l.toUpperCase().includes('REASON'));
-    
-    let verdict = 'UNCLEAR';
-    if (verdictLine) {
-      const verdictText = verdictLine.toUpperCase();
-      if (verdictText.includes('YES')) verdict = 'YES';
-      else if (verdictText.includes('NO')) verdict = 'NO';
-    }
-    
-    let confidence = 'LOW';
-    if (confidenceLine) {
-      const confText = confidenceLine.toUpperCase();
-      if (confText.includes('HIGH')) confidence = 'HIGH';
-      else if (confText.includes('MEDIUM')) confidence = 'MEDIUM';
-    }
-    
-    let actualDate = null;
-    if (actualDateLine && verdict === 'NO') {
-      const dateMatch = actualDateLine.match(/ACTUAL_DATE:\s*(.+)/i);
-      if (dateMatch) actualDate = dateMatch[1].trim();
+    const result = parseVerdict(content);
+    if (result.sources.length === 0 && Array.isArray(response.citations)) {
+      result.sources = response.citations.filter(u => /^https?:\/\//.test(u));
     }
+    const { verdict, confidence, actualDate, reason } = result;
     
-    let reason = 'No reason provided';
-    if (reasonLine) {
-      const reasonMatch = reasonLine.match(/REASON:\s*(.+)/i);
-      if (reasonMatch) reason = reasonMatch[1].trim();
+    if (result.format === "malformed") {
+      // Not cached: the next run asks again
+      METRICS.validation.tier2_malformed++;
+      log.warn(`         ⚠️ PERPLEXITY REPLY MALFORMED - treating as UNCLEAR`);
+      return result;
     }
+    if (result.format !== "json") log.debug(`         ℹ️ Verdict read from ${result.format} reply`);
     
-    console.log(`         📊 Verdict: ${verdict} (Confidence: ${confidence})`);
-    if (actualDate) console.log(`         📅 Actual date: ${actualDate}`);
-    console.log(`         💬 Reason: ${reason.substring(0, 150)}...`);
-    
-    const result = { verdict, confidence, actualDate, reason };
+    log.info(`         📊 Verdict: ${verdict} (Confidence: ${confidence})`);
+    if (actualDate) log.info(`         📅 Actual date: ${actualDate}`);
+    log.info(`         💬 Reason: ${reason.substring(0, 150)}...`);
     
     PERPLEXITY_VALIDATION_CACHE.set(cacheKey, result);
     
     if (verdict === 'YES') {
       METRICS.validation.tier2_yes++;
-      console.log(`         ✅✅ PERPLEXITY CONFIRMS DATE!`);
+      log.info(`         ✅✅ PERPLEXITY CONFIRMS DATE!`);
     } else if (verdict === 'NO') {
       METRICS.validation.tier2_no++;
-      console.log(`         ❌ PERPLEXITY REJECTS DATE`);
+      log.info(`         ❌ PERPLEXITY REJECTS DATE`);
     } else {
       METRICS.validation.tier2_unclear++;
-      console.log(`         ⚠️ PERPLEXITY UNCLEAR - needs further validation`);
+      log.warn(`         ⚠️ PERPLEXITY UNCLEAR - needs further validation`);
     }
     
     return result;
     
   } catch (err) {
-    console.log(`         ⚠️ Perplexity validation error: ${err.message}`);
+    log.warn(`         ⚠️ Perplexity validation error: ${err.message}`);
     METRICS.validation.tier2_unclear++;
-    return { verdict: 'UNCLEAR', confidence: 'LOW', actualDate: null, reason: `Error: ${err.message}` };
+    return { verdict: 'UNCLEAR', confidence: 'LOW', actualDate: null, reason: `Error: ${err.message}`, sources: [] };
   }
 }
 
 // ---------- TIER 2.5: Year Auto-Correction ----------
 async function correctEventYear(event, actualDateStr, reason, monthName, day) {
-  console.log(`\n      🔧 TIER 2.5: Year Auto-Correction`);
+  log.info(`\n      🔧 TIER 2.5: Year Auto-Correction`);
   
   const actualDate = parsePerplexityDate(actualDateStr);
   
   if (!actualDate) {
-    console.log(`         ⚠️ Could not parse actual date: ${actualDateStr}`);
+    log.warn(`         ⚠️ Could not parse actual date: ${actualDateStr}`);
     return null;
   }
   
-  console.log(`         📅 Parsed: ${actualDate.month} ${actualDate.day}, ${actualDate.year}`);
+  log.info(`         📅 Parsed: ${describeDate(actualDate)}`);
   
-  if (actualDate.month.toLowerCase() === monthName.toLowerCase() && 
-      actualDate.day === parseInt(day)) {
-    
-    console.log(`         ✅ Month+Day correct (${monthName} ${day}), only YEAR wrong`);
-    console.log(`         🔄 Correcting: ${event.year} → ${actualDate.year}`);
+  // An Old Style date can name another day (and year) than the target while being the same day
+  const form = matchTargetDay(actualDate, getMonthNumber(monthName), day);
+  
+  if (form) {
+    log.info(`         ✅ Month+Day correct (${monthName} ${day}), only YEAR wrong`);
+    log.info(`         🔄 Correcting: ${formatYear(event.year)} → ${formatYear(form.year)}`);
     
     const oldYear = event.year;
-    event.year = actualDate.year;
-    event.date = `${actualDate.year}-${String(actualDate.monthNum).padStart(2,'0')}-${String(actualDate.day).padStart(2,'0')}`;
+    applyEventDate(event, actualDate, form);
     
-    console.log(`         ✍️  Asking Perplexity to rewrite context with correct year...`);
+    log.info(`         ✍️  Asking Perplexity to rewrite context with correct year...`);
     
     const rewritePrompt = `Rewrite this event description with the correct year.
 
 EVENT: ${event.title}
-INCORRECT YEAR: ${oldYear}
-CORRECT YEAR: ${actualDate.year}
+INCORRECT YEAR: ${formatYear(oldYear)}
+CORRECT YEAR: ${formatYear(form.year)}
 ORIGINAL CONTEXT: ${event.context}
 REASON FOR CORRECTION: ${reason}
 
-Rewrite the context to reflect the correct year (${actualDate.year}), keeping the same style and length (80-100 words). Use precise scientific language.
+Rewrite the context to reflect the correct year (${formatYear(form.year)}), keeping the same style and length (80-100 words). Use precise scientific language.
 
 Return only the rewritten context:`;
 
@@ -855,33 +2254,33 @@ Return only the rewritten context:`;
       const rewriteResponse = await callPerplexity(rewritePrompt, 3);
       const correctedContext = rewriteResponse.choices?.[0]?.message?.content?.trim() || event.context;
       
-      console.log(`         ✅ Context rewritten (${correctedContext.split(/\s+/).length} words)`);
+      log.info(`         ✅ Context rewritten (${correctedContext.split(/\s+/).length} words)`);
       
       event.context = correctedContext;
       
       METRICS.validation.tier2_year_corrected++;
       
-      return { corrected: true, oldYear, newYear: actualDate.year };
+      return { corrected: true, oldYear, newYear: form.year };
       
     } catch (err) {
-      console.log(`         ⚠️ Context rewrite failed: ${err.message}`);
-      console.log(`         ℹ️  Keeping original context with updated year`);
-      return { corrected: true, oldYear, newYear: actualDate.year, contextRewriteFailed: true };
+      log.warn(`         ⚠️ Context rewrite failed: ${err.message}`);
+      log.info(`         ℹ️  Keeping original context with updated year`);
+      return { corrected: true, oldYear, newYear: form.year, contextRewriteFailed: true };
     }
     
   } else {
-    console.log(`         ❌ Month or Day also wrong - cannot auto-correct`);
-    console.log(`         Expected: ${monthName} ${day}`);
-    console.log(`         Actual: ${actualDate.month} ${actualDate.day}`);
-    return null;
+    log.info(`         ❌ Month or Day also wrong - cannot auto-correct`);
+    log.info(`         Expected: ${monthName} ${day}`);
+    log.info(`         Actual: ${describeDate(actualDate)}`);
+    return { corrected: false, moved: { date: formatIsoDate(actualDate), calendar: actualDate.calendar, marked: !!actualDate.marked } };
   }
 }
 
 // ---------- TIER 3: Exa Search with include_text ----------
 async function validateWithExaIncludeText(event, monthName, day, maxRetries = 3) {
-  console.log(`\n      🔍 TIER 3: Exa include_text Validation`);
-  console.log(`         Event: ${event.title}`);
-  console.log(`         Date: ${monthName} ${parseInt(day)}, ${event.year}`);
+  log.info(`\n      🔍 TIER 3: Exa include_text Validation`);
+  log.info(`         Event: ${event.title}`);
+  log.info(`         Date: ${claimedDate(event, monthName, day)}`);
 
   const keywords = event.keywords || [];
   const titleWords = event.title.split(" ").filter((w) => w.length > 3).slice(0, 5);
@@ -889,70 +2288,76 @@ async function validateWithExaIncludeText(event, monthName, day, maxRetries = 3)
   const query = allKeywords.slice(0, 5).join(" ");
 
   const dateStrings = getMultilingualDateStrings(monthName, day);
-  console.log(`         🌐 Multilingual date filters: ${dateStrings.length} variants`);
-  console.log(`         🔎 Query: "${query}"`);
+  log.info(`         🌐 Multilingual date filters: ${dateStrings.length} variants`);
+  log.info(`         🔎 Query: "${query}"`);
 
   METRICS.validation.tier3++;
 
+  const trace = { query, attempts: 0, resultCount: 0, qualityScore: null, gptAnswers: [] };
+
   for (let attempt = 0; attempt < maxRetries; attempt++) {
+    trace.attempts = attempt + 1;
     try {
       const results = await exaSearch(query, {
         numResults: 15,
         includeText: true,
       });
       const checkedResults = applyUniversalSourceCheck(event, results);
+      trace.resultCount = checkedResults?.length || 0;
 
       if (!checkedResults || checkedResults.length === 0) {
         if (attempt < maxRetries - 1) {
-          console.log(`         ⚠️ No results from Exa, retrying...`);
+          log.warn(`         ⚠️ No results from Exa, retrying...`);
           METRICS.validation.tier3_retries++;
           await sleep(1000);
           continue;
         } else {
-          console.log(`         ❌ No results after ${maxRetries} attempts - REJECTED`);
+          log.info(`         ❌ No results after ${maxRetries} attempts - REJECTED`);
           METRICS.validation.tier3_fail++;
-          return { validated: false, results: [], reason: "exa-no-results" };
+          return { validated: false, results: [], reason: "exa-no-results", ...trace };
         }
       }
 
       const qualityScore = calculateDomainQuality(checkedResults);
-      console.log(`         📊 Domain Quality Score: ${qualityScore.score} points`);
+      log.info(`         📊 Domain Quality Score: ${qualityScore.score} points`);
+      trace.qualityScore = qualityScore;
 
       if (checkedResults.length >= 5 && qualityScore.score >= 3) {
         METRICS.validation.tier3_success++;
-        return { validated: true, results: checkedResults, reason: "exa-strong-signal" };
+        return { validated: true, results: checkedResults, reason: "exa-strong-signal", ...trace };
       }
 
       if (checkedResults.length >= 3 && qualityScore.highTrust > 0) {
         METRICS.validation.tier3_success++;
-        return { validated: true, results: checkedResults, reason: "exa-good-signal" };
+        return { validated: true, results: checkedResults, reason: "exa-good-signal", ...trace };
       }
 
       const verified = await verifyContentWithGPT(event, monthName, day, checkedResults);
+      trace.gptAnswers.push(...verified.answers.map(a => ({ ...a, attempt: attempt + 1 })));
 
       if (verified.count >= 1) {
         METRICS.validation.tier3_success++;
-        return { validated: true, results: checkedResults, reason: "exa-gpt-verified" };
+        return { validated: true, results: checkedResults, reason: "exa-gpt-verified", ...trace };
       } else {
         if (attempt < maxRetries - 1) {
-          console.log(`         ⚠️ Content verification failed, retrying...`);
+          log.warn(`         ⚠️ Content verification failed, retrying...`);
           METRICS.validation.tier3_retries++;
           await sleep(1000);
           continue;
         } else {
           METRICS.validation.tier3_fail++;
-          return { validated: false, results: checkedResults, reason: "exa-gpt-failed" };
+          return { validated: false, results: checkedResults, reason: "exa-gpt-failed", ...trace };
         }
       }
     } catch (e) {
-      console.log(`         ❌ Exa include_text failed: ${e.message}`);
-      if (attempt < maxRetries - 1) {
+      log.info(`         ❌ Exa include_text failed: ${e.message}`);
+      if (attempt < maxRetries - 1 && e.code !== "BUDGET_EXHAUSTED") {
         METRICS.validation.tier3_retries++;
         await sleep(1000);
         continue;
       } else {
         METRICS.validation.tier3_fail++;
-        return { validated: false, results: [], reason: "exa-error" };
+        return { validated: false, results: [], reason: "exa-error", ...trace };
       }
     }
   }
@@ -970,16 +2375,7 @@ function applyUniversalSourceCheck(event, results) {
     const neutral = [];
     const operatorMismatch = [];
 
-    const OPERATOR_DOMAINS = [
-      "blueorigin.com",
-      "www.blueorigin.com",
-      "spacex.com",
-      "www.spacex.com",
-      "nasa.gov",
-      "www.nasa.gov",
-      "esa.int",
-      "www.esa.int",
-    ];
+    const OPERATOR_DOMAINS = ["blueorigin.com", "spacex.com", "nasa.gov", "esa.int"];
 
     for (const r of results) {
       const url = (r.url || "").toLowerCase();
@@ -988,7 +2384,7 @@ function applyUniversalSourceCheck(event, results) {
 
       const hasTarget = foundIds.some((id) => targetIds.includes(id));
       const hasOtherId = foundIds.length > 0 && !hasTarget;
-      const isOperator = OPERATOR_DOMAINS.some((d) => url.includes(d));
+      const isOperator = OPERATOR_DOMAINS.some((d) => hostMatches(host(url), d));
 
       if (hasTarget) {
         exact.push(r);            // perfekte Quelle: ns-36
@@ -1030,6 +2426,11 @@ function extractEventTokens(event) {
   };
 }
 
+// IDs in any case (a lowercased URL or page text), uppercased to compare with the title's
+function extractIdsFromString(str) {
+  return uniq([...String(str).matchAll(/\b[a-z]{2,6}-\d{1,4}\b/gi)].map((m) => m[0].toUpperCase()));
+}
+
 function scoreSourceAgainstTokens(tokens, source) {
   const url = (source.url || "").toLowerCase();
   const text = (source.text || "").toLowerCase();
@@ -1065,21 +2466,20 @@ function calculateDomainQuality(results) {
   let highTrust = 0;
   let historical = 0;
   
+  // Each source adds twice its registry trust: high 2, historical 1.5, listed 1
   for (const result of results) {
-    const url = result.url || "";
-    const h = host(url);
+    const info = domainInfo(result.url || "");
+    if (!info || info.trust === TRUST.blocked) continue;
     
-    if (HIGH_TRUST_DOMAINS.some(d => h.includes(d) || d.includes(h))) {
-      score += 2;
+    score += info.trust * 2;
+    if (info.trust >= TRUST.high) {
       highTrust++;
-      if (DEBUG) console.log(`            ✓ High-trust: ${h}`);
-    } else if (HISTORICAL_DOMAINS.some(d => h.includes(d) || d.includes(h))) {
-      score += 1.5;
+      log.debug(`            ✓ High-trust: ${info.domain} (${info.type})`);
+    } else if (info.historical) {
       historical++;
-      if (DEBUG) console.log(`            ✓ Historical: ${h}`);
-    } else if (allowed(url)) {
-      score += 1;
-      if (DEBUG) console.log(`            ✓ Allowed: ${h}`);
+      log.debug(`            ✓ Historical: ${info.domain} (${info.type})`);
+    } else {
+      log.debug(`            ✓ Allowed: ${info.domain} (${info.type})`);
     }
   }
   
@@ -1088,16 +2488,17 @@ function calculateDomainQuality(results) {
 
 // ---------- TIER 4: Content Verification with GPT-4o-mini ----------
 async function verifyContentWithGPT(event, monthName, day, results) {
-  console.log(`         📚 Checking top 3 sources with GPT-4o-mini`);
+  log.info(`         📚 Checking top 3 sources with GPT-4o-mini`);
   
   const topResults = results.slice(0, 3);
   let verifiedCount = 0;
+  const answers = [];
   
   for (let i = 0; i < topResults.length; i++) {
     const result = topResults[i];
     const url = result.url;
     
-    console.log(`         📄 Source ${i + 1}: ${url.substring(0, 60)}...`);
+    log.info(`         📄 Source ${i + 1}: ${url.substring(0, 60)}...`);
     
     let content = result.text || null;
     
@@ -1108,13 +2509,15 @@ async function verifyContentWithGPT(event, monthName, day, results) {
           content = contents[0].text;
         }
       } catch (err) {
-        console.log(`            ⚠️ Could not fetch content`);
+        log.warn(`            ⚠️ Could not fetch content`);
+        answers.push({ url, answer: null, skipped: 'content-unavailable' });
         continue;
       }
     }
     
     if (!content || content.length < 100) {
-      console.log(`            ⚠️ Content too short or empty`);
+      log.warn(`            ⚠️ Content too short or empty`);
+      answers.push({ url, answer: null, skipped: 'content-too-short' });
       continue;
     }
     
@@ -1138,89 +2541,257 @@ Answer:`;
         prompt,
         0.2,
         10,
-        "gpt-4o-mini"
+        CONFIG.models.check
       );
       
       const answerUpper = answer.toUpperCase().trim();
-      console.log(`            🤖 GPT says: ${answerUpper}`);
+      log.info(`            🤖 GPT says: ${answerUpper}`);
+      answers.push({ url, answer: answerUpper });
       
       if (answerUpper.includes('YES')) {
         verifiedCount++;
       }
     } catch (err) {
-      console.log(`            ⚠️ GPT verification error`);
+      log.warn(`            ⚠️ GPT verification error`);
+      answers.push({ url, answer: null, skipped: 'gpt-error' });
     }
+  }
+  
+  return { count: verifiedCount, total: topResults.length, answers };
+}
+
+// ---------- Ensemble Validation ----------
+// validation.mode "ensemble": instead of publishing on the first confirming tier, every
+// applicable tier votes. A vote moves the log-odds by its strength times logit(reliability),
+// so confidence = sigmoid(logit(prior) + Σ vote · strength · logit(reliability)).
+const logit = p => Math.log(p / (1 - p));
+const sigmoid = x => 1 / (1 + Math.exp(-x));
+
+const CONFIDENCE_STRENGTH = { HIGH: 1, MEDIUM: 0.7, LOW: 0.4 };
+const EXA_STRENGTH = { "exa-strong-signal": 1, "exa-good-signal": 0.8, "exa-gpt-verified": 0.7 };
+
+async function validateEnsemble(event, monthName, day) {
+  log.info(`\n   🛡️ === ENSEMBLE VALIDATION ===`);
+  
+  const settings = CONFIG.validation;
+  const isPerson = event.type === 'birthday' || event.type === 'death';
+  const tiers = [];
+  const signals = [];
+  let logOdds = logit(settings.prior);
+  
+  // vote: 1 confirms, -1 contradicts; strength scales it (0-1)
+  const vote = (source, direction, strength, reason) => {
+    const weight = logit(settings.reliability[source] ?? DEFAULT_CONFIG.validation.reliability[source]);
+    logOdds += direction * strength * weight;
+    signals.push({ source, vote: direction, strength, weight: Number(weight.toFixed(3)), reason });
+    log.info(`      ${direction > 0 ? '➕' : '➖'} ${source}: ${reason} (${(sigmoid(logOdds) * 100).toFixed(0)}%)`);
+  };
+  
+  // Year corrections rewrite the event; later tiers then judge the corrected date
+  // and a date on another day is kept for the pool should the ensemble reject
+  let moved = null;
+  const correct = async (actualDate, reason, evidence) => {
+    const correction = await withLogContext({ tier: "2.5" }, () => correctEventYear(event, actualDate, reason, monthName, day));
+    tiers.push({ tier: '2.5', name: 'year-correction', source: evidence.source, corrected: !!correction?.corrected, actualDate, ...correction });
+    if (correction?.moved && !moved) moved = { date: correction.moved, evidence: { ...evidence, reason } };
+    return !!correction?.corrected;
+  };
+  
+  const otd = await withLogContext({ tier: "0" }, () => validateWithWikipediaOnThisDay(event, monthName, day));
+  tiers.push({ tier: '0', name: 'wiki-on-this-day', ...otd });
+  if (otd.validated === true) vote('wiki-on-this-day', 1, 1, otd.reason);
+  else if (otd.reason === 'wiki-on-this-day-year-mismatch') vote('wiki-on-this-day', -1, 0.5, otd.reason);
+  
+  if (event.qid) {
+    const wikidata = await withLogContext({ tier: "0.5" }, () => validateWithWikidataClaims(event, monthName, day));
+    tiers.push({ tier: '0.5', name: 'wikidata-claims', ...wikidata });
     
-    await sleep(300);
+    if (wikidata.validated === true) {
+      vote('wikidata-claims', 1, 1, wikidata.reason);
+    } else if (wikidata.reason === 'wikidata-year-conflict' || wikidata.reason === 'wikidata-date-conflict') {
+      const reason = `Wikidata ${wikidata.statement.property} states ${wikidata.actualDate}`;
+      if (await correct(wikidata.actualDate, reason, { source: 'wikidata', property: wikidata.statement.property })) {
+        METRICS.validation.wikidata_year_corrected++;
+        vote('wikidata-claims', 1, 0.8, 'year-auto-corrected');
+      } else {
+        // Other events may cite a different milestone than the statement
+        vote('wikidata-claims', -1, isPerson ? 1 : 0.5, wikidata.reason);
+      }
+    }
+  }
+  
+  if (isPerson && event.qid) {
+    const article = await withLogContext({ tier: "1" }, () => validateWithWikipediaArticle(event, monthName, day));
+    tiers.push({ tier: '1', name: 'wiki-article', ...article });
+    if (article.validated === true) vote('wiki-article', 1, 1, article.reason);
+    else if (article.reason === 'wiki-date-mismatch') vote('wiki-article', -1, 1, article.reason);
+  }
+  
+  const perplexity = await withLogContext({ tier: "2" }, () => validateWithPerplexity(event, monthName, day));
+  tiers.push({ tier: '2', name: 'perplexity', ...perplexity });
+  const strength = CONFIDENCE_STRENGTH[perplexity.confidence] ?? CONFIDENCE_STRENGTH.LOW;
+  
+  if (perplexity.verdict === 'YES') {
+    vote('perplexity', 1, strength, 'perplexity-confirmed');
+  } else if (perplexity.verdict === 'NO') {
+    const evidence = { source: 'perplexity', confidence: perplexity.confidence, sources: perplexity.sources || [] };
+    if (perplexity.actualDate && await correct(perplexity.actualDate, perplexity.reason, evidence)) {
+      vote('perplexity', 1, strength * 0.8, 'year-auto-corrected');
+    } else {
+      vote('perplexity', -1, strength, 'perplexity-rejected');
+    }
+  }
+  
+  // Paid search only while it can still change the outcome
+  const best = sigmoid(logOdds + logit(settings.reliability['exa-include-text'] ?? DEFAULT_CONFIG.validation.reliability['exa-include-text']));
+  if (sigmoid(logOdds) < settings.threshold && best >= settings.borderline) {
+    if (budgetAllows("tier3")) {
+      const exa = await withLogContext({ tier: "3" }, () => validateWithExaIncludeText(event, monthName, day, 3));
+      const { results, ...exaTrace } = exa;
+      tiers.push({ tier: '3', name: 'exa-include-text', ...exaTrace, sources: (results || []).map(r => r.url) });
+      
+      if (exa.validated === true) vote('exa-include-text', 1, EXA_STRENGTH[exa.reason] ?? 0.7, exa.reason);
+      else if (exa.reason === 'exa-gpt-failed') vote('exa-include-text', -1, 0.5, exa.reason);
+    } else {
+      log.info(`      💰 Budget is low - skipping Tier 3`);
+      skipForBudget("tier3");
+    }
   }
   
-  return { count: verifiedCount, total: topResults.length };
+  const confidence = Number(sigmoid(logOdds).toFixed(3));
+  const borderline = confidence >= settings.borderline && confidence < settings.threshold;
+  const valid = confidence >= settings.threshold || (borderline && settings.publishBorderline);
+  const reason = confidence >= settings.threshold ? 'ensemble-confident' : borderline ? 'ensemble-borderline' : 'ensemble-rejected';
+  
+  METRICS.ensemble[borderline ? 'borderline' : valid ? 'confident' : 'rejected']++;
+  if (!valid && !borderline && moved) poolCandidate(event, moved.date, moved.evidence);
+  log.info(`      ${valid ? '✅ PASSED' : '❌ REJECTED'} (Ensemble: ${(confidence * 100).toFixed(1)}% from ${signals.length} signal(s)${borderline ? ', borderline' : ''})`);
+  
+  return { valid, method: 'ensemble', reason, tiers, confidence, borderline, signals };
 }
 
 // ---------- MASTER VALIDATION ----------
 async function validateEventReality(event, monthName, day) {
-  console.log(`\n   🛡️ === MULTI-TIER VALIDATION ===`);
+  if (CONFIG.validation.mode === "ensemble") return validateEnsemble(event, monthName, day);
+  
+  log.info(`\n   🛡️ === MULTI-TIER VALIDATION ===`);
+  
+  // Provenance: one entry per tier that ran, emitted with the event as `validation.tiers`
+  const tiers = [];
+  const done = (valid, method, reason) => ({ valid, method, reason, tiers });
   
   // TIER 0: Wikipedia "On This Day" - ONLY for birthdays/deaths (name-matching is fast & cheap)
   if (event.type === 'birthday' || event.type === 'death') {
-    const tier0 = await validateWithWikipediaOnThisDay(event, monthName, day);
+    const tier0 = await withLogContext({ tier: "0" }, () => validateWithWikipediaOnThisDay(event, monthName, day));
+    tiers.push({ tier: '0', name: 'wiki-on-this-day', ...tier0 });
     if (tier0.validated === true) {
-      console.log(`      ✅ PASSED (Tier 0: Wikipedia OTD)`);
-      return { valid: true, method: 'tier0-wiki-on-this-day', reason: tier0.reason };
+      log.info(`      ✅ PASSED (Tier 0: Wikipedia OTD)`);
+      return done(true, 'tier0-wiki-on-this-day', tier0.reason);
+    }
+  }
+  
+  // TIER 0.5: Wikidata date statements - any event with a QID (free, deterministic)
+  if (event.qid) {
+    const wikidata = await withLogContext({ tier: "0.5" }, () => validateWithWikidataClaims(event, monthName, day));
+    tiers.push({ tier: '0.5', name: 'wikidata-claims', ...wikidata });
+    
+    if (wikidata.validated === true) {
+      log.info(`      ✅ PASSED (Tier 0.5: Wikidata ${wikidata.statement.property})`);
+      return done(true, 'tier0.5-wikidata-claims', wikidata.reason);
+    }
+    
+    // A conflicting statement goes through the same year-correction path as a Perplexity NO
+    if (wikidata.reason === 'wikidata-year-conflict' || wikidata.reason === 'wikidata-date-conflict') {
+      const reason = `Wikidata ${wikidata.statement.property} states ${wikidata.actualDate}`;
+      const correction = await withLogContext({ tier: "2.5" }, () => correctEventYear(event, wikidata.actualDate, reason, monthName, day));
+      tiers.push({ tier: '2.5', name: 'year-correction', source: 'wikidata', corrected: !!correction?.corrected, actualDate: wikidata.actualDate, ...correction });
+      
+      if (correction && correction.corrected) {
+        METRICS.validation.wikidata_year_corrected++;
+        log.info(`      🔄 PASSED (Tier 0.5: Year corrected ${correction.oldYear} → ${correction.newYear})`);
+        return done(true, 'tier0.5-wikidata-year-corrected', 'year-auto-corrected');
+      }
+      
+      // Person dates on Wikidata are reliable enough to reject; other events may cite a different milestone
+      if (event.type === 'birthday' || event.type === 'death') {
+        log.info(`      ❌ REJECTED (Tier 0.5: Wikidata date conflict)`);
+        if (correction?.moved) {
+          poolCandidate(event, correction.moved, { source: 'wikidata', reason, property: wikidata.statement.property });
+          return done(false, 'tier0.5-wikidata-claims', 'date-rehomed');
+        }
+        return done(false, 'tier0.5-wikidata-claims', wikidata.reason);
+      }
     }
   }
   
   // TIER 1: Wikipedia Article - ONLY for birthdays/deaths with QID
   if ((event.type === 'birthday' || event.type === 'death') && event.qid) {
-    const tier1 = await validateWithWikipediaArticle(event, monthName, day);
+    const tier1 = await withLogContext({ tier: "1" }, () => validateWithWikipediaArticle(event, monthName, day));
+    tiers.push({ tier: '1', name: 'wiki-article', ...tier1 });
     if (tier1.validated === true) {
-      console.log(`      ✅ PASSED (Tier 1: Wikipedia Article)`);
-      return { valid: true, method: 'tier1-wiki-article', reason: tier1.reason };
+      log.info(`      ✅ PASSED (Tier 1: Wikipedia Article)`);
+      return done(true, 'tier1-wiki-article', tier1.reason);
     }
     if (tier1.reason === 'wiki-date-mismatch') {
-      console.log(`      ❌ REJECTED (Tier 1: Wikipedia date mismatch)`);
-      return { valid: false, method: 'tier1-wiki-article', reason: tier1.reason };
+      log.info(`      ❌ REJECTED (Tier 1: Wikipedia date mismatch)`);
+      return done(false, 'tier1-wiki-article', tier1.reason);
     }
   }
   
   // TIER 2: Perplexity Validation (for ALL events)
-  const tier2 = await validateWithPerplexity(event, monthName, day);
+  const tier2 = await withLogContext({ tier: "2" }, () => validateWithPerplexity(event, monthName, day));
+  tiers.push({ tier: '2', name: 'perplexity', ...tier2 });
   
   if (tier2.verdict === 'YES') {
-    console.log(`      ✅ PASSED (Tier 2: Perplexity confirmed)`);
-    return { valid: true, method: 'tier2-perplexity', reason: 'perplexity-confirmed' };
+    log.info(`      ✅ PASSED (Tier 2: Perplexity confirmed)`);
+    return done(true, 'tier2-perplexity', 'perplexity-confirmed');
   }
   
   if (tier2.verdict === 'NO') {
     if (tier2.actualDate) {
-      const correction = await correctEventYear(event, tier2.actualDate, tier2.reason, monthName, day);
+      const correction = await withLogContext({ tier: "2.5" }, () => correctEventYear(event, tier2.actualDate, tier2.reason, monthName, day));
+      tiers.push({ tier: '2.5', name: 'year-correction', corrected: !!correction?.corrected, actualDate: tier2.actualDate, ...correction });
       
       if (correction && correction.corrected) {
-        console.log(`      🔄 PASSED (Tier 2: Year corrected ${correction.oldYear} → ${correction.newYear})`);
-        return { valid: true, method: 'tier2-perplexity-year-corrected', reason: 'year-auto-corrected' };
+        log.info(`      🔄 PASSED (Tier 2: Year corrected ${correction.oldYear} → ${correction.newYear})`);
+        return done(true, 'tier2-perplexity-year-corrected', 'year-auto-corrected');
+      }
+      
+      if (correction?.moved) {
+        log.info(`      ❌ REJECTED (Tier 2: Perplexity places it on another day)`);
+        poolCandidate(event, correction.moved, { source: 'perplexity', reason: tier2.reason, confidence: tier2.confidence, sources: tier2.sources || [] });
+        return done(false, 'tier2-perplexity', 'date-rehomed');
       }
     }
     
-    console.log(`      ❌ REJECTED (Tier 2: Perplexity definitive NO)`);
-    return { valid: false, method: 'tier2-perplexity', reason: 'perplexity-rejected' };
+    log.info(`      ❌ REJECTED (Tier 2: Perplexity definitive NO)`);
+    return done(false, 'tier2-perplexity', 'perplexity-rejected');
   }
   
   if (tier2.verdict === 'UNCLEAR') {
-    console.log(`\n      ⚠️ Perplexity UNCLEAR - proceeding to Exa include_text...`);
+    if (!budgetAllows("tier3")) {
+      log.info(`\n      💰 Perplexity UNCLEAR but budget is low - skipping Tier 3`);
+      skipForBudget("tier3");
+      return done(false, 'tier3-exa-include-text', 'budget-tier3-skipped');
+    }
     
-    const tier3 = await validateWithExaIncludeText(event, monthName, day, 3);
+    log.warn(`\n      ⚠️ Perplexity UNCLEAR - proceeding to Exa include_text...`);
+    
+    const tier3 = await withLogContext({ tier: "3" }, () => validateWithExaIncludeText(event, monthName, day, 3));
+    const { results, ...tier3Trace } = tier3;
+    tiers.push({ tier: '3', name: 'exa-include-text', ...tier3Trace, sources: (results || []).map(r => r.url) });
     
     if (tier3.validated === true) {
-      console.log(`      ✅ PASSED (Tier 3: Exa include_text + GPT)`);
-      return { valid: true, method: 'tier3-exa-include-text', reason: tier3.reason };
+      log.info(`      ✅ PASSED (Tier 3: Exa include_text + GPT)`);
+      return done(true, 'tier3-exa-include-text', tier3.reason);
     } else {
-      console.log(`      ❌ REJECTED (Tier 3: Exa validation failed)`);
-      return { valid: false, method: 'tier3-exa-include-text', reason: tier3.reason };
+      log.info(`      ❌ REJECTED (Tier 3: Exa validation failed)`);
+      return done(false, 'tier3-exa-include-text', tier3.reason);
     }
   }
   
-  console.log(`      ❌ REJECTED (All tiers failed)`);
-  return { valid: false, method: 'all-tiers-failed', reason: 'no-validation-passed' };
+  log.info(`      ❌ REJECTED (All tiers failed)`);
+  return done(false, 'all-tiers-failed', 'no-validation-passed');
 }
 
 // ---------- Extract Context from Sources ----------
@@ -1230,7 +2801,7 @@ function extractContextFromSources(event, sources) {
   for (const url of sources.slice(0, 4)) {
     if (!CONTENTS_CACHE.has(url)) continue;
     
-    const cached = CONTENTS_CACHE.get(url);
+    const cached = CONTENTS_CACHE.peek(url);
     const text = cached.text || "";
     
     if (text.length < 100) continue;
@@ -1292,7 +2863,7 @@ Return only the rewritten text.`;
       prompt,
       0.7,
       300,
-      "gpt-4o" // ONLY gpt-4o for polishing
+      CONFIG.models.polish
     );
     
     // Comprehensive UTF-8 encoding fix
@@ -1317,24 +2888,156 @@ Return only the rewritten text.`;
     
     return polished;
   } catch (err) {
-    if (DEBUG) console.log(`      ⚠️ GPT polish failed: ${err.message}`);
+    log.debug(`      ⚠️ GPT polish failed: ${err.message}`);
     return event.context;
   }
 }
 
+// ---------- Translations ----------
+// Title and context per configured language (translations.languages). The date is formatted
+// here from MONTH_TRANSLATIONS, not by the model; a translation that changes a name, number
+// or year is retried once and otherwise left out for that event.
+const LOCALES = {
+  de: { name: "German", month: 1, date: (d, m, y) => `${d}. ${m} ${y}`, year: (y, bc) => bc ? `${y} v. Chr.` : `${y}` },
+  fr: { name: "French", month: 2, date: (d, m, y) => `${d === 1 ? "1er" : d} ${m.toLowerCase()} ${y}`, year: (y, bc) => bc ? `${y} av. J.-C.` : `${y}` },
+  es: { name: "Spanish", month: 3, date: (d, m, y) => `${d} de ${m.toLowerCase()} de ${y}`, year: (y, bc) => bc ? `${y} a. C.` : `${y}` },
+  it: { name: "Italian", month: 4, date: (d, m, y) => `${d === 1 ? "1º" : d} ${m.toLowerCase()} ${y}`, year: (y, bc) => bc ? `${y} a.C.` : `${y}` },
+  ja: { name: "Japanese", month: 5, date: (d, m, y) => `${y}${m}${d}日`, year: (y, bc) => bc ? `紀元前${y}年` : `${y}年` },
+};
+
+// "8. Oktober 1900", "8 de octubre de 1900", "紀元前44年3月15日"
+function localizedDate(event, lang) {
+  const date = eventDate(event);
+  const locale = LOCALES[lang];
+  if (!date || !locale) return null;
+  
+  const month = MONTH_TRANSLATIONS[MONTH_NAMES[date.month - 1]][locale.month];
+  return locale.date(date.day, month, locale.year(Math.abs(date.year), date.year < 0));
+}
+
+// Digit runs with thousands separators dropped, so "1,000" and "1.000" compare equal
+function numberTokens(text) {
+  return String(text || "").replace(/(\d)[.,](?=\d{3}\b)/g, "$1").match(/\d+/g) || [];
+}
+
+// What a faithful translation keeps as written: numbers (years included), the person's name
+// and identifiers such as "NS-36" or "GW150914"
+function invariantTokens(event) {
+  const text = `${event.title} ${event.context}`;
+  const name = extractName(event.title, event.type);
+  const identifiers = text.match(/\b(?=[A-Za-z-]*\d)(?=[\d-]*[A-Z])[A-Za-z\d]+(?:-[A-Za-z\d]+)*\b/g) || [];
+  
+  return {
+    numbers: uniq(numberTokens(text)),
+    names: uniq([...(name ? [name] : []), ...identifiers]),
+  };
+}
+
+function missingTokens(keep, translated) {
+  const numbers = new Set(numberTokens(translated));
+  return [
+    ...keep.numbers.filter(n => !numbers.has(n)),
+    ...keep.names.filter(n => !translated.includes(n)),
+  ];
+}
+
+function parseTranslation(text) {
+  try {
+    const parsed = JSON.parse((String(text).match(/\{[\s\S]*\}/) || [""])[0]);
+    if (typeof parsed.title !== "string" || typeof parsed.context !== "string") return null;
+    if (!parsed.title.trim() || !parsed.context.trim()) return null;
+    return { title: parsed.title.trim(), context: parsed.context.trim() };
+  } catch {
+    return null;
+  }
+}
+
+async function translateEvent(event, lang) {
+  const keep = invariantTokens(event);
+  let missing = [];
+  
+  for (let attempt = 0; attempt < 2; attempt++) {
+    if (attempt > 0) METRICS.translations.retried++;
+    
+    const prompt = `Translate this science event into ${LOCALES[lang].name}.
+
+TITLE: ${event.title}
+CONTEXT: ${event.context}
+
+Guidelines:
+- Keep every personal name, number and year exactly as written: no transliteration, no spelled-out numbers.
+- Keep mission names, catalogue numbers and other identifiers unchanged.
+- Translate faithfully - do not add, drop or reinterpret facts.${missing.length > 0 ? `
+- Your previous translation lost: ${missing.join(", ")}. Include them unchanged.` : ''}
+Return only JSON: {"title": "...", "context": "..."}`;
+    
+    let translated;
+    try {
+      translated = parseTranslation(await callOpenAI(
+        `You are a professional translator of science writing into ${LOCALES[lang].name}.`,
+        prompt,
+        0.3,
+        600,
+        CONFIG.models.translate
+      ));
+    } catch (err) {
+      log.debug(`      ⚠️ Translation (${lang}) failed: ${err.message}`);
+      return null;
+    }
+    
+    if (!translated) {
+      log.info(`      ⚠️ ${lang}: unreadable translation`);
+      continue;
+    }
+    
+    missing = missingTokens(keep, `${translated.title} ${translated.context}`);
+    if (missing.length === 0) return translated;
+    log.info(`      ⚠️ ${lang}: translation lost ${missing.join(", ")}`);
+  }
+  
+  return null;
+}
+
+// { de: { title, context, date, wikipedia }, … } for the languages that came through
+async function translateForLocales(event, languages) {
+  const translations = {};
+  
+  for (const lang of languages) {
+    if (!budgetAllows("translate")) {
+      log.info(`      💰 Budget low - skipping translations`);
+      skipForBudget("translate");
+      break;
+    }
+    
+    const translated = await translateEvent(event, lang);
+    if (!translated) {
+      METRICS.translations.failed++;
+      continue;
+    }
+    
+    translations[lang] = {
+      ...translated,
+      date: localizedDate(event, lang),
+      wikipedia: await getWikipediaUrlFromQID(event.qid, lang),
+    };
+    METRICS.translations.translated++;
+  }
+  
+  return translations;
+}
+
 // ---------- EXA Enrichment ----------
 async function enrichWithEXA(event) {
-  const dISO = event.date;
-  if (!dISO || !dISO.match(/^\d{4}-\d{2}-\d{2}$/)) {
+  const date = eventDate(event);
+  if (!date) {
     return [];
   }
-  const [y, m, d] = dISO.split("-");
-  const md = new Date(2000, Number(m) - 1, 1).toLocaleString("en", { month: "long" }) + " " + Number(d);
+  const md = `${MONTH_NAMES[date.month - 1]} ${date.day}`;
   
   // Use exact event title for precision
   const queries = [
     `"${event.title}" "${md}"`,  // Exact title + date
-    `"${event.title}" ${event.year}`,  // Exact title + year
+    `"${event.title}" ${formatYear(date.year)}`,  // Exact title + year
   ];
   
   // Only add broader search for very recent events (< 1 year old)
@@ -1348,7 +3051,7 @@ async function enrichWithEXA(event) {
     try {
       const r = await exaSearch(q, { numResults: 8 });
       hits.push(...r);
-      if (DEBUG) console.log(`      🔎 "${q}" → +${r.length}`);
+      log.debug(`      🔎 "${q}" → +${r.length}`);
     } catch {}
   }
   
@@ -1357,8 +3060,9 @@ async function enrichWithEXA(event) {
   
   if (!kept.length) return [];
   
-  const validated = [];
-  const toFetch = kept.slice(0, 6);
+  const candidates = kept.slice(0, 6);
+  const validated = candidates.filter(k => CONTENTS_CACHE.has(k.url)).map(k => k.url);
+  const toFetch = candidates.filter(k => !CONTENTS_CACHE.has(k.url));
   
   if (toFetch.length > 0) {
     const fetchIds = toFetch.map(k => k.id);
@@ -1375,7 +3079,205 @@ async function enrichWithEXA(event) {
   return uniq(validated).slice(0, 8);
 }
 
+// ---------- LLM JSON Extraction ----------
+// Seed replies are JSON arrays wrapped in prose or code fences, now and then with comments,
+// smart quotes, raw line breaks, missing or trailing commas, or cut off at max_tokens. Each
+// object is parsed on its own so one bad record doesn't cost the batch.
+
+// Whether text[i] ends a string opened with `close`: '"', or "”" for a smart-quoted string,
+// which only ends before : , } or ] so straight quotes inside it stay text
+function endsString(text, i, close) {
+  return close === '"' ? text[i] === '"' : /["”]/.test(text[i]) && /^\s*[:,}\]]/.test(text.slice(i + 1));
+}
+
+// Splits the first top-level array of objects into object sources. Strings (smart-quoted
+// ones included) and comments are skipped so brackets inside them don't count; an unclosed
+// array yields the complete objects before the cut.
+function scanJsonArray(text) {
+  let start = text.search(/\[(?:\s|\/\/[^\n]*\n|\/\*[\s\S]*?\*\/)*\{/);
+  if (start === -1) start = text.search(/\[\s*\]/);
+  if (start === -1) return null;
+  
+  const objects = [];
+  let depth = 0;
+  let objectStart = -1;
+  let close = null;
+  
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    
+    if (close) {
+      if (ch === "\\") i++;
+      else if (endsString(text, i, close)) close = null;
+      continue;
+    }
+    
+    if (ch === '"') {
+      close = '"';
+    } else if (ch === "“" || ch === "”") {
+      close = "”";
+    } else if (ch === "/" && text[i + 1] === "/") {
+      const end = text.indexOf("\n", i);
+      i = end === -1 ? text.length : end;
+    } else if (ch === "/" && text[i + 1] === "*") {
+      const end = text.indexOf("*/", i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else if (ch === "{" || ch === "[") {
+      if (ch === "{" && depth === 1) objectStart = i;
+      depth++;
+    } else if (ch === "}" || ch === "]") {
+      depth--;
+      if (ch === "}" && depth === 1 && objectStart !== -1) {
+        objects.push(text.slice(objectStart, i + 1));
+        objectStart = -1;
+      }
+      if (depth === 0) return { objects, truncated: false };
+    }
+  }
+  
+  return { objects, truncated: true };
+}
+
+// Smart-quoted strings, raw control characters inside strings and comments, in one
+// string-aware pass
+function normalizeJsonText(src, fixes) {
+  let out = "";
+  let close = null; // see endsString
+  
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    
+    if (close) {
+      if (ch === "\\") {
+        out += ch + (src[i + 1] ?? "");
+        i++;
+      } else if (endsString(src, i, close)) {
+        out += '"';
+        close = null;
+      } else if (ch === '"') {
+        out += '\\"';
+        fixes.add("quotes");
+      } else if (ch === "\n" || ch === "\r" || ch === "\t") {
+        out += { "\n": "\\n", "\r": "\\r", "\t": "\\t" }[ch];
+        fixes.add("control-characters");
+      } else {
+        out += ch;
+      }
+    } else if (ch === '"') {
+      out += ch;
+      close = '"';
+    } else if (ch === "“" || ch === "”") {
+      out += '"';
+      close = "”";
+      fixes.add("smart-quotes");
+    } else if (ch === "/" && src[i + 1] === "/") {
+      const end = src.indexOf("\n", i);
+      i = end === -1 ? src.length : end - 1;
+      fixes.add("comments");
+    } else if (ch === "/" && src[i + 1] === "*") {
+      const end = src.indexOf("*/", i + 2);
+      i = end === -1 ? src.length : end + 1;
+      fixes.add("comments");
+    } else {
+      out += ch;
+    }
+  }
+  
+  return out;
+}
+
+// Applies `fn` to the text between string literals (well-formed once normalized)
+function outsideStrings(text, fn) {
+  return text.split(/("(?:[^"\\]|\\[\s\S])*")/).map((part, i) => i % 2 ? part : fn(part)).join("");
+}
+
+// Applied in order until the object parses; each repair is kept only if it changed the text
+const JSON_REPAIRS = [
+  ["normalize", (s, fixes) => normalizeJsonText(s, fixes)],
+  ["trailing-commas", s => s.replace(/,(\s*[}\]])/g, "$1")],
+  ["missing-commas", s => s.replace(/("|\d|true|false|null|[}\]])(\s*\n\s*)(["{[])/g, "$1,$2$3")],
+  // "Nobel Prize, Physics: awarded" is a value, not a key
+  ["unquoted-keys", s => outsideStrings(s, code => code.replace(/([{,]\s*)([A-Za-z_][A-Za-z0-9_]*)(\s*:)/g, '$1"$2"$3'))],
+];
+
+function parseJsonObjectText(src) {
+  const fixes = new Set();
+  let text = src;
+  let error;
+  
+  for (let step = 0; step <= JSON_REPAIRS.length; step++) {
+    if (step > 0) {
+      const [name, repair] = JSON_REPAIRS[step - 1];
+      const repaired = repair(text, fixes);
+      if (repaired === text) continue;
+      if (name !== "normalize") fixes.add(name);
+      text = repaired;
+    }
+    try {
+      const value = JSON.parse(text);
+      if (!value || typeof value !== "object" || Array.isArray(value)) return { error: "not an object" };
+      return { value, fixes: [...fixes] };
+    } catch (err) {
+      error = err.message;
+    }
+  }
+  
+  return { error };
+}
+
+// { items, repaired: [{ index, title, fixes }], dropped: [{ index, error }], truncated },
+// or null when the text holds no array of objects
+function extractJsonArray(text) {
+  const scanned = scanJsonArray(String(text || "").replace(/```(?:json)?/gi, ""));
+  if (!scanned) return null;
+  
+  const result = { items: [], repaired: [], dropped: [], truncated: scanned.truncated };
+  
+  scanned.objects.forEach((src, index) => {
+    const parsed = parseJsonObjectText(src);
+    if (!parsed.value) {
+      result.dropped.push({ index, error: parsed.error });
+      return;
+    }
+    if (parsed.fixes.length > 0) result.repaired.push({ index, title: parsed.value.title, fixes: parsed.fixes });
+    result.items.push(parsed.value);
+  });
+  
+  return result;
+}
+
+function reportExtraction(extracted) {
+  const { items, repaired, dropped, truncated } = extracted;
+  
+  if (truncated) {
+    METRICS.extraction.truncated++;
+    log.warn(`      ✂️ Response cut off - salvaged ${items.length} complete object(s)`);
+  }
+  for (const r of repaired) {
+    log.info(`      🩹 Object ${r.index + 1}${r.title ? ` "${r.title}"` : ''} repaired (${r.fixes.join(", ")})`);
+  }
+  for (const d of dropped) {
+    log.warn(`      ⚠️ Object ${d.index + 1} unreadable, skipped: ${d.error}`);
+  }
+  METRICS.extraction.repaired += repaired.length;
+  METRICS.extraction.dropped += dropped.length;
+}
+
 // ---------- Perplexity Seed ----------
+// Seeds may state a BC year or an Old Style date (`calendar: "julian"`); a marked date is kept
+// if either calendar lands on the target day
+function placeOnTargetDay(event, monthName, day) {
+  const stated = statedDate(event);
+  const form = stated && matchTargetDay(stated, getMonthNumber(monthName), day);
+  if (!form) return false;
+  
+  if (form !== stated) {
+    log.debug(`      📅 ${event.title}: ${describeDate(stated)} is ${describeDate(form)}`);
+  }
+  applyEventDate(event, stated, form);
+  return true;
+}
+
 function buildPerplexityPrompt(category, monthName, day) {
   return `Find ${category.count} significant scientific events, discoveries, or awards that occurred on ${monthName} ${parseInt(day)} (any year in history).
 
@@ -1406,7 +3308,8 @@ For each event provide:
 
 {
   "title": "Brief title (max 60 chars)",
-  "date": "YYYY-MM-DD",
+  "date": "YYYY-MM-DD (BC years negative, e.g. -0044-03-15)",
+  "calendar": "gregorian | julian (the calendar the date is given in)",
   "year": YYYY,
   "category": "science",
   "type": "event | birthday | death",
@@ -1420,7 +3323,7 @@ Return ONLY a valid JSON array with ${category.count} REAL scientific events.`;
 }
 
 async function seedCategory(category, monthName, day) {
-  console.log(`\n🔬 ${category.name}`);
+  log.info(`\n🔬 ${category.name}`);
   
   const prompt = buildPerplexityPrompt(category, monthName, day);
   
@@ -1431,31 +3334,19 @@ async function seedCategory(category, monthName, day) {
       const content = response.choices?.[0]?.message?.content;
       if (!content) throw new Error("No content in Perplexity response");
       
-      const jsonMatch = content.match(/\[[\s\S]*\]/);
-      if (!jsonMatch) throw new Error("No JSON array in response");
+      const extracted = extractJsonArray(content);
+      if (!extracted) throw new Error("No JSON array in response");
+      reportExtraction(extracted);
       
-      let jsonStr = jsonMatch[0];
-      jsonStr = jsonStr.replace(/,(\s*[}\]])/g, '$1');
+      const events = extracted.items;
       
-      let events;
-      try {
-        events = JSON.parse(jsonStr);
-      } catch (parseErr) {
-        if (attempt < 2) {
-          console.log(`      🔄 Retry ${attempt + 1}/3...`);
-          await sleep(1000);
-          continue;
-        }
-        throw parseErr;
-      }
-      
-      if (!Array.isArray(events) || events.length === 0) {
+      if (events.length === 0) {
         if (attempt < 2) {
-          console.log(`      🔄 Empty result, retry ${attempt + 1}/3...`);
+          log.info(`      🔄 Empty result, retry ${attempt + 1}/3...`);
           await sleep(1000);
           continue;
         }
-        console.log("   ⚠️ No events found after retries");
+        log.warn("   ⚠️ No events found after retries");
         return [];
       }
       
@@ -1471,7 +3362,7 @@ async function seedCategory(category, monthName, day) {
         ];
         
         if (errorPhrases.some(phrase => titleLower.includes(phrase) || contextLower.includes(phrase))) {
-          if (DEBUG) console.log(`      ⚠️ Filtering Perplexity error response: ${e.title}`);
+          log.debug(`      ⚠️ Filtering Perplexity error response: ${e.title}`);
           return false;
         }
         
@@ -1492,21 +3383,13 @@ async function seedCategory(category, monthName, day) {
           );
           
           if (!isLegitimateImage) {
-            if (DEBUG) console.log(`      ⚠️ Filtering out APOD feature: ${e.title}`);
+            log.debug(`      ⚠️ Filtering out APOD feature: ${e.title}`);
             return false;
           }
         }
         
         if (!e.title || e.title.length < 10) return false;
-        if (!e.date || !e.date.match(/^\d{4}-\d{2}-\d{2}$/)) return false;
-        
-        const [year, eventMonth, eventDay] = e.date.split('-');
-        const monthIndex = new Date(2000, parseInt(eventMonth) - 1).getMonth();
-        const expectedMonthIndex = new Date(Date.parse(monthName + " 1, 2000")).getMonth();
-        
-        if (monthIndex !== expectedMonthIndex || parseInt(eventDay) !== parseInt(day)) {
-          return false;
-        }
+        if (!placeOnTargetDay(e, monthName, day)) return false;
         
         if (!e.context || e.context.length < 50) return false;
         return true;
@@ -1514,27 +3397,27 @@ async function seedCategory(category, monthName, day) {
       
       if (validEvents.length === 0) {
         if (attempt < 2) {
-          console.log(`      🔄 No valid events, retry ${attempt + 1}/3...`);
+          log.info(`      🔄 No valid events, retry ${attempt + 1}/3...`);
           await sleep(1000);
           continue;
         }
-        console.log("   ⚠️ No valid events after filtering");
+        log.warn("   ⚠️ No valid events after filtering");
         return [];
       }
       
       METRICS.events.seeded += validEvents.length;
-      console.log(`   ✅ Seeded ${validEvents.length} event(s)`);
+      log.info(`   ✅ Seeded ${validEvents.length} event(s)`);
       
       return validEvents;
       
     } catch (err) {
-      if (attempt < 2) {
-        console.log(`   ⚠️ Error: ${err.message}`);
-        console.log(`   🔄 Retry ${attempt + 1}/3...`);
+      if (attempt < 2 && err.code !== "BUDGET_EXHAUSTED") {
+        log.warn(`   ⚠️ Error: ${err.message}`);
+        log.info(`   🔄 Retry ${attempt + 1}/3...`);
         await sleep(2000);
         continue;
       }
-      console.error(`   ❌ Seed failed: ${err.message}`);
+      log.error(`   ❌ Seed failed: ${err.message}`);
       return [];
     }
   }
@@ -1543,8 +3426,10 @@ async function seedCategory(category, monthName, day) {
 }
 
 // ---------- Birthdays/Deaths Fallback ----------
+const FALLBACK_CATEGORY = "Birthdays & Deaths";
+
 async function seedBirthdaysDeaths(needed, monthName, day) {
-  console.log(`\n   🎂 Fallback: Birthdays/Deaths of World-Changing Scientists`);
+  log.info(`\n   🎂 Fallback: Birthdays/Deaths of World-Changing Scientists`);
   
   const prompt = `Find ${needed} births or deaths of scientists who fundamentally changed the world on ${monthName} ${parseInt(day)} (any year).
 
@@ -1555,7 +3440,8 @@ Examples: Einstein, Darwin, Curie, Newton, Pasteur, Tesla, Feynman, Hawking.
 For each person provide:
 {
   "title": "Name born/died (max 60 chars)",
-  "date": "YYYY-MM-DD",
+  "date": "YYYY-MM-DD (BC years negative, e.g. -0044-03-15)",
+  "calendar": "gregorian | julian (the calendar the date is given in)",
   "year": YYYY,
   "category": "science",
   "type": "birthday | death",
@@ -1573,17 +3459,15 @@ Return ONLY a valid JSON array with ${needed} scientists.`;
       const content = response.choices?.[0]?.message?.content;
       if (!content) throw new Error("No content");
       
-      const jsonMatch = content.match(/\[[\s\S]*\]/);
-      if (!jsonMatch) throw new Error("No JSON array");
+      const extracted = extractJsonArray(content);
+      if (!extracted) throw new Error("No JSON array");
+      reportExtraction(extracted);
       
-      let jsonStr = jsonMatch[0];
-      jsonStr = jsonStr.replace(/,(\s*[}\]])/g, '$1');
+      const events = extracted.items;
       
-      let events = JSON.parse(jsonStr);
-      
-      if (!Array.isArray(events) || events.length === 0) {
+      if (events.length === 0) {
         if (attempt < 2) {
-          console.log(`      🔄 Retry ${attempt + 1}/3...`);
+          log.info(`      🔄 Retry ${attempt + 1}/3...`);
           await sleep(1000);
           continue;
         }
@@ -1591,15 +3475,7 @@ Return ONLY a valid JSON array with ${needed} scientists.`;
       }
       
       const validEvents = events.filter(e => {
-        if (!e.date || !e.date.match(/^\d{4}-\d{2}-\d{2}$/)) return false;
-        
-        const [year, eventMonth, eventDay] = e.date.split('-');
-        const monthIndex = new Date(2000, parseInt(eventMonth) - 1).getMonth();
-        const expectedMonthIndex = new Date(Date.parse(monthName + " 1, 2000")).getMonth();
-        
-        if (monthIndex !== expectedMonthIndex || parseInt(eventDay) !== parseInt(day)) {
-          return false;
-        }
+        if (!placeOnTargetDay(e, monthName, day)) return false;
         
         if (e.type !== 'birthday' && e.type !== 'death') return false;
         return true;
@@ -1607,7 +3483,7 @@ Return ONLY a valid JSON array with ${needed} scientists.`;
       
       if (validEvents.length === 0) {
         if (attempt < 2) {
-          console.log(`      🔄 Retry ${attempt + 1}/3...`);
+          log.info(`      🔄 Retry ${attempt + 1}/3...`);
           await sleep(1000);
           continue;
         }
@@ -1615,13 +3491,13 @@ Return ONLY a valid JSON array with ${needed} scientists.`;
       }
       
       METRICS.events.seeded += validEvents.length;
-      console.log(`   ✅ Found ${validEvents.length} scientist(s)`);
+      log.info(`   ✅ Found ${validEvents.length} scientist(s)`);
       
       return validEvents.slice(0, needed);
       
     } catch (err) {
-      if (attempt < 2) {
-        console.log(`   🔄 Retry ${attempt + 1}/3...`);
+      if (attempt < 2 && err.code !== "BUDGET_EXHAUSTED") {
+        log.info(`   🔄 Retry ${attempt + 1}/3...`);
         await sleep(2000);
         continue;
       }
@@ -1636,7 +3512,7 @@ Return ONLY a valid JSON array with ${needed} scientists.`;
 function filterSourcesByKeywords(event, sources) {
   if (sources.length <= 2) return sources; // Keep all if we have very few
   
-  console.log(`      🔍 Strict keyword-based source filtering...`);
+  log.info(`      🔍 Strict keyword-based source filtering...`);
   
   // Extract important keywords from title and existing keywords
   const titleWords = event.title.toLowerCase()
@@ -1650,13 +3526,13 @@ function filterSourcesByKeywords(event, sources) {
   // Detect if we have numeric IDs (like "NS-36", "2025", "Voyager 1")
   const hasNumericIDs = allKeywords.some(k => /\d+/.test(k));
   
-  console.log(`      📋 Keywords: ${allKeywords.slice(0, 8).join(', ')}${allKeywords.length > 8 ? '...' : ''}`);
+  log.info(`      📋 Keywords: ${allKeywords.slice(0, 8).join(', ')}${allKeywords.length > 8 ? '...' : ''}`);
   if (hasNumericIDs) {
-    console.log(`      🔢 Numeric IDs detected - using STRICT matching`);
+    log.info(`      🔢 Numeric IDs detected - using STRICT matching`);
   }
   
   const scored = sources.map(url => {
-    const cached = CONTENTS_CACHE.get(url);
+    const cached = CONTENTS_CACHE.peek(url);
     if (!cached) return { url, score: 1, foundKeywords: [], strictFail: false }; // Keep uncached with low score
     
     const text = (cached.text || "").toLowerCase();
@@ -1687,9 +3563,7 @@ function filterSourcesByKeywords(event, sources) {
           // For numeric IDs: if it's a critical ID and not found, mark as strict fail
           if (eventKeywords.includes(kwLower)) {
             strictFail = true;
-            if (DEBUG) {
-              console.log(`         ❌ ${url.substring(0, 40)}... missing critical ID: ${keyword}`);
-            }
+            log.debug(`         ❌ ${url.substring(0, 40)}... missing critical ID: ${keyword}`);
           }
         }
       } else {
@@ -1702,8 +3576,7 @@ function filterSourcesByKeywords(event, sources) {
     }
     
     // Bonus for high-trust domains
-    const h = host(url);
-    if (HIGH_TRUST_DOMAINS.some(d => h.includes(d) || d.includes(h))) {
+    if (isHighTrust(url)) {
       score += 2;
     }
     
@@ -1712,8 +3585,8 @@ function filterSourcesByKeywords(event, sources) {
       score = 0;
     }
     
-    if (DEBUG && score > 0) {
-      console.log(`         ✓ ${url.substring(0, 50)}... → ${score} pts (${foundKeywords.slice(0, 3).join(', ')})`);
+    if (score > 0) {
+      log.debug(`         ✓ ${url.substring(0, 50)}... → ${score} pts (${foundKeywords.slice(0, 3).join(', ')})`);
     }
     
     return { url, score, foundKeywords, strictFail };
@@ -1734,228 +3607,2090 @@ function filterSourcesByKeywords(event, sources) {
   if (filtered.length >= 2) {
     const removed = sources.length - filtered.length;
     if (removed > 0) {
-      console.log(`      🧹 Filtered out ${removed} low-relevance source(s)`);
-      console.log(`      ✅ Kept ${filtered.length} high-quality sources`);
+      log.info(`      🧹 Filtered out ${removed} low-relevance source(s)`);
+      log.info(`      ✅ Kept ${filtered.length} high-quality sources`);
     }
     return filtered;
   }
   
   // Fallback: If strict filtering removed everything, keep top 2 sources with ANY keyword matches
-  console.log(`      ⚠️ Strict filtering too aggressive, using fallback...`);
+  log.warn(`      ⚠️ Strict filtering too aggressive, using fallback...`);
   const fallback = scored
     .filter(s => s.score > 0 && s.foundKeywords.length >= 1)
     .slice(0, 2)
     .map(s => s.url);
   
   if (fallback.length > 0) {
-    console.log(`      📋 Keeping ${fallback.length} sources with at least 1 keyword match`);
+    log.info(`      📋 Keeping ${fallback.length} sources with at least 1 keyword match`);
     return fallback;
   }
   
   // Last resort: keep top 2 even if low score
-  console.log(`      ⚠️ No keyword matches found - keeping top 2 sources anyway`);
+  log.warn(`      ⚠️ No keyword matches found - keeping top 2 sources anyway`);
   return scored.slice(0, 2).map(s => s.url);
 }
 
-// ---------- Process Event ----------
-async function processEvent(event, monthName, day) {
-  console.log(`\n   📌 ${event.title} (${event.year})`);
-  console.log(`      Type: ${event.type}`);
-  console.log(`      QID: ${event.qid || 'NONE'}`);
-  console.log(`      Sources: ${(event.sources || []).length}`);
-  
-  const validation = await validateEventReality(event, monthName, day);
+// ---------- Source Hygiene ----------
+// Runs on the keyword-filtered sources. URLs are canonicalized first (no tracking
+// parameters or fragments, one form per Wikipedia article, DOI and arXiv paper), then
+// fetched once, following redirects. Dead links (4xx/5xx) and soft 404s (a "not found"
+// page served with 200, or an article URL that lands on the front page) are dropped;
+// sources that block bots or do not answer are kept. Redirected sources are replaced by
+// where they lead, except DOIs, and duplicates are removed. Results are cached per URL.
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|mc_cid|mc_eid|igshid|_ga|_gl|_hsenc|_hsmi|mkt_tok|ref_src|cmpid|icid|ncid|s_cid|smid|at_medium|at_campaign|wt\.mc_id)$/i;
+const SOFT_404 = /\b(page|article|file|content|story)\s+(was\s+)?not\s+found\b|\bcould not be found\b|\bno longer (available|exists)\b|\bdoes(n't| not) exist\b|\b404\b/i;
+const MAX_REDIRECTS = 5;
+const BLOCKED_STATUS = [401, 403, 429];
+const HEALTH_METRIC = { redirected: "redirected", dead: "dead", "soft-404": "soft404", blocked: "blocked", unreachable: "unreachable" };
+
+function canonicalizeUrl(raw) {
+  let url;
+  try { url = new URL(String(raw).trim().replace(/^doi:\s*/i, "https://doi.org/")); }
+  catch { return null; }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return null;
   
-  if (!validation.valid) {
-    console.log(`\n      ❌ VALIDATION FAILED - Event dropped`);
-    console.log(`         Method: ${validation.method}`);
-    console.log(`         Reason: ${validation.reason}`);
-    METRICS.events.dropped++;
-    METRICS.dropReasons[validation.reason] = (METRICS.dropReasons[validation.reason] || 0) + 1;
-    return null;
+  url.protocol = "https:";
+  url.hash = "";
+  for (const key of [...url.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
   }
   
-  console.log(`\n      ✅ VALIDATION PASSED`);
-  console.log(`         Method: ${validation.method}`);
-  console.log(`         Reason: ${validation.reason}`);
-  
-  const perplexitySources = (event.sources || []).filter(s => s && allowed(s));
-  const contextWordCount = (event.context || "").split(/\s+/).length;
-  
-  // Enrich if: (1) too few sources, (2) no EU source, or (3) context too short
-  const needsEnrichment = perplexitySources.length < 2 || 
-    (perplexitySources.length < 3 && !hasEuropeanSource(perplexitySources)) ||
-    contextWordCount < 70;
-  
-  let finalSources = perplexitySources;
-  
-  if (needsEnrichment) {
-    console.log(`      🔍 Needs enrichment`);
-    const exaSources = await enrichWithEXA(event);
-    finalSources = uniq([...perplexitySources, ...exaSources]);
-    METRICS.events.enriched++;
+  // en.m.wikipedia.org/wiki/X, en.wikipedia.org/w/index.php?title=X → en.wikipedia.org/wiki/X
+  const wiki = url.hostname.match(/^([a-z-]+)\.(?:m\.)?wikipedia\.org$/);
+  if (wiki) {
+    url.hostname = `${wiki[1]}.wikipedia.org`;
+    const title = url.pathname === "/w/index.php" && !url.searchParams.has("oldid") && url.searchParams.get("title");
+    if (title) {
+      url.pathname = `/wiki/${title}`;
+      url.search = "";
+    }
+    url.pathname = url.pathname.replace(/%20/g, "_");
   }
   
-  // Apply improved keyword-based filtering
-  finalSources = filterSourcesByKeywords(event, finalSources);
-  
-  if (finalSources.length === 0) {
-    console.log(`      ✗ No valid sources`);
-    METRICS.events.dropped++;
-    METRICS.dropReasons["no-sources"] = (METRICS.dropReasons["no-sources"] || 0) + 1;
-    return null;
+  // dx.doi.org/10.1000/ABC, doi:10.1000/abc → doi.org/10.1000/abc (DOIs ignore case)
+  if (/^(?:dx\.|www\.)?doi\.org$/.test(url.hostname)) {
+    url.hostname = "doi.org";
+    url.pathname = url.pathname.toLowerCase();
   }
   
-  let additionalContext = "";
-  if (contextWordCount < 80) {
-    console.log(`      📚 Context short (${contextWordCount} words)`);
-    additionalContext = extractContextFromSources(event, finalSources);
+  // arxiv.org/pdf/2101.00001v2.pdf, export.arxiv.org/abs/2101.00001 → arxiv.org/abs/2101.00001
+  const arxiv = /^(?:www\.|export\.)?arxiv\.org$/.test(url.hostname) && url.pathname.match(/^\/(?:abs|pdf)\/(.+?)(?:v\d+)?(?:\.pdf)?\/?$/);
+  if (arxiv) {
+    url.hostname = "arxiv.org";
+    url.pathname = `/abs/${arxiv[1]}`;
+    url.search = "";
   }
   
-  console.log(`      ✍️  Polishing text...`);
-  const polishedContext = await polishWithGPT(event, finalSources, additionalContext);
-  const wordCount = polishedContext.split(/\s+/).length;
-  console.log(`      ✅ ${wordCount} words`);
-  
-  event.context = polishedContext;
-  event.sources = finalSources.slice(0, 5);  // MAX 5 SOURCES
-  
-  console.log(`      📚 Final sources: ${event.sources.length}`);
-  
-  METRICS.events.validated++;
-  return event;
+  return url.toString();
 }
 
-// ---------- Main ----------
-async function fetchCategory(category, monthName, day) {
-  const events = await seedCategory(category, monthName, day);
-  if (events.length === 0) return [];
+// URLs that differ only in "www." or a trailing slash are the same source
+function sourceKey(url) {
+  const u = new URL(url);
+  return `${u.hostname.replace(/^www\./, "")}${u.pathname.replace(/\/+$/, "")}${u.search}`;
+}
+
+function isSoft404(body, requested, final) {
+  const title = (body.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1] || "";
+  if (SOFT_404.test(title)) return true;
+  if (new URL(requested).pathname.length > 1 && new URL(final).pathname === "/") return true;
   
-  const processed = [];
-  for (const event of events) {
-    const result = await processEvent(event, monthName, day);
-    if (result) processed.push(result);
-    await sleep(500);
+  // Only short pages: a long article may well mention a 404
+  const text = body
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/\s+/g, " ");
+  return text.length < 1500 && SOFT_404.test(text);
+}
+
+async function fetchHealth(url) {
+  let current = url;
+  
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    let res;
+    try {
+      res = await httpRequest("web", current, {
+        headers: { "User-Agent": USER_AGENT, "Accept": "text/html,application/xhtml+xml,*/*" },
+        timeout: 15000
+      });
+      METRICS.apiCalls.web++;
+      if (res.status >= 300 && res.status < 400 && res.headers?.location) {
+        current = new URL(res.headers.location, current).toString();
+        continue;
+      }
+    } catch (err) {
+      return { status: "unreachable", code: null, finalUrl: current, reason: err.message };
+    }
+    
+    const result = (status, reason = null) => ({ status, code: res.status, finalUrl: current, reason });
+    if (BLOCKED_STATUS.includes(res.status)) return result("blocked", `HTTP ${res.status}`);
+    if (res.status >= 400) return result("dead", `HTTP ${res.status}`);
+    if (isSoft404(res.body || "", url, current)) return result("soft-404", "not-found page");
+    return result(current === url ? "ok" : "redirected");
+  }
+  
+  return { status: "dead", code: null, finalUrl: current, reason: `more than ${MAX_REDIRECTS} redirects` };
+}
+
+async function checkSource(url) {
+  const cached = URL_HEALTH_CACHE.peek(url);
+  if (cached) return cached;
+  
+  const health = await dedupeInFlight("url_health", url, () => fetchHealth(url));
+  // Timeouts and server errors may be gone by the next run
+  if (health.status !== "unreachable" && !(health.code >= 500)) URL_HEALTH_CACHE.set(url, health);
+  return health;
+}
+
+async function cleanSources(sources) {
+  const candidates = sources
+    .map(url => ({ url, canonical: canonicalizeUrl(url) }))
+    .filter(s => s.canonical);
+  const health = CONFIG.pipeline.checkSources
+    ? await mapLimit(candidates, PIPELINE.concurrency, s => checkSource(s.canonical))
+    : candidates.map(() => null);
+  const failed = h => h?.status === "dead" || h?.status === "soft-404";
+  // A source that stopped working is kept as its archived copy, if there is one
+  const fallbacks = await mapLimit(candidates, PIPELINE.concurrency, (s, i) =>
+    CONFIG.archive.enabled && failed(health[i]) ? findSnapshot(s.canonical) : null);
+  
+  const seen = new Set();
+  const kept = [];
+  
+  candidates.forEach((s, i) => {
+    const h = health[i];
+    if (s.canonical !== s.url) METRICS.sources.canonicalized++;
+    if (h) {
+      METRICS.sources.checked++;
+      if (HEALTH_METRIC[h.status]) METRICS.sources[HEALTH_METRIC[h.status]]++;
+    }
+    
+    if (failed(h) && !fallbacks[i]) {
+      log.info(`      🪦 Dropping ${s.canonical} (${h.reason})`);
+      return;
+    }
+    if (failed(h)) log.info(`      🗄️ ${s.canonical} failed (${h.reason}), using its snapshot`);
+    
+    // A DOI stays the stable link even though it redirects to the publisher
+    const url = fallbacks[i]?.url
+      || (h?.status === "redirected" && host(s.canonical) !== "doi.org" ? canonicalizeUrl(h.finalUrl) : null)
+      || s.canonical;
+    
+    const key = sourceKey(url);
+    if (seen.has(key)) {
+      METRICS.sources.duplicates++;
+      return;
+    }
+    seen.add(key);
+    
+    // Fetched text stays reachable under the new URL for context and evidence
+    if (url !== s.url && CONTENTS_CACHE.has(s.url) && !CONTENTS_CACHE.has(url)) {
+      CONTENTS_CACHE.set(url, CONTENTS_CACHE.peek(s.url));
+    }
+    kept.push(url);
+  });
+  
+  if (kept.length !== sources.length) log.info(`      🩺 Source hygiene: kept ${kept.length}/${sources.length}`);
+  return kept;
+}
+
+// ---------- Web Archive ----------
+// Each published source is paired with a snapshot: the closest existing capture (CDX API),
+// or a new one requested through /save/ when there is none or the closest is older than
+// archive.maxAgeDays. Snapshots are cached per source URL; cleanSources falls back to
+// them once a source fails its health check.
+const ARCHIVE_STATUSES = ["found", "saved", "missing", "fallback"];
+const SNAPSHOT_PATH = /\/web\/(\d{14})[a-z_]*\/(https?:\/\/.+)$/;
+
+function waybackStamp(date = new Date()) {
+  return date.toISOString().replace(/\D/g, "").slice(0, 14);
+}
+
+// https://web.archive.org/web/20231008120000/https://example.com/a → { url, original, timestamp }
+function parseSnapshot(url) {
+  const m = url.match(SNAPSHOT_PATH);
+  if (!m) return null;
+  const [, ts, original] = m;
+  const timestamp = `${ts.slice(0, 4)}-${ts.slice(4, 6)}-${ts.slice(6, 8)}T${ts.slice(8, 10)}:${ts.slice(10, 12)}:${ts.slice(12, 14)}Z`;
+  return { url, original, timestamp };
+}
+
+async function findSnapshot(url) {
+  const cached = ARCHIVE_CACHE.get(url);
+  if (cached) return cached;
+  
+  const query = new URLSearchParams({
+    url, output: "json", fl: "timestamp,original", filter: "statuscode:200",
+    sort: "closest", closest: waybackStamp(), limit: "1",
+  });
+  
+  try {
+    const res = await httpRequest("archive", `/cdx/search/cdx?${query}`, { headers: { "User-Agent": USER_AGENT } });
+    METRICS.apiCalls.archive++;
+    if (res.status >= 400) throw new Error(`HTTP ${res.status}`);
+    
+    // A header row, then captures; no captures is [] or an empty body
+    const [, row] = res.body.trim() ? JSON.parse(res.body) : [];
+    if (!row) return null;
+    const base = PROVIDER_ENDPOINTS.archive.replace(/\/+$/, "");
+    const snapshot = { ...parseSnapshot(`${base}/web/${row[0]}/${row[1]}`), status: "found" };
+    ARCHIVE_CACHE.set(url, snapshot);
+    return snapshot;
+  } catch (err) {
+    log.warn(`      ⚠️ Archive lookup failed for ${url}: ${err.message}`);
+    return null;
+  }
+}
+
+async function saveSnapshot(url) {
+  try {
+    // Captures take a while; the archive answers with where the snapshot lives
+    const res = await httpRequest("archive", `/save/${url}`, { headers: { "User-Agent": USER_AGENT }, timeout: 90000 });
+    METRICS.apiCalls.archive++;
+    const location = res.headers?.["content-location"] || res.headers?.location;
+    const parsed = location && parseSnapshot(new URL(location, PROVIDER_ENDPOINTS.archive).toString());
+    if (!parsed) throw new Error(res.status >= 400 ? `HTTP ${res.status}` : "no snapshot location in response");
+    
+    const snapshot = { ...parsed, status: "saved" };
+    ARCHIVE_CACHE.set(url, snapshot);
+    return snapshot;
+  } catch (err) {
+    log.warn(`      ⚠️ Archive capture failed for ${url}: ${err.message}`);
+    return null;
+  }
+}
+
+async function archiveSource(url) {
+  // Already a snapshot: cleanSources' stand-in for a dead source
+  const fallback = parseSnapshot(url);
+  if (fallback) return { url: fallback.original, snapshot: url, timestamp: fallback.timestamp, status: "fallback" };
+  
+  let snapshot = await findSnapshot(url);
+  const stale = snapshot && Date.now() - Date.parse(snapshot.timestamp) > CONFIG.archive.maxAgeDays * DAY_MS;
+  if ((!snapshot || stale) && CONFIG.archive.save) snapshot = await saveSnapshot(url) || snapshot;
+  
+  return snapshot
+    ? { url, snapshot: snapshot.url, timestamp: snapshot.timestamp, status: snapshot.status }
+    : { url, snapshot: null, timestamp: null, status: "missing" };
+}
+
+async function archiveSources(urls) {
+  const archives = await mapLimit(urls, PIPELINE.concurrency, archiveSource);
+  for (const a of archives) METRICS.archive[a.status]++;
+  
+  const archived = archives.filter(a => a.snapshot).length;
+  log.info(`      🗄️ Archived: ${archived}/${archives.length} source(s)`);
+  return archives;
+}
+
+// ---------- Source Evidence ----------
+// Per kept source, the passage in its cached text (CONTENTS_CACHE) that states the event:
+// the quote, its offset in the cached text, which of date/year/subject it names and a
+// text-fragment link that scrolls to it. Sources without a supporting passage are moved
+// behind those with one.
+const EVIDENCE_RANK = { supported: 0, partial: 1, uncached: 2, none: 3 };
+
+function evidenceTerms(event) {
+  const date = eventDate(event);
+  const stated = event.dualDate ? parseIsoDate(event.dualDate.date, event.dualDate.calendar) : null;
+  const forms = uniq([...dateForms(date), ...dateForms(stated)].map(f => `${f.month}-${f.day}`))
+    .map(md => md.split("-").map(Number));
+  
+  // "October 8" must not match "October 18"
+  const datePatterns = uniq(forms.flatMap(([month, day]) => getMultilingualDateStrings(MONTH_NAMES[month - 1], day)))
+    .map(s => new RegExp(`(?<!\\d)${s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?!\\d)`, "i"));
+  const years = eventYears(event).map(y => new RegExp(`(?<!\\d)${Math.abs(y)}(?!\\d)`));
+  
+  const name = extractName(event.title, event.type);
+  const words = normalizeTitle(event.title).split(" ")
+    .filter(w => w.length > 3 && !/^\d+$/.test(w) && !MONTH_NAMES.some(m => m.toLowerCase() === w));
+  
+  return {
+    datePatterns,
+    years,
+    names: name ? uniq([name, name.split(/\s+/).pop()]).map(n => n.toLowerCase()) : [],
+    ids: extractEventTokens(event).ids.map(id => id.toLowerCase()),
+    words,
+  };
+}
+
+function matchEvidence(text, terms) {
+  const lower = text.toLowerCase();
+  
+  // People by full name or surname; events by an ID from the title or two title words
+  let subject;
+  if (terms.names.length > 0) {
+    subject = terms.names.some(n => lower.includes(n));
+  } else {
+    const words = terms.words.filter(w => lower.includes(w)).length;
+    subject = terms.ids.some(id => lower.includes(id)) || (terms.words.length > 0 && words >= Math.min(2, terms.words.length));
+  }
+  
+  return {
+    date: terms.datePatterns.some(p => p.test(text)),
+    year: terms.years.some(p => p.test(text)),
+    subject,
+  };
+}
+
+// Sentences with their offsets; a boundary is . ! or ? before a capital or digit, or a line break
+function splitSentences(text) {
+  const sentences = [];
+  let start = 0;
+  const push = end => {
+    const raw = text.slice(start, end);
+    const body = raw.trim();
+    if (body) sentences.push({ text: body, offset: start + raw.length - raw.trimStart().length });
+  };
+  
+  for (const m of text.matchAll(/[.!?](?=\s+["“(]?[A-Z0-9])|\n+/g)) {
+    const newline = m[0][0] === "\n";
+    push(newline ? m.index : m.index + 1);
+    start = m.index + m[0].length;
+  }
+  push(text.length);
+  
+  return sentences;
+}
+
+// Markdown from Exa contents, reduced to the words a reader sees on the page
+function plainQuote(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/[*_`#>]+/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// https://developer.mozilla.org/docs/Web/URI/Fragment/Text_fragments
+function textFragmentLink(url, quote) {
+  // "-" and "," delimit fragment terms; parentheses would end a Markdown link
+  const encode = s => encodeURIComponent(s).replace(/[-()]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  const words = quote.split(" ");
+  const fragment = words.length > 12
+    ? `${encode(words.slice(0, 5).join(" "))},${encode(words.slice(-5).join(" "))}`
+    : encode(quote);
+  return `${url.split("#")[0]}#:~:text=${fragment}`;
+}
+
+function sourceEvidence(url, terms) {
+  const text = CONTENTS_CACHE.peek(url)?.text || "";
+  if (text.length < 100) return { url, status: "uncached" };
+  
+  // Single sentences, and pairs for a date and subject split across two
+  const sentences = splitSentences(text);
+  let best = null;
+  
+  sentences.forEach((sentence, i) => {
+    for (const span of [1, 2]) {
+      const last = sentences[i + span - 1];
+      if (!last) continue;
+      const end = last.offset + last.text.length;
+      if (end - sentence.offset > 600) continue;
+      
+      const passage = text.slice(sentence.offset, end);
+      const matched = matchEvidence(passage, terms);
+      const score = matched.date * 3 + matched.subject * 2 + matched.year - (span - 1) * 0.5;
+      if (score > 0 && (!best || score > best.score)) best = { offset: sentence.offset, passage, matched, score };
+    }
+  });
+  
+  if (!best) return { url, status: "none", matched: { date: false, year: false, subject: false } };
+  
+  const quote = plainQuote(best.passage);
+  return {
+    url,
+    status: best.matched.date && best.matched.subject ? "supported" : "partial",
+    quote,
+    offset: best.offset,
+    matched: best.matched,
+    link: textFragmentLink(url, quote),
+  };
+}
+
+// Evidence per source, best-supported first (ties keep the keyword filter's order)
+function collectEvidence(event, sources) {
+  const terms = evidenceTerms(event);
+  const evidence = sources
+    .map((url, index) => ({ index, record: sourceEvidence(url, terms) }))
+    .sort((a, b) => EVIDENCE_RANK[a.record.status] - EVIDENCE_RANK[b.record.status] || a.index - b.index)
+    .map(e => e.record);
+  
+  const supported = evidence.filter(e => e.status === "supported").length;
+  log.info(`      🔖 Evidence: ${supported}/${evidence.length} source(s) quote the event and date`);
+  
+  return evidence;
+}
+
+// ---------- Deduplication ----------
+// Categories are seeded independently and the birthdays/deaths fallback knows nothing
+// about them, so the same event can come back more than once. Duplicates are merged
+// before processEvent: only the best candidate is validated and published.
+const TITLE_STOPWORDS = new Set(["the", "of", "and", "a", "an", "in", "on", "for", "to", "by", "with", "at", "from", "is", "was"]);
+
+function normalizeTitle(title) {
+  return String(title || "")
+    .toLowerCase()
+    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9\s-]/g, " ")
+    .split(/\s+/)
+    .filter(w => w && !TITLE_STOPWORDS.has(w))
+    .join(" ");
+}
+
+function dedupeFingerprint(event) {
+  const tokens = extractEventTokens(event);
+  const title = normalizeTitle(event.title);
+  const isPerson = event.type === "birthday" || event.type === "death";
+  return {
+    qid: /^Q\d+$/.test(event.qid || "") ? event.qid : null,
+    title,
+    years: eventYears(event),
+    type: event.type,
+    person: isPerson ? (extractName(event.title, event.type) || "").toLowerCase() : "",
+    ids: tokens.ids.map(id => id.toLowerCase()),
+    words: new Set(title.split(" ").filter(w => w.length > 3)),
+    keywords: new Set(tokens.keywords),
+    text: `${event.title} ${(event.keywords || []).join(" ")}`.toLowerCase(),
+  };
+}
+
+// Why `b` duplicates `a`, or null
+function duplicateReason(a, b) {
+  const sameYear = a.years.some(y => b.years.includes(y));
+  
+  if (a.qid && a.qid === b.qid && (sameYear || a.type === b.type)) return "same-qid";
+  if (a.title && a.title === b.title && sameYear) return "same-title";
+  
+  // A birthday/death adds nothing next to an event about the same person (full names only)
+  if (a.person.includes(" ") && b.text.includes(a.person)) return "person-covered";
+  if (b.person.includes(" ") && a.text.includes(b.person)) return "person-covered";
+  
+  if (!sameYear) return null;
+  if (a.ids.some(id => b.ids.includes(id))) return "same-entities";
+  
+  const sharedKeywords = [...a.keywords].filter(k => b.keywords.has(k)).length;
+  const sharedWords = [...a.words].filter(w => b.words.has(w)).length;
+  if (sharedKeywords >= 2 && sharedWords / Math.max(1, Math.min(a.words.size, b.words.size)) >= 0.5) return "same-entities";
+  
+  return null;
+}
+
+function candidateScore(event) {
+  const sources = (event.sources || []).filter(s => s && allowed(s));
+  const words = (event.context || "").split(/\s+/).length;
+  return (event.qid ? 3 : 0)
+    + Math.min(sources.length, 5)
+    + (hasEuropeanSource(sources) ? 1 : 0)
+    + Math.min(Math.floor(words / 40), 3)
+    + Math.min((event.keywords || []).length, 3);
+}
+
+// candidates/kept: [{ event, category }]. Kept entries (already published) always win;
+// of the rest the best-scoring candidate is kept and records what was merged into it.
+function dedupeCandidates(candidates, kept = []) {
+  const groups = kept.map(entry => ({ entry, fp: dedupeFingerprint(entry.event), kept: true }));
+  const ranked = candidates
+    .map((entry, index) => ({ entry, index, score: candidateScore(entry.event) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+  
+  const winners = [];
+  for (const { entry, index } of ranked) {
+    const fp = dedupeFingerprint(entry.event);
+    const match = groups.map(g => ({ group: g, reason: duplicateReason(g.fp, fp) })).find(m => m.reason);
+    
+    if (!match) {
+      groups.push({ entry, fp, kept: false });
+      winners.push({ entry, index });
+      continue;
+    }
+    
+    const { group: { entry: into }, reason } = match;
+    log.info(`   🔁 Merged "${entry.event.title}" (${entry.category}) into "${into.event.title}" (${into.category || "published"}): ${reason}`);
+    METRICS.dedup.merged++;
+    METRICS.dedup.reasons[reason] = (METRICS.dedup.reasons[reason] || 0) + 1;
+    if (into.earlier) METRICS.dedup.published++;
+    
+    into.event.dedup = into.event.dedup || { merged: [] };
+    into.event.dedup.merged.push({ title: entry.event.title, category: entry.category, reason });
+  }
+  
+  return winners.sort((a, b) => a.index - b.index).map(w => w.entry);
+}
+
+// Events published for this date by earlier runs, as kept dedup entries
+function publishedEarlier(dateStr) {
+  const ledger = PUBLISHED_LEDGER.peek(dateStr);
+  return (ledger?.events || []).map(event => ({ event: { ...event }, category: `published ${event.publishedAt.slice(0, 10)}`, earlier: true }));
+}
+
+function ledgerEntry(event, file) {
+  return {
+    title: event.title,
+    date: event.date,
+    calendar: event.calendar,
+    year: event.year,
+    type: event.type,
+    qid: event.qid || null,
+    keywords: event.keywords || [],
+    file,
+    publishedAt: new Date().toISOString(),
+  };
+}
+
+// Newer entries replace the ones they duplicate, so a rerun does not grow the ledger
+function recordPublished(dateStr, entries) {
+  if (entries.length === 0) return;
+  const fresh = entries.map(dedupeFingerprint);
+  const previous = (PUBLISHED_LEDGER.peek(dateStr)?.events || [])
+    .filter(old => !fresh.some(fp => duplicateReason(fp, dedupeFingerprint(old))));
+  PUBLISHED_LEDGER.set(dateStr, { events: [...previous, ...entries] });
+}
+
+// ---------- Candidate Pool ----------
+// Events a validator placed on another day wait in CANDIDATE_POOL under that day's MM-DD,
+// with the evidence that moved them. A run for that date draws them before seeding and
+// validates them again like any seeded event. A marked Old Style date waits under the
+// Gregorian day it is published on (Newton: 25 December 1642 O.S. under 01-04).
+function poolCandidate(event, moved, evidence) {
+  const parsed = parseIsoDate(moved.date, moved.calendar);
+  if (!parsed) return null;
+  
+  const stated = moved.marked || parsed.calendar !== assumedCalendar(parsed) ? { ...parsed, marked: true } : parsed;
+  const filed = dateForms(stated).find(f => f.calendar === "gregorian") || stated;
+  const key = formatIsoDate(filed).slice(-5);
+  const pooled = {
+    title: event.title,
+    type: event.type,
+    category: event.category,
+    qid: event.qid || null,
+    context: event.context,
+    sources: event.sources || [],
+    keywords: event.keywords || [],
+  };
+  applyEventDate(pooled, stated, filed);
+  
+  const record = { ...evidence, claimedDate: event.date, foundAt: new Date().toISOString() };
+  const candidates = CANDIDATE_POOL.peek(key)?.candidates || [];
+  const fp = dedupeFingerprint(pooled);
+  const existing = candidates.find(c => duplicateReason(dedupeFingerprint(c.event), fp));
+  
+  if (existing) {
+    existing.evidence.push(record);
+  } else {
+    candidates.push({ event: pooled, category: LOG_CONTEXT.getStore()?.category || null, evidence: [record] });
+  }
+  CANDIDATE_POOL.set(key, { candidates });
+  
+  METRICS.pool.added++;
+  log.info(`      ♻️  Pooled for ${key} (${describeDate(stated)})`);
+  return key;
+}
+
+// Takes the date's pooled candidates in the given categories out of the pool; the rest stay
+function drawPooled(dateStr, categoryNames, monthName, day) {
+  const candidates = CANDIDATE_POOL.peek(dateStr)?.candidates || [];
+  const drawn = candidates.filter(c => categoryNames.includes(c.category));
+  if (drawn.length === 0) return [];
+  
+  const rest = candidates.filter(c => !drawn.includes(c));
+  if (rest.length > 0) CANDIDATE_POOL.set(dateStr, { candidates: rest });
+  else CANDIDATE_POOL.delete(dateStr);
+  
+  const placed = drawn
+    .map(c => ({ event: { ...c.event, rehomed: c.evidence }, category: c.category }))
+    .filter(c => placeOnTargetDay(c.event, monthName, day));
+  
+  METRICS.pool.drawn += placed.length;
+  METRICS.events.seeded += placed.length;
+  log.info(`♻️  ${placed.length} pooled candidate(s) for ${dateStr}`);
+  return placed;
+}
+
+// ---------- Review Queue ----------
+// Events the validators rejected, borderline ones, and validated events dropped for lack of
+// sources or a schema violation wait in REVIEW_QUEUE under the run's MM-DD with the tier
+// trace that decided them, until an editor settles them with the `review` command. Every
+// later run for that date publishes approved items without validating them again (with the
+// editor's year, context or pinned sources) and skips seeded events that match a rejected one.
+
+function queueForReview(event, validation, reason) {
+  const context = LOG_CONTEXT.getStore() || {};
+  const key = context.date || formatIsoDate(eventDate(event)).slice(-5);
+  const id = context.eventId || crypto.createHash("sha1").update(`${key}|${event.title}`).digest("hex").slice(0, 8);
+  const now = new Date().toISOString();
+  
+  const items = REVIEW_QUEUE.peek(key)?.items || [];
+  const existing = items.find(i => i.id === id);
+  // An editor's decision outlives later runs rejecting the event again
+  if (existing && existing.status !== "pending") return existing;
+  
+  const item = {
+    id,
+    status: "pending",
+    category: context.category || null,
+    reason,
+    method: validation.method,
+    ...(validation.confidence !== undefined && { confidence: validation.confidence }),
+    tiers: validation.tiers || [],
+    event: {
+      title: event.title,
+      date: event.date,
+      calendar: event.calendar,
+      year: event.year,
+      ...(event.dualDate && { dualDate: event.dualDate }),
+      type: event.type,
+      category: event.category,
+      qid: event.qid || null,
+      context: event.context,
+      sources: event.sources || [],
+      keywords: event.keywords || [],
+    },
+    queuedAt: existing?.queuedAt || now,
+    updatedAt: now,
+  };
+  if (existing) Object.assign(existing, item);
+  else items.push(item);
+  REVIEW_QUEUE.set(key, { items });
+  
+  METRICS.review.queued++;
+  log.info(`      📝 Queued for review as ${id} (${reason})`);
+  return item;
+}
+
+// The queued event with the editor's changes, marked so the pipeline skips validation
+function reviewedEvent(item) {
+  const edits = item.edits || {};
+  const event = {
+    ...item.event,
+    sources: edits.sources || item.event.sources,
+    review: { id: item.id, decidedAt: item.decidedAt, edited: Object.keys(edits), tiers: item.tiers },
+  };
+  if (edits.context) event.context = edits.context;
+  
+  const date = edits.year !== undefined && eventDate(event);
+  const edited = date && makeDate({ year: edits.year, month: date.month, day: date.day });
+  if (edited) applyEventDate(event, edited, edited);
+  return event;
+}
+
+function reviewedValidation(review) {
+  return {
+    valid: true,
+    method: "editorial",
+    reason: review.edited.length > 0 ? `approved-with-${review.edited.join("-")}` : "approved",
+    tiers: [...review.tiers, { tier: "review", name: "editorial", id: review.id, decidedAt: review.decidedAt, edited: review.edited }],
+  };
+}
+
+// The date's decisions: approved items as candidates, rejected items as fingerprints.
+// `originals` are the approved events as queued, so seeded events still match an
+// approval whose year the editor changed.
+function reviewDecisions(dateStr, categoryNames, monthName, day) {
+  const items = REVIEW_QUEUE.peek(dateStr)?.items || [];
+  const rejected = items.filter(i => i.status === "rejected").map(i => dedupeFingerprint(i.event));
+  const decided = items.filter(i => i.status === "approved" && categoryNames.includes(i.category));
+  const approved = decided
+    .map(i => ({ event: reviewedEvent(i), category: i.category }))
+    .filter(c => placeOnTargetDay(c.event, monthName, day));
+  const originals = decided.map(i => ({ event: { ...i.event }, category: `review ${i.id}` }));
+  
+  if (approved.length + rejected.length > 0) {
+    log.info(`📝 Review decisions for ${dateStr}: ${approved.length} approved, ${rejected.length} rejected`);
+  }
+  METRICS.review.approved += approved.length;
+  METRICS.events.seeded += approved.length;
+  return { approved, originals, rejected };
+}
+
+function withoutRejected(entries, rejected) {
+  return entries.filter(({ event }) => {
+    const fp = dedupeFingerprint(event);
+    if (!rejected.some(r => duplicateReason(r, fp))) return true;
+    log.info(`   📝 Skipping "${event.title}": rejected in review`);
+    METRICS.review.rejected++;
+    return false;
+  });
+}
+
+// Queue items by ID across all dates, for the `review` command
+function findReviewItem(id) {
+  for (const { key } of REVIEW_QUEUE.entries()) {
+    const entry = REVIEW_QUEUE.peek(key);
+    const item = entry?.items.find(i => i.id === id);
+    if (item) return { date: key, entry, item };
+  }
+  return null;
+}
+
+// ---------- Process Event ----------
+function eventIdFor(event, monthName, day) {
+  return crypto.createHash("sha1").update(`${monthName}_${day}|${event.title}`).digest("hex").slice(0, 8);
+}
+
+async function processEvent(event, monthName, day) {
+  const scope = { spent: 0, reserved: 0, budgetExhausted: false, budgetSkipped: [] };
+  const eventId = eventIdFor(event, monthName, day);
+  return withLogContext({ eventId }, () => EVENT_SCOPE.run(scope, () => runEventPipeline(event, monthName, day, scope)));
+}
+
+function markBudget(event, scope) {
+  if (!scope.budgetExhausted && scope.budgetSkipped.length === 0) return;
+  event.budget = { exhausted: scope.budgetExhausted, skipped: uniq(scope.budgetSkipped) };
+  if (scope.budgetExhausted) METRICS.budget.exhausted++;
+}
+
+async function runEventPipeline(event, monthName, day, scope) {
+  log.info(`\n   📌 ${event.title} (${formatYear(event.year)})`);
+  log.info(`      Type: ${event.type}`);
+  log.info(`      QID: ${event.qid || 'NONE'}`);
+  log.info(`      Sources: ${(event.sources || []).length}`);
+  
+  const validation = event.review ? reviewedValidation(event.review) : await validateEventReality(event, monthName, day);
+  
+  if (!validation.valid) {
+    // A tier that failed because a call was refused by the budget is not a real rejection
+    const reason = scope.budgetExhausted ? 'budget-exhausted' : validation.reason;
+    log.info(`\n      ❌ VALIDATION FAILED - Event dropped`);
+    log.info(`         Method: ${validation.method}`);
+    log.info(`         Reason: ${reason}`);
+    // Rehomed events are retried on their own date
+    if (reason !== 'budget-exhausted' && reason !== 'date-rehomed') queueForReview(event, validation, reason);
+    markBudget(event, scope);
+    METRICS.events.dropped++;
+    METRICS.dropReasons[reason] = (METRICS.dropReasons[reason] || 0) + 1;
+    return null;
+  }
+  
+  log.info(`\n      ✅ VALIDATION PASSED`);
+  log.info(`         Method: ${validation.method}`);
+  log.info(`         Reason: ${validation.reason}`);
+  
+  event.validation = { method: validation.method, reason: validation.reason, tiers: validation.tiers };
+  if (validation.confidence !== undefined) {
+    Object.assign(event.validation, { confidence: validation.confidence, borderline: validation.borderline, signals: validation.signals });
+    if (validation.borderline) queueForReview(event, validation, validation.reason);
+  }
+  
+  // Sources an editor pinned are published as they are
+  const pinned = !!event.review?.edited.includes("sources");
+  const perplexitySources = (event.sources || []).filter(s => s && (pinned || allowed(s)));
+  const contextWordCount = (event.context || "").split(/\s+/).length;
+  
+  // Enrich if: (1) too few sources, (2) no EU source, or (3) context too short
+  const needsEnrichment = perplexitySources.length < 2 || 
+    (perplexitySources.length < 3 && !hasEuropeanSource(perplexitySources)) ||
+    contextWordCount < 70;
+  
+  let finalSources = perplexitySources;
+  
+  if (needsEnrichment && !pinned) {
+    log.info(`      🔍 Needs enrichment`);
+    const exaSources = await enrichWithEXA(event);
+    finalSources = uniq([...perplexitySources, ...exaSources]);
+    METRICS.events.enriched++;
+  }
+  
+  // Apply improved keyword-based filtering
+  if (!pinned) {
+    finalSources = filterSourcesByKeywords(event, finalSources);
+    finalSources = await cleanSources(finalSources);
+  }
+  
+  if (finalSources.length === 0) {
+    log.info(`      ✗ No valid sources`);
+    queueForReview(event, validation, "no-sources");
+    METRICS.events.dropped++;
+    METRICS.dropReasons["no-sources"] = (METRICS.dropReasons["no-sources"] || 0) + 1;
+    return null;
+  }
+  
+  let additionalContext = "";
+  if (contextWordCount < 80) {
+    log.info(`      📚 Context short (${contextWordCount} words)`);
+    additionalContext = extractContextFromSources(event, finalSources);
+  }
+  
+  if (event.review?.edited.includes("context")) {
+    log.info(`      📝 Keeping the reviewed context`);
+  } else if (budgetAllows("polish")) {
+    log.info(`      ✍️  Polishing text...`);
+    const polishedContext = await polishWithGPT(event, finalSources, additionalContext);
+    const wordCount = polishedContext.split(/\s+/).length;
+    log.info(`      ✅ ${wordCount} words`);
+    event.context = polishedContext;
+  } else {
+    log.info(`      💰 Budget low - keeping unpolished context`);
+    skipForBudget("polish");
+  }
+  
+  const languages = uniq(CONFIG.translations.languages);
+  if (languages.length > 0) {
+    log.info(`      🌍 Translating (${languages.join(", ")})...`);
+    const translations = await translateForLocales(event, languages);
+    if (Object.keys(translations).length > 0) event.translations = translations;
+  }
+  
+  const ranked = collectEvidence(event, finalSources);
+  // Pinned sources keep the editor's order and number
+  const evidence = pinned ? finalSources.map(url => ranked.find(e => e.url === url)) : ranked.slice(0, CONFIG.pipeline.maxSources);
+  event.sources = evidence.map(e => e.url);
+  event.evidence = evidence;
+  for (const e of evidence) METRICS.evidence[e.status]++;
+  if (CONFIG.archive.enabled) event.archives = await archiveSources(event.sources);
+  markBudget(event, scope);
+  
+  log.info(`      📚 Final sources: ${event.sources.length}`);
+  
+  METRICS.events.validated++;
+  return event;
+}
+
+// ---------- Main ----------
+// `eventSlots` is shared between categories so the whole date stays within PIPELINE.concurrency
+async function fetchCategory(category, monthName, day, eventSlots = createSemaphore(PIPELINE.concurrency)) {
+  return withLogContext({ category: category.name }, () => fetchCategoryInContext(category, monthName, day, eventSlots));
+}
+
+async function fetchCategoryInContext(category, monthName, day, eventSlots) {
+  const seeded = await seedCategory(category, monthName, day);
+  const events = dedupeCandidates(seeded.map(event => ({ event, category: category.name }))).map(c => c.event);
+  return processCategory(category, events, monthName, day, eventSlots);
+}
+
+async function processCategory(category, events, monthName, day, eventSlots) {
+  if (events.length === 0) return [];
+  
+  const results = await Promise.all(events.map(event => eventSlots.run(() => processEvent(event, monthName, day))));
+  const processed = results.filter(Boolean);
+  
+  log.info(`   ✅ Validated ${processed.length}/${category.count}`);
+  
+  return processed.slice(0, category.count);
+}
+
+// ---------- Output Schema ----------
+// Shape of every published event and of the file around them. Bump the version on any
+// change a consumer could notice: major for removed/renamed fields, minor for additions.
+const OUTPUT_SCHEMA_VERSION = "1.5.0";
+
+const TRANSLATION_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["title", "context", "date", "wikipedia"],
+  properties: {
+    title: { type: "string", minLength: 1, maxLength: 200 },
+    context: { type: "string", minLength: 1 },
+    date: { type: ["string", "null"], description: "Localized full date, e.g. \"8. Oktober 1900\"" },
+    wikipedia: { type: ["string", "null"], pattern: "^https://[a-z]+\\.wikipedia\\.org/", description: "Article in this language, from the Wikidata sitelinks" },
+  },
+};
+
+const EVENT_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["title", "date", "year", "calendar", "category", "type", "qid", "context", "sources", "keywords", "validation"],
+  properties: {
+    title: { type: "string", minLength: 1, maxLength: 200 },
+    date: { type: "string", pattern: "^(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$", description: "MM-DD of the published day" },
+    year: { type: "integer", description: "Historical year, negative for BC (no year 0)" },
+    calendar: { type: "string", enum: ["gregorian", "julian"] },
+    dualDate: {
+      type: "object",
+      additionalProperties: false,
+      required: ["date", "calendar"],
+      description: "The date as originally stated when it is in the other calendar",
+      properties: {
+        date: { type: "string", pattern: "^-?\\d{4}-\\d{2}-\\d{2}$" },
+        calendar: { type: "string", enum: ["gregorian", "julian"] },
+      },
+    },
+    category: { type: "string", minLength: 1 },
+    type: { type: "string", enum: ["event", "birthday", "death"] },
+    qid: { type: ["string", "null"], pattern: "^Q\\d+$" },
+    context: { type: "string", minLength: 1 },
+    sources: { type: "array", minItems: 1, items: { type: "string", pattern: "^https?://" } },
+    keywords: { type: "array", items: { type: "string", minLength: 1 } },
+    validation: {
+      type: "object",
+      additionalProperties: false,
+      required: ["method", "reason", "tiers"],
+      properties: {
+        method: { type: "string", minLength: 1 },
+        reason: { type: "string", minLength: 1 },
+        tiers: { type: "array", items: { type: "object", required: ["tier", "name"] } },
+        confidence: { type: "number", minimum: 0, maximum: 1, description: "Ensemble mode only (since 1.2.0)" },
+        borderline: { type: "boolean" },
+        signals: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["source", "vote", "strength", "weight", "reason"],
+            properties: {
+              source: { type: "string" },
+              vote: { type: "integer", enum: [1, -1] },
+              strength: { type: "number", minimum: 0, maximum: 1 },
+              weight: { type: "number" },
+              reason: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+    budget: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        exhausted: { type: "boolean" },
+        skipped: { type: "array", items: { type: "string" } },
+      },
+    },
+    dedup: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        merged: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["title", "reason"],
+            properties: { title: { type: "string" }, category: { type: "string" }, reason: { type: "string" } },
+          },
+        },
+      },
+    },
+    evidence: {
+      type: "array",
+      description: "One record per source, in the order of sources (since 1.4.0)",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["url", "status"],
+        properties: {
+          url: { type: "string", pattern: "^https?://" },
+          status: { type: "string", enum: Object.keys(EVIDENCE_RANK) },
+          quote: { type: "string", minLength: 1 },
+          offset: { type: "integer", minimum: 0, description: "Start of the quote in the cached source text" },
+          matched: {
+            type: "object",
+            additionalProperties: false,
+            properties: { date: { type: "boolean" }, year: { type: "boolean" }, subject: { type: "boolean" } },
+          },
+          link: { type: "string", pattern: "#:~:text=", description: "Source URL that scrolls to the quote" },
+        },
+      },
+    },
+    archives: {
+      type: "array",
+      description: "Web archive snapshot per source, in the order of sources (since 1.5.0)",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["url", "snapshot", "timestamp", "status"],
+        properties: {
+          url: { type: "string", pattern: "^https?://", description: "The live source" },
+          snapshot: { type: ["string", "null"], pattern: "^https?://" },
+          timestamp: { type: ["string", "null"], description: "Capture time (ISO 8601)" },
+          status: { type: "string", enum: ARCHIVE_STATUSES, description: "\"fallback\": the live source failed its check and sources lists the snapshot" },
+        },
+      },
+    },
+    rehomed: {
+      type: "array",
+      description: "Evidence that moved the event here from the date it was seeded for (since 1.3.0)",
+      items: {
+        type: "object",
+        required: ["source", "claimedDate", "foundAt"],
+        properties: {
+          source: { type: "string", enum: ["wikidata", "perplexity"] },
+          claimedDate: { type: "string" },
+          foundAt: { type: "string" },
+          reason: { type: "string" },
+        },
+      },
+    },
+    translations: {
+      type: "object",
+      additionalProperties: false,
+      description: "Title and context per language (since 1.1.0)",
+      properties: Object.fromEntries(TRANSLATION_LANGUAGES.map(lang => [lang, TRANSLATION_SCHEMA])),
+    },
+  },
+};
+
+const OUTPUT_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: `science-events/${OUTPUT_SCHEMA_VERSION}`,
+  title: "Published events for one day",
+  type: "object",
+  additionalProperties: false,
+  required: ["schemaVersion", "date", "vertical", "run", "events"],
+  properties: {
+    schemaVersion: { type: "string", enum: [OUTPUT_SCHEMA_VERSION] },
+    date: { type: "string", pattern: "^\\d{2}-\\d{2}$" },
+    vertical: { type: "string" },
+    run: {
+      type: "object",
+      additionalProperties: false,
+      required: ["id", "generatedAt", "generator"],
+      properties: {
+        id: { type: "string" },
+        generatedAt: { type: "string" },
+        generator: { type: "string" },
+        categories: { type: "array", items: { type: "string" } },
+        seeded: { type: "integer" },
+        dropped: { type: "integer" },
+        costUsd: { type: "number" },
+      },
+    },
+    events: { type: "array", items: EVENT_SCHEMA },
+  },
+};
+
+// Picks the published fields in a fixed order and tidies what Perplexity tends to get loose
+// (QID placeholders, comma-separated keywords, "Event" casing). Anything else is left for
+// the schema to reject.
+function toPublishedEvent(event) {
+  const keywords = typeof event.keywords === "string" ? event.keywords.split(",") : event.keywords;
+  const qid = typeof event.qid === "string" ? event.qid.trim().toUpperCase() : event.qid;
+  
+  return {
+    title: typeof event.title === "string" ? event.title.trim() : event.title,
+    date: eventDate(event) ? formatIsoDate(eventDate(event)).slice(-5) : event.date,
+    year: typeof event.year === "string" && /^-?\d+$/.test(event.year.trim()) ? parseInt(event.year) : event.year,
+    calendar: event.calendar,
+    ...(event.dualDate && { dualDate: event.dualDate }),
+    category: event.category || CONFIG.vertical,
+    type: typeof event.type === "string" ? event.type.trim().toLowerCase() : event.type,
+    qid: qid && /^Q\d+$/.test(qid) ? qid : null,
+    context: event.context,
+    sources: event.sources,
+    ...(event.evidence && { evidence: event.evidence }),
+    ...(event.archives && { archives: event.archives }),
+    keywords: Array.isArray(keywords) ? keywords.map(k => String(k).trim()).filter(Boolean) : keywords,
+    validation: event.validation,
+    ...(event.budget && { budget: event.budget }),
+    ...(event.dedup && { dedup: event.dedup }),
+    ...(event.rehomed && { rehomed: event.rehomed }),
+    ...(event.translations && { translations: event.translations }),
+  };
+}
+
+// Returns [{ event, published }] for the events that fit EVENT_SCHEMA; the rest are
+// dropped with reason "schema-<field>"
+// entries: [{ event, category }]; dropped events are queued for review under their category
+function enforceEventSchema(entries, monthName, day) {
+  const valid = [];
+  // Queued under the run's date, which holds even when the event's own date is what failed
+  const date = `${String(MONTH_NAMES.indexOf(monthName) + 1).padStart(2, "0")}-${day}`;
+  
+  for (const { event, category } of entries) {
+    const published = toPublishedEvent(event);
+    const errors = validateSchema(published, EVENT_SCHEMA, "event");
+    
+    if (errors.length === 0) {
+      valid.push({ event, published });
+      continue;
+    }
+    
+    const field = errors[0].match(/^event\.([A-Za-z]+)/)?.[1] || "event";
+    const reason = `schema-${field}`;
+    log.warn(`   ❌ Schema violation, dropping "${event.title}": ${errors.join("; ")}`);
+    withLogContext({ date, category, eventId: eventIdFor(event, monthName, day) }, () => queueForReview(event, event.validation, reason));
+    METRICS.events.validated--;
+    METRICS.events.dropped++;
+    METRICS.dropReasons[reason] = (METRICS.dropReasons[reason] || 0) + 1;
+  }
+  
+  return valid;
+}
+
+function buildEnvelope(dateStr, events, categories) {
+  return {
+    schemaVersion: OUTPUT_SCHEMA_VERSION,
+    date: dateStr,
+    vertical: CONFIG.vertical,
+    run: {
+      id: LOG.runId,
+      generatedAt: new Date().toISOString(),
+      generator: "science-perplexity-exa v7.2",
+      categories: categories.map(c => c.name),
+      seeded: METRICS.events.seeded,
+      dropped: METRICS.events.dropped,
+      costUsd: Number(totalCost().toFixed(6)),
+    },
+    events,
+  };
+}
+
+// ---------- Output Writers ----------
+// Each writer turns the validated envelope into one file; all formats share the same events.
+function eventLabel(event) {
+  const [mm, dd] = event.date.split("-").map(Number);
+  return `${MONTH_NAMES[mm - 1]} ${dd}, ${formatYear(event.year)}`;
+}
+
+function eventUid(event) {
+  return crypto.createHash("sha1").update(`${event.date}|${event.year}|${event.title}`).digest("hex").slice(0, 16);
+}
+
+// Quote per RFC 4180; text starting like a formula is prefixed so spreadsheets show it as text
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && /^[=+@\t\r]|^-[^\d]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function icsText(text) {
+  return String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545 §3.1)
+function icsFold(line) {
+  const out = [];
+  let current = "";
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (out.length === 0 ? 75 : 74)) {
+      out.push(current);
+      current = "";
+    }
+    current += ch;
   }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+// Anniversaries start in the current year (iCalendar has no BC or pre-1583 dates); Feb 29 waits for a leap year
+function anniversaryStart(event) {
+  const [mm, dd] = event.date.split("-").map(Number);
+  let year = new Date().getFullYear();
+  while (mm === 2 && dd === 29 && new Date(year, 1, 29).getMonth() !== 1) year++;
+  return `${year}${String(mm).padStart(2, "0")}${String(dd).padStart(2, "0")}`;
+}
+
+function xmlText(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+const OUTPUT_WRITERS = {
+  json: {
+    extension: "json",
+    render: envelope => JSON.stringify(envelope, null, 2),
+  },
   
-  console.log(`   ✅ Validated ${processed.length}/${category.count}`);
+  // One event per line, each carrying the envelope fields needed to ingest it on its own
+  jsonl: {
+    extension: "jsonl",
+    render: envelope => envelope.events
+      .map(event => JSON.stringify({ schemaVersion: envelope.schemaVersion, vertical: envelope.vertical, runId: envelope.run.id, ...event }))
+      .join("\n") + (envelope.events.length > 0 ? "\n" : ""),
+  },
   
-  return processed.slice(0, category.count);
+  csv: {
+    extension: "csv",
+    render: envelope => {
+      const header = ["date", "year", "calendar", "title", "type", "category", "qid", "context", "sources", "keywords", "validation_method", "validation_reason"];
+      const rows = envelope.events.map(e => [
+        e.date, e.year, e.calendar, e.title, e.type, e.category, e.qid, e.context,
+        e.sources.join(" | "), e.keywords.join("; "), e.validation.method, e.validation.reason,
+      ]);
+      return [header, ...rows].map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+    },
+  },
+  
+  ics: {
+    extension: "ics",
+    render: envelope => {
+      const stamp = envelope.run.generatedAt.replace(/[-:]/g, "").replace(/\.\d+/, "");
+      const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:-//${envelope.run.generator}//${envelope.vertical} events//EN`,
+        "CALSCALE:GREGORIAN",
+      ];
+      for (const e of envelope.events) {
+        lines.push(
+          "BEGIN:VEVENT",
+          `UID:${eventUid(e)}@${envelope.vertical}-events`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART;VALUE=DATE:${anniversaryStart(e)}`,
+          "RRULE:FREQ=YEARLY",
+          "TRANSP:TRANSPARENT",
+          `SUMMARY:${icsText(`${e.title} (${formatYear(e.year)})`)}`,
+          `DESCRIPTION:${icsText(`${eventLabel(e)}\n\n${e.context}\n\nSources:\n${e.sources.join("\n")}`)}`,
+          ...(e.sources[0] ? [`URL:${e.sources[0]}`] : []),
+          `CATEGORIES:${icsText(e.category)}`,
+          "END:VEVENT"
+        );
+      }
+      lines.push("END:VCALENDAR");
+      return lines.map(icsFold).join("\r\n") + "\r\n";
+    },
+  },
+  
+  md: {
+    extension: "md",
+    render: envelope => {
+      const [mm, dd] = envelope.date.split("-").map(Number);
+      const out = [`# ${envelope.vertical[0].toUpperCase()}${envelope.vertical.slice(1)} on ${MONTH_NAMES[mm - 1]} ${dd}`, ""];
+      for (const e of envelope.events) {
+        out.push(`## ${formatYear(e.year)} — ${e.title}`, "", e.context, "");
+        out.push(...e.sources.map((url, i) => {
+          const quoted = (e.evidence || []).find(ev => ev.url === url && ev.quote);
+          const archive = e.archives?.[i];
+          const line = archive?.snapshot && archive.status !== "fallback" ? `- <${url}> ([archived](<${archive.snapshot}>))` : `- <${url}>`;
+          return quoted ? `${line}\n  > ${quoted.quote} ([in context](${quoted.link}))` : line;
+        }), "");
+        out.push(`_${eventLabel(e)} · ${e.type} · validated by ${e.validation.method}_`, "");
+      }
+      if (envelope.events.length === 0) out.push("_No events passed validation._", "");
+      return out.join("\n");
+    },
+  },
+  
+  rss: {
+    extension: "rss.xml",
+    render: envelope => {
+      const [mm, dd] = envelope.date.split("-").map(Number);
+      const pubDate = new Date(envelope.run.generatedAt).toUTCString();
+      const items = envelope.events.map(e => [
+        "    <item>",
+        `      <title>${xmlText(`${formatYear(e.year)}: ${e.title}`)}</title>`,
+        ...(e.sources[0] ? [`      <link>${xmlText(e.sources[0])}</link>`] : []),
+        `      <description>${xmlText(e.context)}</description>`,
+        `      <category>${xmlText(e.category)}</category>`,
+        `      <guid isPermaLink="false">${eventUid(e)}</guid>`,
+        `      <pubDate>${pubDate}</pubDate>`,
+        "    </item>",
+      ].join("\n"));
+      return [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<rss version="2.0">`,
+        "  <channel>",
+        `    <title>${xmlText(`${envelope.vertical} events on ${MONTH_NAMES[mm - 1]} ${dd}`)}</title>`,
+        `    <link>${xmlText(CONFIG.output.feedLink)}</link>`,
+        `    <description>${xmlText(`Validated ${envelope.vertical} anniversaries for ${MONTH_NAMES[mm - 1]} ${dd}`)}</description>`,
+        `    <lastBuildDate>${pubDate}</lastBuildDate>`,
+        `    <generator>${xmlText(envelope.run.generator)}</generator>`,
+        ...items,
+        "  </channel>",
+        "</rss>",
+        "",
+      ].join("\n");
+    },
+  },
+};
+
+// Writes one file per format next to each other, sharing the base name
+function writeOutputs(outDir, baseName, envelope, formats) {
+  fs.mkdirSync(outDir, { recursive: true });
+  return formats.map(format => {
+    const writer = OUTPUT_WRITERS[format];
+    const file = path.join(outDir, `${baseName}.${writer.extension}`);
+    fs.writeFileSync(file, writer.render(envelope));
+    return file;
+  });
+}
+
+// ---------- Date Runner ----------
+function monthNameFor(monthNum) {
+  return new Date(2000, monthNum - 1).toLocaleString("en", { month: "long" });
+}
+
+function selectCategories(filter, available = CONFIG.categories) {
+  if (!filter || filter.length === 0) return available;
+  
+  const wanted = filter.map(n => n.trim().toLowerCase()).filter(Boolean);
+  const unknown = wanted.filter(n => !available.some(c => c.name.toLowerCase() === n));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown categories: ${unknown.join(", ")} (available: ${available.map(c => c.name).join(", ")})`);
+  }
+  
+  return available.filter(c => wanted.includes(c.name.toLowerCase()));
+}
+
+async function runDate(dateStr, options = {}) {
+  return withLogContext({ date: dateStr }, () => runDateInContext(dateStr, options));
+}
+
+async function runDateInContext(dateStr, options) {
+  const [month, day] = dateStr.split("-");
+  const monthName = monthNameFor(parseInt(month));
+  const categories = options.categories || CONFIG.categories;
+  const outDir = options.outDir || ".";
+  
+  log.info(`\n📅 ${dateStr} (${monthName} ${parseInt(day)})`);
+  log.info(`🎯 ${categories.length} categories`);
+  
+  // Approved review items and events earlier runs placed on this date take seeding slots first.
+  // Approved birthdays/deaths are published without waiting for the fallback.
+  const review = reviewDecisions(dateStr, [...categories.map(c => c.name), FALLBACK_CATEGORY], monthName, day);
+  const pooled = drawPooled(dateStr, categories.map(c => c.name), monthName, day);
+  
+  // Seed every category first so duplicates across categories are merged before anything is validated
+  const seeded = await mapLimit(categories, PIPELINE.concurrency, async cat => {
+    const fromPool = [...review.approved, ...pooled].filter(c => c.category === cat.name).length;
+    if (fromPool >= cat.count) {
+      log.info(`\n♻️  ${cat.name}: ${fromPool} pooled candidate(s) - not seeding`);
+      return [];
+    }
+    if (!budgetAllows("seed")) {
+      log.info(`\n💰 Budget nearly spent - not seeding ${cat.name}`);
+      METRICS.budget.categories_skipped++;
+      return [];
+    }
+    const events = await withLogContext({ category: cat.name }, () => seedCategory({ ...cat, count: cat.count - fromPool }, monthName, day));
+    return events.map(event => ({ event, category: cat.name }));
+  });
+  
+  const earlier = options.skipPublished ? publishedEarlier(dateStr) : [];
+  const approved = dedupeCandidates(review.approved, earlier);
+  const candidates = [...approved, ...dedupeCandidates(withoutRejected([...pooled, ...seeded.flat()], review.rejected), [...earlier, ...approved, ...review.originals])];
+  
+  const approvedFallback = approved.filter(c => c.category === FALLBACK_CATEGORY).length;
+  const processing = approvedFallback > 0 ? [...categories, { name: FALLBACK_CATEGORY, count: approvedFallback }] : categories;
+  
+  const eventSlots = createSemaphore(PIPELINE.concurrency);
+  const perCategory = await Promise.all(processing.map(cat => withLogContext({ category: cat.name }, () => {
+    const events = candidates.filter(c => c.category === cat.name).map(c => c.event);
+    return processCategory(cat, events, monthName, day, eventSlots);
+  })));
+  const all = perCategory.flatMap((events, i) => events.map(event => ({ event, category: processing[i].name })));
+
+  const { targetTotal, fallbackThreshold, fallbackMax } = CONFIG.pipeline;
+  if (all.length < fallbackThreshold && !budgetAllows("seed")) {
+    log.info(`\n💰 Budget nearly spent - skipping birthdays/deaths fallback`);
+  } else if (all.length < fallbackThreshold && fallbackMax > 0) {
+    log.warn(`\n⚠️ Only ${all.length} events validated - adding birthdays/deaths fallback...`);
+    const needed = Math.min(targetTotal - all.length, fallbackMax);
+    
+    const pooledFallback = drawPooled(dateStr, [FALLBACK_CATEGORY], monthName, day);
+    const seededFallback = needed > pooledFallback.length ? await seedBirthdaysDeaths(needed - pooledFallback.length, monthName, day) : [];
+    const fallbackEvents = dedupeCandidates(
+      withoutRejected([...pooledFallback, ...seededFallback.map(event => ({ event, category: FALLBACK_CATEGORY }))], review.rejected),
+      [...all, ...earlier, ...review.originals]
+    ).map(c => c.event);
+    
+    const results = await withLogContext({ category: FALLBACK_CATEGORY }, () =>
+      Promise.all(fallbackEvents.map(event => eventSlots.run(() => processEvent(event, monthName, day)))));
+    for (const result of results.filter(Boolean)) {
+      all.push({ event: result, category: FALLBACK_CATEGORY });
+      METRICS.events.fallback++;
+    }
+    
+    log.info(`   ✅ Added ${METRICS.events.fallback} fallback event(s)`);
+  }
+
+  const accepted = enforceEventSchema(all, monthName, day);
+  const events = accepted.map(a => a.published);
+  
+  const timestamp = Date.now();
+  const formats = options.formats || CONFIG.output.formats;
+  const files = writeOutputs(outDir, `${CONFIG.vertical}-events-${dateStr}-v7.2-${timestamp}`, buildEnvelope(dateStr, events, categories), formats);
+  recordPublished(dateStr, accepted.map(a => ledgerEntry(a.event, files[0])));
+  
+  return { date: dateStr, file: files[0], files, events };
+}
+
+function totalCost() {
+  return METRICS.costs.perplexity + METRICS.costs.openai + METRICS.costs.exa;
+}
+
+// Reports bypass LOG_LEVEL, so --quiet still prints them
+function writeJsonReport(type, data) {
+  process.stdout.write(JSON.stringify({ ts: new Date().toISOString(), level: "report", type, runId: LOG.runId, ...data }) + "\n");
+}
+
+function printReport(result) {
+  if (LOG.format === "json") {
+    writeJsonReport("date", { date: result.date, files: result.files, events: result.events.length, metrics: METRICS });
+    return;
+  }
+  
+  console.log(`\n${"=".repeat(70)}`);
+  console.log(`📊 QUALITY REPORT v7.2 — ${result.date}`);
+  console.log(`${"=".repeat(70)}`);
+  console.log(`Events: ${METRICS.events.seeded} seeded → ${METRICS.events.validated} validated (${METRICS.events.dropped} dropped)`);
+  console.log(`Success Rate: ${((METRICS.events.validated / METRICS.events.seeded) * 100).toFixed(1)}%`);
+  console.log(`Fallback Events: ${METRICS.events.fallback}`);
+  
+  console.log(`\nValidation Breakdown:`);
+  console.log(`  Tier 0 (Wiki "On This Day"): ${METRICS.validation.tier0_success} ✅ / ${METRICS.validation.tier0_fail} ❌`);
+  console.log(`  Tier 0.5 (Wikidata): ${METRICS.validation.wikidata_success} ✅ / ${METRICS.validation.wikidata_conflict} conflicts (${METRICS.validation.wikidata_no_claims} without date statements)`);
+  if (METRICS.validation.wikidata_year_corrected > 0) {
+    console.log(`     └─> Year Auto-Corrected: ${METRICS.validation.wikidata_year_corrected} 🔧`);
+  }
+  console.log(`  Tier 1 (Wiki Article): ${METRICS.validation.tier1_success} ✅ / ${METRICS.validation.tier1_fail} ❌ (${METRICS.validation.tier1_date_mismatch} mismatches)`);
+  if (METRICS.validation.tier1_gpt_fallback > 0) {
+    console.log(`     └─> GPT Fallback: ${METRICS.validation.tier1_gpt_fallback} 🤖`);
+  }
+  console.log(`  Tier 2 (Perplexity): ${METRICS.validation.tier2_yes} YES / ${METRICS.validation.tier2_no} NO / ${METRICS.validation.tier2_unclear} UNCLEAR / ${METRICS.validation.tier2_malformed} malformed`);
+  if (METRICS.validation.tier2_year_corrected > 0) {
+    console.log(`     └─> Year Auto-Corrected: ${METRICS.validation.tier2_year_corrected} 🔧`);
+  }
+  console.log(`  Tier 3 (Exa include_text): ${METRICS.validation.tier3_success} ✅ / ${METRICS.validation.tier3_fail} ❌`);
+  if (METRICS.validation.tier3_retries > 0) {
+    console.log(`     └─> Retries: ${METRICS.validation.tier3_retries} 🔄`);
+  }
+  
+  if (CONFIG.validation.mode === "ensemble") {
+    const { confident, borderline, rejected } = METRICS.ensemble;
+    console.log(`  Ensemble (threshold ${CONFIG.validation.threshold}): ${confident} confident / ${borderline} borderline${CONFIG.validation.publishBorderline ? ' (published)' : ''} / ${rejected} rejected`);
+  }
+  
+  const { repaired, dropped, truncated } = METRICS.extraction;
+  if (repaired + dropped + truncated > 0) {
+    console.log(`\nSeed JSON: ${repaired} object(s) repaired, ${dropped} unreadable, ${truncated} truncated response(s)`);
+  }
+  
+  const evidenceTotal = Object.values(METRICS.evidence).reduce((sum, n) => sum + n, 0);
+  if (evidenceTotal > 0) {
+    const { supported, partial, uncached, none } = METRICS.evidence;
+    console.log(`\nSource Evidence: ${supported} quoted / ${partial} partial / ${none + uncached} without a quote (${uncached} not cached)`);
+  }
+  
+  if (METRICS.sources.checked + METRICS.sources.canonicalized > 0) {
+    const { checked, canonicalized, redirected, dead, soft404, blocked, unreachable, duplicates } = METRICS.sources;
+    console.log(`\nSource Hygiene: ${checked} checked, ${dead} dead, ${soft404} soft 404, ${redirected} redirected, ${blocked} blocked, ${unreachable} unreachable`);
+    console.log(`  - Canonicalized: ${canonicalized}, duplicates removed: ${duplicates}`);
+  }
+  
+  if (CONFIG.archive.enabled) {
+    const { found, saved, missing, fallback } = METRICS.archive;
+    console.log(`\nWeb Archive: ${found} found, ${saved} captured, ${missing} without snapshot, ${fallback} dead source(s) served from the archive`);
+  }
+  
+  if (METRICS.pool.added + METRICS.pool.drawn > 0) {
+    console.log(`\nCandidate Pool: ${METRICS.pool.drawn} drawn for this date, ${METRICS.pool.added} moved to their real date`);
+  }
+  
+  const { queued, approved, rejected } = METRICS.review;
+  if (queued + approved + rejected > 0) {
+    console.log(`\nReview Queue: ${queued} queued, ${approved} approved item(s) applied, ${rejected} seeded event(s) skipped as rejected`);
+  }
+  
+  if (METRICS.dedup.merged > 0) {
+    console.log(`\nDuplicates Merged: ${METRICS.dedup.merged}${METRICS.dedup.published > 0 ? ` (${METRICS.dedup.published} published earlier)` : ''}`);
+    Object.entries(METRICS.dedup.reasons).forEach(([r, c]) => console.log(`  - ${r}: ${c}`));
+  }
+  
+  if (CONFIG.translations.languages.length > 0) {
+    console.log(`\nTranslations (${uniq(CONFIG.translations.languages).join(", ")}): ${METRICS.translations.translated} ✅ / ${METRICS.translations.failed} ❌ (${METRICS.translations.retried} retries)`);
+  }
+  
+  if (Object.keys(METRICS.dropReasons).length > 0) {
+    console.log(`\nDrop Reasons:`);
+    Object.entries(METRICS.dropReasons).forEach(([r, c]) => console.log(`  - ${r}: ${c}`));
+  }
+  
+  console.log(`\nAPI Calls:`);
+  console.log(`  - Perplexity (Seeding): ${METRICS.apiCalls.perplexity}`);
+  console.log(`  - Perplexity (Validation): ${METRICS.apiCalls.perplexity_validation}`);
+  console.log(`  - OpenAI (${uniq([CONFIG.models.polish, CONFIG.models.translate]).join(", ")}): ${METRICS.apiCalls.openai}`);
+  console.log(`  - OpenAI (${CONFIG.models.check}): ${METRICS.apiCalls.openai_mini}`);
+  console.log(`  - Exa Search: ${METRICS.apiCalls.exa_search}`);
+  console.log(`  - Exa Contents: ${METRICS.apiCalls.exa_contents}`);
+  console.log(`  - Wikidata: ${METRICS.apiCalls.wikidata}`);
+  console.log(`  - Wikimedia Feed: ${METRICS.apiCalls.wikimedia}`);
+  console.log(`  - Source Checks: ${METRICS.apiCalls.web}`);
+  console.log(`  - Web Archive: ${METRICS.apiCalls.archive}`);
+  const cacheHits = Object.entries(METRICS.cacheHits);
+  const totalHits = cacheHits.reduce((sum, [, n]) => sum + n, 0);
+  console.log(`  - Cache Hits: ${totalHits}${cacheHits.length ? ` (${cacheHits.map(([c, n]) => `${c}: ${n}`).join(", ")})` : ''}`);
+  
+  console.log(`\nEstimated Costs:`);
+  console.log(`  - Perplexity: $${METRICS.costs.perplexity.toFixed(4)}`);
+  console.log(`  - OpenAI: $${METRICS.costs.openai.toFixed(4)}`);
+  console.log(`  - Exa: $${METRICS.costs.exa.toFixed(4)}`);
+  console.log(`  - Total: $${totalCost().toFixed(4)}`);
+  
+  if (Number.isFinite(BUDGET.run) || Number.isFinite(BUDGET.event)) {
+    const limits = [
+      Number.isFinite(BUDGET.run) && `$${BUDGET.spent.toFixed(4)} of $${BUDGET.run.toFixed(2)} run budget spent`,
+      Number.isFinite(BUDGET.event) && `$${BUDGET.event.toFixed(2)} per event`,
+    ].filter(Boolean);
+    console.log(`\nBudget: ${limits.join(", ")}`);
+    console.log(`  - Events hit budget: ${METRICS.budget.exhausted}`);
+    console.log(`  - Polish skipped: ${METRICS.budget.polish_skipped}`);
+    console.log(`  - Translations skipped: ${METRICS.budget.translate_skipped}`);
+    console.log(`  - Tier 3 skipped: ${METRICS.budget.tier3_skipped}`);
+    console.log(`  - Categories not seeded: ${METRICS.budget.categories_skipped}`);
+  }
+  console.log(`${"=".repeat(70)}`);
+  console.log(`\n💾 Saved ${result.events.length} items → ${result.files.join(", ")}`);
+}
+
+// ---------- CLI ----------
+const CLI_USAGE = `Usage: node science-perplexity-exa.js [options]
+       node science-perplexity-exa.js cache <stats|prune|invalidate PREFIX> [--cache NAME]
+       node science-perplexity-exa.js review [list|show|approve|reject|edit|pin] [ID] [options]
+       node science-perplexity-exa.js serve-fixtures DIR [--port N]
+       node science-perplexity-exa.js config [--config FILE] [--set KEY=VALUE]
+       node science-perplexity-exa.js schema
+
+Dates (combinable, default: today):
+  --date MM-DD            Single day, repeatable or comma-separated (e.g. 03-14,03-15)
+  --from MM-DD --to MM-DD Inclusive range, may wrap past New Year (12-30 → 01-02)
+  --month N               Every day of month N (1-12), repeatable or comma-separated
+
+Options:
+  --categories "A,B"      Only run these categories (e.g. "Prizes & Standards")
+  --out DIR               Output directory (default: current directory)
+  --format LIST           json (default), jsonl, csv, ics, md and/or rss; repeatable or
+                          comma-separated, one file per format (config: output.formats)
+  --languages LIST        Also translate each event into de, fr, es, it and/or ja,
+                          comma-separated (config: translations.languages)
+  --concurrency N         Events processed in parallel (default: 3, 1 with HTTP_MODE;
+                          env: CONCURRENCY)
+  --budget USD            Hard spending limit for the whole run (env: RUN_BUDGET_USD)
+  --event-budget USD      Hard spending limit per event (env: EVENT_BUDGET_USD)
+  --log-level LEVEL       debug, info (default), warn, error or silent (env: LOG_LEVEL)
+  --log-format FORMAT     pretty (default) or json lines with run/event/tier/provider ids (env: LOG_FORMAT)
+  --skip-published        Drop events already published for the date by an earlier run
+                          (ledger kept with the editorial state under STATE_DIR)
+  -q, --quiet             Only print the final report(s)
+  -h, --help              Show this help
+
+Configuration (categories, fallback sizes, max sources, model names, validation mode):
+  --config FILE           JSON or YAML config (env: CONFIG_FILE, default: science.config.json
+                          next to the script if present); validated before anything runs
+  --set KEY=VALUE         Override one setting for this run, repeatable. Values are JSON
+                          where they parse, e.g. --set pipeline.maxSources=3
+                          --set "categories.Prizes & Standards.count=2" --set models.polish=gpt-4o-mini
+                          --set validation.mode=ensemble (weigh all tiers into a confidence score)
+  config                  Print the resolved configuration (a starting point for a new vertical)
+
+Provider caches (contents, wiki_on_this_day, exa_search, perplexity_validation, wikidata,
+url_health, archive; backend: CACHE_BACKEND=file|sqlite|memory, location: CACHE_DIR):
+  cache stats             Entries, expired entries and size per cache
+  cache prune             Remove expired entries
+  cache invalidate PREFIX Remove entries whose key starts with PREFIX
+                          (event title, "October_8", Exa query, QID …)
+  --cache NAME            Limit a cache command to one cache (e.g. exa_search)
+  The review queue, candidate pool and published ledger are not caches and are left alone.
+
+Candidate pool (kept with the review queue under STATE_DIR): events a validator placed
+on another day; the run for that day validates them again before seeding.
+
+Review queue (rejected and borderline events with their tier trace, kept with
+STATE_BACKEND=file|sqlite|memory under STATE_DIR, default .state/):
+  review [list] [--date MM-DD] [--all]
+                          Pending items, or every item with --all
+  review show ID          The queued event, why it was dropped and the tier trace
+  review approve ID       Publish it on the next run for its date without validating again
+  review reject ID        Keep it, and seeded events matching it, out of later runs
+  review edit ID [--year N] [--context TEXT]
+                          Approve with a corrected year (--year=-44 for 44 BC) and/or context
+  review pin ID --sources URL,URL
+                          Approve with exactly these sources
+  Decisions apply to every later run for the date; they never expire.
+
+Output: one file per date, {schemaVersion, date, vertical, run, events}. Events that do
+not fit the schema are dropped (drop reason "schema-<field>").
+  schema                  Print the JSON Schema of the output file
+
+Fixture server (local stand-in for the Wikimedia feed in tests):
+  serve-fixtures DIR      Serve DIR/<path>.json for GET <path> (default port 8787)
+
+Environment:
+  PERPLEXITY_BASE_URL, OPENAI_BASE_URL, EXA_BASE_URL, WIKIDATA_BASE_URL, WIKIMEDIA_BASE_URL
+                          Override provider endpoints (http:// allowed, e.g. a local mock)
+  ARCHIVE_BASE_URL        Wayback-compatible archive for source snapshots (default
+                          https://web.archive.org; off with --set archive.enabled=false)
+  WEB_BASE_URL            Fetch source pages from a stand-in as <base>/<host><path>
+                          (source checks are off with --set pipeline.checkSources=false)
+  HTTP_MODE=record|replay Save every request/response to FIXTURES_DIR, or serve them
+                          back without network access (default: live); both run
+                          one event at a time so repeated requests keep their order`;
+
+function daysInMonth(monthNum) {
+  return new Date(2000, monthNum, 0).getDate(); // 2000 is a leap year → Feb 29 included
+}
+
+function parseDateArg(str) {
+  const match = String(str).trim().match(/^(\d{1,2})-(\d{1,2})$/);
+  if (!match) throw new Error(`Invalid date "${str}" (expected MM-DD)`);
+  
+  const monthNum = parseInt(match[1]);
+  const dayNum = parseInt(match[2]);
+  if (monthNum < 1 || monthNum > 12 || dayNum < 1 || dayNum > daysInMonth(monthNum)) {
+    throw new Error(`Invalid date "${str}"`);
+  }
+  
+  return `${String(monthNum).padStart(2, '0')}-${String(dayNum).padStart(2, '0')}`;
+}
+
+function expandDateRange(from, to) {
+  const dates = [];
+  let [m, d] = parseDateArg(from).split("-").map(Number);
+  const end = parseDateArg(to);
+  
+  // At most one full (leap) year, so a wrapped range always terminates
+  for (let i = 0; i < 366; i++) {
+    const current = `${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+    dates.push(current);
+    if (current === end) return dates;
+    
+    d++;
+    if (d > daysInMonth(m)) { d = 1; m = m % 12 + 1; }
+  }
+  
+  return dates;
+}
+
+function splitList(values) {
+  return (values || []).flatMap(v => String(v).split(",")).map(v => v.trim()).filter(Boolean);
+}
+
+function resolveDates(values) {
+  const dates = [];
+  
+  for (const d of splitList(values.date)) dates.push(parseDateArg(d));
+  
+  if (values.from || values.to) {
+    if (!values.from || !values.to) throw new Error("--from and --to must be used together");
+    dates.push(...expandDateRange(values.from, values.to));
+  }
+  
+  for (const m of splitList(values.month)) {
+    const monthNum = parseInt(m);
+    if (!(monthNum >= 1 && monthNum <= 12) || String(monthNum) !== m.replace(/^0/, "")) {
+      throw new Error(`Invalid month "${m}" (expected 1-12)`);
+    }
+    for (let d = 1; d <= daysInMonth(monthNum); d++) {
+      dates.push(`${String(monthNum).padStart(2, '0')}-${String(d).padStart(2, '0')}`);
+    }
+  }
+  
+  if (dates.length === 0) {
+    const now = new Date();
+    dates.push(`${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`);
+  }
+  
+  return uniq(dates);
+}
+
+function parseBudgetArg(name, value) {
+  if (value === undefined) return null;
+  const usd = Number(value);
+  if (!(usd > 0)) throw new Error(`${name} must be a positive USD amount`);
+  return usd;
+}
+
+function parseConcurrencyArg(value) {
+  if (value === undefined) return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error("--concurrency must be a positive integer");
+  return n;
+}
+
+function parseChoiceArg(name, value, choices) {
+  if (value === undefined) return null;
+  if (!choices.includes(value)) throw new Error(`${name} must be one of ${choices.join(", ")}`);
+  return value;
+}
+
+function parseFormatArg(values) {
+  const formats = uniq(splitList(values).map(f => f.toLowerCase()));
+  if (formats.length === 0) return null;
+  const unknown = formats.filter(f => !OUTPUT_FORMATS.includes(f));
+  if (unknown.length > 0) throw new Error(`Unknown --format ${unknown.join(", ")} (expected ${OUTPUT_FORMATS.join(", ")})`);
+  return formats;
+}
+
+function parseLanguagesArg(value) {
+  if (value === undefined) return null;
+  const languages = uniq(splitList([value]).map(l => l.toLowerCase()));
+  const unknown = languages.filter(l => !TRANSLATION_LANGUAGES.includes(l));
+  if (unknown.length > 0) throw new Error(`Unknown --languages ${unknown.join(", ")} (expected ${TRANSLATION_LANGUAGES.join(", ")})`);
+  return languages;
+}
+
+function parseReviewEdits(values) {
+  const edits = {};
+  if (values.year !== undefined) {
+    const year = Number(values.year);
+    if (!Number.isInteger(year) || year === 0) throw new Error("--year must be a non-zero integer (negative for BC)");
+    edits.year = year;
+  }
+  if (values.context !== undefined) {
+    if (!values.context.trim()) throw new Error("--context must not be empty");
+    edits.context = values.context.trim();
+  }
+  if (values.sources !== undefined) {
+    const sources = splitList(values.sources).map(canonicalizeUrl);
+    if (sources.length === 0 || sources.includes(null)) throw new Error("--sources must be http(s) URLs, comma-separated");
+    edits.sources = uniq(sources);
+  }
+  return edits;
+}
+
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: {
+      date: { type: "string", multiple: true },
+      from: { type: "string" },
+      to: { type: "string" },
+      month: { type: "string", multiple: true },
+      categories: { type: "string" },
+      out: { type: "string" },
+      concurrency: { type: "string" },
+      budget: { type: "string" },
+      "event-budget": { type: "string" },
+      "log-level": { type: "string" },
+      "log-format": { type: "string" },
+      "skip-published": { type: "boolean" },
+      format: { type: "string", multiple: true },
+      languages: { type: "string" },
+      config: { type: "string" },
+      set: { type: "string", multiple: true },
+      quiet: { type: "boolean", short: "q" },
+      cache: { type: "string" },
+      port: { type: "string" },
+      all: { type: "boolean" },
+      year: { type: "string" },
+      context: { type: "string" },
+      sources: { type: "string", multiple: true },
+      help: { type: "boolean", short: "h" },
+    },
+    allowPositionals: true,
+  });
+  
+  const [command, ...args] = positionals;
+  if (command === "cache") {
+    return { help: !!values.help, command, args, cacheName: values.cache || null };
+  }
+  if (command === "review") {
+    const dated = values.date || values.from || values.to || values.month;
+    return { help: !!values.help, command, args, dates: dated ? resolveDates(values) : null, all: !!values.all, edits: parseReviewEdits(values) };
+  }
+  if (command === "serve-fixtures") {
+    if (!args[0]) throw new Error("serve-fixtures requires a fixture DIR");
+    return { help: !!values.help, command, args, port: parseInt(values.port) || 8787 };
+  }
+  if (command === "schema") {
+    return { help: !!values.help, command };
+  }
+  
+  const configFile = values.config || defaultConfigFile();
+  const config = loadConfig(configFile, values.set || []);
+  if (command === "config") {
+    return { help: !!values.help, command, config, configFile };
+  }
+  if (command) throw new Error(`Unknown command "${command}"`);
+  
+  return {
+    help: !!values.help,
+    dates: values.help ? [] : resolveDates(values),
+    categories: selectCategories(splitList(values.categories && [values.categories]), config.categories),
+    config,
+    configFile,
+    outDir: values.out || ".",
+    concurrency: parseConcurrencyArg(values.concurrency),
+    budget: parseBudgetArg("--budget", values.budget),
+    eventBudget: parseBudgetArg("--event-budget", values["event-budget"]),
+    logLevel: values.quiet ? "silent" : parseChoiceArg("--log-level", values["log-level"], Object.keys(LOG_LEVELS)),
+    logFormat: parseChoiceArg("--log-format", values["log-format"], LOG_FORMATS),
+    skipPublished: !!values["skip-published"],
+    formats: parseFormatArg(values.format),
+    languages: parseLanguagesArg(values.languages),
+  };
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function runCacheCommand(action, args, cacheName) {
+  const caches = cacheName ? CACHES.filter(c => c.name === cacheName) : CACHES;
+  if (caches.length === 0) {
+    throw new Error(`Unknown cache "${cacheName}" (available: ${CACHES.map(c => c.name).join(", ")})`);
+  }
+  
+  console.log(`💾 Cache backend: ${CACHE_BACKEND} (${CACHE_DIR})`);
+  
+  if (action === "stats") {
+    for (const cache of caches) {
+      const entries = cache.entries();
+      const expired = entries.filter(e => e.expired).length;
+      const bytes = entries.reduce((sum, e) => sum + e.bytes, 0);
+      const newest = entries.reduce((max, e) => Math.max(max, e.created), 0);
+      console.log(`  - ${cache.name}: ${entries.length} entries (${expired} expired), ${formatBytes(bytes)}` +
+        (newest ? `, last write ${new Date(newest).toISOString()}` : ''));
+    }
+    return;
+  }
+  
+  if (action === "prune") {
+    for (const cache of caches) {
+      console.log(`  - ${cache.name}: pruned ${cache.prune()} expired entries`);
+      cache.flush();
+    }
+    return;
+  }
+  
+  if (action === "invalidate") {
+    const prefix = args[0];
+    if (!prefix) throw new Error("cache invalidate requires a key PREFIX");
+    for (const cache of caches) {
+      console.log(`  - ${cache.name}: invalidated ${cache.invalidate(prefix)} entries`);
+      cache.flush();
+    }
+    return;
+  }
+  
+  throw new Error(`Unknown cache command "${action || ''}" (expected stats, prune or invalidate)`);
+}
+
+function describeReviewItem(date, item) {
+  const confidence = item.confidence !== undefined ? `, confidence ${item.confidence}` : "";
+  return `  ${date}  ${item.id}  ${item.status.padEnd(8)}  ${item.event.title} (${formatYear(item.event.year)}) — ${item.method}: ${item.reason}${confidence} [${item.category || "?"}]`;
+}
+
+function runReviewCommand(action = "list", args, { dates, all, edits }) {
+  console.log(`📝 Review queue (backend: ${STATE_BACKEND}, ${STATE_DIR})`);
+  
+  if (action === "list") {
+    const entries = REVIEW_QUEUE.entries()
+      .filter(e => !e.expired && (!dates || dates.includes(e.key)))
+      .sort((a, b) => a.key.localeCompare(b.key));
+    let shown = 0;
+    for (const { key } of entries) {
+      for (const item of REVIEW_QUEUE.peek(key).items) {
+        if (!all && item.status !== "pending") continue;
+        console.log(describeReviewItem(key, item));
+        shown++;
+      }
+    }
+    if (shown === 0) console.log(`  No ${all ? "" : "pending "}items`);
+    return;
+  }
+  
+  if (!["show", "approve", "reject", "edit", "pin"].includes(action)) {
+    throw new Error(`Unknown review command "${action}" (expected list, show, approve, reject, edit or pin)`);
+  }
+  const id = args[0];
+  if (!id) throw new Error(`review ${action} requires an item ID (see review list)`);
+  const found = findReviewItem(id);
+  if (!found) throw new Error(`No review item "${id}"`);
+  const { date, entry, item } = found;
+  
+  if (action === "show") {
+    console.log(JSON.stringify({ date, ...item }, null, 2));
+    return;
+  }
+  
+  if (action === "edit" && edits.year === undefined && edits.context === undefined) {
+    throw new Error("review edit needs --year and/or --context");
+  }
+  if (action === "pin" && !edits.sources) throw new Error("review pin needs --sources");
+  
+  const changes = action === "edit" ? { year: edits.year, context: edits.context }
+    : action === "pin" ? { sources: edits.sources }
+    : {};
+  item.edits = { ...item.edits, ...Object.fromEntries(Object.entries(changes).filter(([, v]) => v !== undefined)) };
+  if (Object.keys(item.edits).length === 0) delete item.edits;
+  item.status = action === "reject" ? "rejected" : "approved";
+  item.decidedAt = new Date().toISOString();
+  
+  REVIEW_QUEUE.set(date, entry);
+  REVIEW_QUEUE.flush();
+  console.log(describeReviewItem(date, item));
+  if (item.edits) console.log(`  Edits: ${JSON.stringify(item.edits)}`);
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (err) {
+    console.error(`❌ ${err.message}\n\n${CLI_USAGE}`);
+    return 2;
+  }
+  
+  if (options.help) {
+    console.log(CLI_USAGE);
+    return 0;
+  }
+  
+  if (options.command === "cache") {
+    try {
+      runCacheCommand(options.args[0], options.args.slice(1), options.cacheName);
+      return 0;
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      return 1;
+    }
+  }
+  
+  if (options.command === "review") {
+    try {
+      runReviewCommand(options.args[0], options.args.slice(1), options);
+      return 0;
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      return 1;
+    }
+  }
+  
+  if (options.command === "schema") {
+    console.log(JSON.stringify(OUTPUT_SCHEMA, null, 2));
+    return 0;
+  }
+  
+  if (options.command === "config") {
+    console.log(JSON.stringify(options.config, null, 2));
+    return 0;
+  }
+  
+  if (options.command === "serve-fixtures") {
+    const server = createFixtureServer(options.args[0]);
+    server.listen(options.port, () => console.log(`🧪 Serving fixtures from ${path.resolve(options.args[0])} on http://localhost:${options.port}`));
+    await new Promise(resolve => server.on("close", resolve));
+    return 0;
+  }
+  
+  try {
+    assertEnvironment();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    return 1;
+  }
+  
+  // Persist whatever was cached even if the run is cut short
+  process.on("exit", flushCaches);
+  
+  if (options.logLevel) LOG.level = options.logLevel;
+  if (options.logFormat) LOG.format = options.logFormat;
+  
+  if (options.concurrency) PIPELINE.concurrency = options.concurrency;
+  if (HTTP_MODE !== "live" && PIPELINE.concurrency > 1) {
+    console.error(`❌ HTTP_MODE=${HTTP_MODE} needs --concurrency 1: repeated requests replay in the order they were sent`);
+    return 1;
+  }
+  LOG.prefixEvents = PIPELINE.concurrency > 1;
+  
+  if (options.budget) BUDGET.run = options.budget;
+  if (options.eventBudget) BUDGET.event = options.eventBudget;
+  
+  applyConfig(options.config);
+  if (options.languages) CONFIG.translations.languages = options.languages;
+  
+  log.info(`\n🔬 ${CONFIG.vertical.toUpperCase()} EVENT VALIDATION v7.2 (Strict Keyword Filtering)\n${"=".repeat(70)}`);
+  if (options.configFile) log.info(`⚙️  Config: ${path.resolve(options.configFile)}`);
+  log.info(`📅 ${options.dates.length} date(s): ${options.dates[0]}${options.dates.length > 1 ? ` … ${options.dates[options.dates.length - 1]}` : ''}`);
+  log.info(`🎯 ${options.categories.map(c => c.name).join(", ")}`);
+  log.info(`📂 Output: ${path.resolve(options.outDir)}`);
+  log.info(`🌐 Multilingual date filters enabled`);
+  log.info(`👤 Name-only matching for birthdays/deaths`);
+  log.info(`🔗 QID → Wikidata → Real Wikipedia URL`);
+  log.info(`🤖 ${CONFIG.models.check} for validation, ${CONFIG.models.polish} for polishing`);
+  log.info(`🔧 Year Auto-Correction: ENABLED`);
+  log.info(`🔄 Exa 3x Retry: ENABLED`);
+  log.info(`💰 Wiki-Check: Only for birthdays/deaths`);
+  log.info(`🔍 STRICT Keyword filtering: ENABLED (exact ID matching)`);
+  log.info(`📚 Max sources: ${CONFIG.pipeline.maxSources}`);
+  if (CONFIG.archive.enabled) log.info(`🗄️ Web archive: ${new URL(PROVIDER_ENDPOINTS.archive).host}${CONFIG.archive.save ? ` (capturing snapshots older than ${CONFIG.archive.maxAgeDays} days)` : ""}`);
+  if (CONFIG.translations.languages.length > 0) log.info(`🌍 Translations: ${uniq(CONFIG.translations.languages).join(", ")} (${CONFIG.models.translate})`);
+  log.info(`⚡ Concurrency: ${PIPELINE.concurrency} events`);
+  if (Number.isFinite(BUDGET.run)) log.info(`💰 Run budget: $${BUDGET.run.toFixed(2)}`);
+  if (Number.isFinite(BUDGET.event)) log.info(`💰 Event budget: $${BUDGET.event.toFixed(2)}`);
+  if (options.skipPublished) log.info(`🔁 Skipping events published by earlier runs`);
+  if (CONFIG.validation.mode === "ensemble") log.info(`⚖️  Ensemble validation: publish at ${CONFIG.validation.threshold}, borderline from ${CONFIG.validation.borderline}`);
+  log.info(`${"=".repeat(70)}`);
+  
+  const batch = { files: [], failed: [], events: 0, cost: 0 };
+  
+  for (const dateStr of options.dates) {
+    resetMetrics();
+    try {
+      const result = await runDate(dateStr, options);
+      printReport(result);
+      batch.files.push(...result.files);
+      batch.events += result.events.length;
+    } catch (err) {
+      log.error(`\n❌ ${dateStr} failed: ${err.message}`, { date: dateStr });
+      batch.failed.push(dateStr);
+    }
+    flushCaches();
+    batch.cost += totalCost();
+  }
+  
+  if (options.dates.length > 1 && LOG.format === "json") {
+    writeJsonReport("batch", { dates: options.dates.length, files: batch.files, failed: batch.failed, events: batch.events, cost: batch.cost });
+  } else if (options.dates.length > 1) {
+    console.log(`\n${"=".repeat(70)}`);
+    console.log(`📦 BATCH SUMMARY`);
+    console.log(`${"=".repeat(70)}`);
+    console.log(`Dates: ${options.dates.length} (${batch.files.length} written, ${batch.failed.length} failed)`);
+    if (batch.failed.length > 0) console.log(`Failed: ${batch.failed.join(", ")}`);
+    console.log(`Events: ${batch.events}`);
+    console.log(`Estimated Cost: $${batch.cost.toFixed(4)}`);
+  }
+  
+  log.info(`✅ Finished.\n`);
+  return batch.failed.length > 0 ? 1 : 0;
 }
 
 // ---------- Export ----------
 module.exports = {
   SCIENCE_CATEGORIES,
+  CONFIG,
+  loadConfig,
+  applyConfig,
+  OUTPUT_SCHEMA_VERSION,
+  OUTPUT_SCHEMA,
+  enforceEventSchema,
+  OUTPUT_WRITERS,
+  validateSchema,
   METRICS,
+  BUDGET,
   CONTENTS_CACHE,
+  CACHES,
+  EDITORIAL_STATE,
+  REVIEW_QUEUE,
+  CANDIDATE_POOL,
+  PUBLISHED_LEDGER,
+  createCache,
+  flushCaches,
+  createFixtureServer,
+  setProviderClients,
+  assertEnvironment,
+  getWikipediaOnThisDay,
+  validateWithWikipediaOnThisDay,
+  getWikidataEntity,
+  validateWithWikidataClaims,
+  parseVerdict,
+  extractJsonArray,
+  translateEvent,
+  localizedDate,
+  parsePerplexityDate,
+  extractName,
+  validateEventReality,
+  filterSourcesByKeywords,
+  canonicalizeUrl,
+  cleanSources,
+  archiveSources,
+  collectEvidence,
+  applyUniversalSourceCheck,
+  convertCalendar,
+  matchTargetDay,
   fetchCategory,
+  dedupeCandidates,
   processEvent,
+  mapLimit,
+  createRateLimiter,
+  runDate,
+  resolveDates,
+  resetMetrics,
   sleep
 };
 
 // ---------- Main ----------
 if (require.main === module) {
-  const TEST_DATE = "10-08";
-  const [month, day] = TEST_DATE.split("-");
-  const monthName = new Date(2000, parseInt(month) - 1).toLocaleString("en", { month: "long" });
-
-  (async function run() {
-    console.log(`\n🔬 SCIENCE EVENT VALIDATION v7.2 (Strict Keyword Filtering)\n${"=".repeat(70)}`);
-    console.log(`📅 ${TEST_DATE} (${monthName} ${parseInt(day)})`);
-    console.log(`🎯 ${SCIENCE_CATEGORIES.length} categories`);
-    console.log(`🌐 Multilingual date filters enabled`);
-    console.log(`👤 Name-only matching for birthdays/deaths`);
-    console.log(`🔗 QID → Wikidata → Real Wikipedia URL`);
-    console.log(`🤖 GPT-4o-mini for validation, GPT-4o for polishing`);
-    console.log(`🔧 Year Auto-Correction: ENABLED`);
-    console.log(`🔄 Exa 3x Retry: ENABLED`);
-    console.log(`💰 Wiki-Check: Only for birthdays/deaths`);
-    console.log(`🔍 STRICT Keyword filtering: ENABLED (exact ID matching)`);
-    console.log(`📚 Max sources: 5`);
-    console.log(`${"=".repeat(70)}`);
-
-    const all = [];
-    for (const cat of SCIENCE_CATEGORIES) {
-      const events = await fetchCategory(cat, monthName, day);
-      all.push(...events);
-      await sleep(2000);
-    }
-
-    const TARGET_TOTAL = 7;
-    if (all.length < 5) {
-      console.log(`\n⚠️ Only ${all.length} events validated - adding birthdays/deaths fallback...`);
-      const needed = Math.min(TARGET_TOTAL - all.length, 5);
-      
-      const fallbackEvents = await seedBirthdaysDeaths(needed, monthName, day);
-      
-      for (const event of fallbackEvents) {
-        const result = await processEvent(event, monthName, day);
-        if (result) {
-          all.push(result);
-          METRICS.events.fallback++;
-        }
-        await sleep(500);
-      }
-      
-      console.log(`   ✅ Added ${METRICS.events.fallback} fallback event(s)`);
-    }
-
-    for (const event of all) {
-      if (event.date && event.date.match(/^\d{4}-\d{2}-\d{2}$/)) {
-        const [year, month, day] = event.date.split('-');
-        event.date = `${month}-${day}`;
-      }
-    }
-
-    const timestamp = Date.now();
-    const file = `science-events-${TEST_DATE}-v7.2-${timestamp}.json`;
-    
-    fs.writeFileSync(file, JSON.stringify(all, null, 2));
-
-    console.log(`\n${"=".repeat(70)}`);
-    console.log(`📊 QUALITY REPORT v7.2`);
-    console.log(`${"=".repeat(70)}`);
-    console.log(`Events: ${METRICS.events.seeded} seeded → ${METRICS.events.validated} validated (${METRICS.events.dropped} dropped)`);
-    console.log(`Success Rate: ${((METRICS.events.validated / METRICS.events.seeded) * 100).toFixed(1)}%`);
-    console.log(`Fallback Events: ${METRICS.events.fallback}`);
-    
-    console.log(`\nValidation Breakdown:`);
-    console.log(`  Tier 0 (Wiki "On This Day"): ${METRICS.validation.tier0_success} ✅ / ${METRICS.validation.tier0_fail} ❌`);
-    console.log(`  Tier 1 (Wiki Article): ${METRICS.validation.tier1_success} ✅ / ${METRICS.validation.tier1_fail} ❌ (${METRICS.validation.tier1_date_mismatch} mismatches)`);
-    if (METRICS.validation.tier1_gpt_fallback > 0) {
-      console.log(`     └─> GPT Fallback: ${METRICS.validation.tier1_gpt_fallback} 🤖`);
-    }
-    console.log(`  Tier 2 (Perplexity): ${METRICS.validation.tier2_yes} YES / ${METRICS.validation.tier2_no} NO / ${METRICS.validation.tier2_unclear} UNCLEAR`);
-    if (METRICS.validation.tier2_year_corrected > 0) {
-      console.log(`     └─> Year Auto-Corrected: ${METRICS.validation.tier2_year_corrected} 🔧`);
-    }
-    console.log(`  Tier 3 (Exa include_text): ${METRICS.validation.tier3_success} ✅ / ${METRICS.validation.tier3_fail} ❌`);
-    if (METRICS.validation.tier3_retries > 0) {
-      console.log(`     └─> Retries: ${METRICS.validation.tier3_retries} 🔄`);
-    }
-    
-    if (Object.keys(METRICS.dropReasons).length > 0) {
-      console.log(`\nDrop Reasons:`);
-      Object.entries(METRICS.dropReasons).forEach(([r, c]) => console.log(`  - ${r}: ${c}`));
-    }
-    
-    console.log(`\nAPI Calls:`);
-    console.log(`  - Perplexity (Seeding): ${METRICS.apiCalls.perplexity}`);
-    console.log(`  - Perplexity (Validation): ${METRICS.apiCalls.perplexity_validation}`);
-    console.log(`  - OpenAI (gpt-4o): ${METRICS.apiCalls.openai}`);
-    console.log(`  - OpenAI (gpt-4o-mini): ${METRICS.apiCalls.openai_mini}`);
-    console.log(`  - Exa Search: ${METRICS.apiCalls.exa_search}`);
-    console.log(`  - Exa Contents: ${METRICS.apiCalls.exa_contents}`);
-    console.log(`  - Wikidata: ${METRICS.apiCalls.wikidata}`);
-    console.log(`  - Cache Hits: ${METRICS.cacheHits}`);
-    
-    console.log(`\nEstimated Costs:`);
-    console.log(`  - Perplexity: $${METRICS.costs.perplexity.toFixed(4)}`);
-    console.log(`  - OpenAI: $${METRICS.costs.openai.toFixed(4)}`);
-    console.log(`  - Exa: $${METRICS.costs.exa.toFixed(4)}`);
-    console.log(`  - Total: $${(METRICS.costs.perplexity + METRICS.costs.openai + METRICS.costs.exa).toFixed(4)}`);
-    console.log(`${"=".repeat(70)}`);
-    console.log(`\n💾 Saved ${all.length} items → ${file}`);
-    console.log(`✅ Finished.\n`);
-  })();
+  main(process.argv.slice(2)).then(code => { process.exitCode = code; });
 }
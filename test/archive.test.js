@@ -0,0 +1,99 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { pipeline, reset, fakeProviders, verdictReply } = require("./helpers");
+
+const { archiveSources, processEvent, CONFIG, METRICS } = pipeline;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SOURCE = "https://www.nature.com/articles/widget";
+
+function stamp(daysAgo) {
+  return new Date(Date.now() - daysAgo * DAY_MS).toISOString().replace(/\D/g, "").slice(0, 14);
+}
+
+// CDX answers with a header row and the closest capture, if there is one
+function archive({ captured = null, saveAs = stamp(0) } = {}) {
+  return ({ path }) => {
+    if (path.startsWith("/cdx/")) {
+      const url = new URLSearchParams(path.split("?")[1]).get("url");
+      return captured ? [["timestamp", "original"], [captured, url]] : [];
+    }
+    return { status: 200, body: "", headers: { "content-location": `/web/${saveAs}/${path.slice("/save/".length)}` } };
+  };
+}
+
+beforeEach(() => {
+  reset();
+  CONFIG.pipeline.checkSources = false;
+});
+
+test("uses a recent snapshot that already exists", async () => {
+  const captured = stamp(30);
+  const calls = fakeProviders({ archive: archive({ captured }) });
+
+  const [entry] = await archiveSources([SOURCE]);
+
+  assert.equal(entry.status, "found");
+  assert.equal(entry.url, SOURCE);
+  assert.equal(entry.snapshot, `https://web.archive.org/web/${captured}/${SOURCE}`);
+  assert.equal(calls.length, 1);
+  assert.equal(METRICS.archive.found, 1);
+});
+
+test("requests a capture when there is no snapshot", async () => {
+  const saved = stamp(0);
+  const calls = fakeProviders({ archive: archive({ saveAs: saved }) });
+
+  const [entry] = await archiveSources([SOURCE]);
+
+  assert.deepEqual(calls.map(c => c.path.split("?")[0]), ["/cdx/search/cdx", `/save/${SOURCE}`]);
+  assert.equal(entry.status, "saved");
+  assert.equal(entry.snapshot, `https://web.archive.org/web/${saved}/${SOURCE}`);
+});
+
+test("replaces a snapshot older than archive.maxAgeDays", async () => {
+  fakeProviders({ archive: archive({ captured: stamp(400) }) });
+
+  const [entry] = await archiveSources([SOURCE]);
+
+  assert.equal(entry.status, "saved");
+});
+
+test("keeps the old snapshot when saving is off", async () => {
+  CONFIG.archive.save = false;
+  const calls = fakeProviders({ archive: archive({ captured: stamp(400) }) });
+
+  const [entry] = await archiveSources([SOURCE]);
+
+  assert.equal(entry.status, "found");
+  assert.equal(calls.length, 1);
+});
+
+test("caches snapshots per source", async () => {
+  const calls = fakeProviders({ archive: archive({ captured: stamp(30) }) });
+
+  await archiveSources([SOURCE]);
+  const [entry] = await archiveSources([SOURCE]);
+
+  assert.equal(entry.status, "found");
+  assert.equal(calls.length, 1);
+  assert.equal(METRICS.cacheHits.archive, 1);
+});
+
+test("an event is still published when the archive cannot be reached", async () => {
+  fakeProviders({
+    perplexity: () => verdictReply({ verdict: "YES" }),
+    archive: () => { throw new Error("connect ECONNREFUSED"); },
+  });
+  const context = "Researchers at the laboratory described the widget effect, a measurable shift in conductivity. ".repeat(8).trim();
+  const sources = [SOURCE, "https://www.esa.int/widget", "https://en.wikipedia.org/wiki/Widget_effect"];
+
+  const published = await processEvent({
+    title: "Discovery of the Widget Effect", type: "event", date: "1905-10-08", year: 1905, calendar: "gregorian",
+    category: "Physics", qid: null, context, keywords: ["widget", "conductivity"], sources,
+  }, "October", "08");
+
+  assert.ok(published, "published without snapshots");
+  assert.deepEqual(published.archives.map(a => [a.url, a.status]), published.sources.map(url => [url, "missing"]));
+  assert.equal(METRICS.archive.missing, published.sources.length);
+});
@@ -0,0 +1,121 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { pipeline, reset, fakeProviders, fastTimers, verdictReply, wikidataEntity, onThisDayFeed, exaResults } = require("./helpers");
+
+const { validateEventReality, BUDGET, METRICS } = pipeline;
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const discovery = i => ({
+  title: `Discovery of Widget ${i}`, type: "discovery", date: "1905-10-08", year: 1905, calendar: "gregorian",
+  qid: null, context: "A widget was found.", keywords: [], sources: [],
+});
+
+beforeEach(reset);
+
+// BUDGET reads its limits when the pipeline loads, so these run in a fresh process
+function withBudgetEnv(env, body) {
+  const script = `const helpers = require(${JSON.stringify(path.join(__dirname, "helpers.js"))});
+    (${body})(helpers).then(out => process.stdout.write(JSON.stringify(out ?? null)));`;
+  const childEnv = { ...process.env, ...env };
+  return JSON.parse(execFileSync(process.execPath, ["-e", script], { env: childEnv, timeout: 30000, encoding: "utf8" }));
+}
+
+test("concurrent calls reserve their estimate, so together they stay within the run budget", async () => {
+  const calls = fakeProviders({
+    perplexity: async () => { await tick(); return verdictReply({ verdict: "YES" }); },
+    exa: () => exaResults([]),
+  });
+  BUDGET.run = 0.012;
+
+  await Promise.all([1, 2, 3, 4].map(i => validateEventReality(discovery(i), "October", "08")));
+
+  assert.equal(calls.filter(c => c.provider === "perplexity").length, 2);
+  assert.equal(calls.filter(c => c.provider === "exa").length, 0);
+  assert.ok(BUDGET.spent <= BUDGET.run);
+  assert.equal(BUDGET.reserved, 0);
+});
+
+test("chargeCost replaces the reservation with the actual cost", async () => {
+  fakeProviders({ perplexity: () => verdictReply({ verdict: "YES" }) });
+
+  await validateEventReality(discovery(1), "October", "08");
+
+  assert.equal(BUDGET.reserved, 0);
+  assert.equal(Number(BUDGET.spent.toFixed(6)), 0.0003);
+  assert.equal(BUDGET.spent, METRICS.costs.perplexity);
+});
+
+test("a failed call releases its reservation", async t => {
+  fastTimers(t);
+  fakeProviders({
+    perplexity: () => { throw new Error("ECONNRESET"); },
+    exa: () => { throw new Error("ECONNRESET"); },
+  });
+
+  await validateEventReality(discovery(1), "October", "08");
+
+  assert.equal(BUDGET.reserved, 0);
+  assert.equal(BUDGET.spent, 0);
+});
+
+test("concurrent requests for the same page contents share one Exa call", async () => {
+  const calls = fakeProviders({
+    wikimedia: () => onThisDayFeed(),
+    wikidata: () => wikidataEntity("Q4242", { title: "Ada Example" }),
+    exa: async ({ path }) => {
+      await tick();
+      return exaResults(path === "/search"
+        ? [{ id: "wiki-1", url: "https://en.wikipedia.org/wiki/Ada_Example" }]
+        : [{ id: "wiki-1", text: "Ada Example (8 October 1879 – 1950) was a physicist." }]);
+    },
+  });
+  const birth = () => ({
+    title: "Birth of Ada Example", type: "birthday", date: "1879-10-08", year: 1879, calendar: "gregorian",
+    qid: "Q4242", context: "", keywords: [], sources: [],
+  });
+
+  const results = await Promise.all([validateEventReality(birth(), "October", "08"), validateEventReality(birth(), "October", "08")]);
+
+  assert.deepEqual(results.map(r => r.reason), ["wikipedia-article-name-confirmed", "wikipedia-article-name-confirmed"]);
+  assert.deepEqual(calls.filter(c => c.provider === "exa").map(c => c.path), ["/search", "/contents"]);
+  assert.equal(METRICS.apiCalls.exa_contents, 1);
+  assert.equal(METRICS.cacheHits.contents, 1);
+});
+
+test("RUN_BUDGET_USD=0 blocks every paid call", () => {
+  const result = withBudgetEnv({ RUN_BUDGET_USD: "0" }, `async ({ pipeline, fakeProviders, verdictReply, onThisDayFeed, exaResults }) => {
+    const calls = fakeProviders({
+      wikimedia: () => onThisDayFeed(),
+      perplexity: () => verdictReply({ verdict: "YES" }),
+      openai: () => { throw new Error("unexpected"); },
+      exa: () => exaResults([]),
+    });
+    const event = { title: "Discovery of Widget 1", type: "discovery", date: "1905-10-08", year: 1905, calendar: "gregorian",
+      qid: null, context: "A widget was found.", keywords: [], sources: [] };
+    const verdict = await pipeline.validateEventReality(event, "October", "08");
+    return { run: pipeline.BUDGET.run, spent: pipeline.BUDGET.spent, valid: verdict.valid, paid: calls.filter(c => c.provider !== "wikimedia").length };
+  }`);
+
+  assert.deepEqual(result, { run: 0, spent: 0, valid: false, paid: 0 });
+});
+
+test("an unset or empty budget variable means no limit", () => {
+  const budget = withBudgetEnv({ RUN_BUDGET_USD: "", EVENT_BUDGET_USD: " 0.25 " }, `async ({ pipeline }) => ({
+    run: pipeline.BUDGET.run === Infinity, event: pipeline.BUDGET.event,
+  })`);
+
+  assert.deepEqual(budget, { run: true, event: 0.25 });
+});
+
+test("a budget variable that is not a USD amount is rejected", () => {
+  for (const [name, value] of [["RUN_BUDGET_USD", "ten"], ["EVENT_BUDGET_USD", "-1"]]) {
+    const message = withBudgetEnv({ [name]: value }, `async ({ pipeline }) => {
+      try { pipeline.assertEnvironment(); } catch (err) { return err.message; }
+    }`);
+
+    assert.equal(message, `Invalid ${name} "${value}" (expected a USD amount, 0 or more)`);
+  }
+});
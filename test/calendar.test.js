@@ -0,0 +1,59 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { pipeline, reset, fakeProviders, wikidataEntity, onThisDayFeed } = require("./helpers");
+
+const { matchTargetDay, convertCalendar, parsePerplexityDate, validateWithWikidataClaims, validateWithWikipediaOnThisDay } = pipeline;
+
+beforeEach(reset);
+
+const date = (year, month, day, calendar, marked) => ({ year, month, day, calendar, era: year < 0 ? "BCE" : "CE", ...(marked && { marked: true }) });
+
+test("convertCalendar moves dates between the Julian and Gregorian calendars", () => {
+  assert.deepEqual(convertCalendar(date(1642, 12, 25, "julian"), "gregorian"), date(1643, 1, 4, "gregorian"));
+  assert.deepEqual(convertCalendar(date(1917, 11, 7, "gregorian"), "julian"), date(1917, 10, 25, "julian"));
+});
+
+test("a marked Old Style date matches its New Style day", () => {
+  const newton = parsePerplexityDate("December 25, 1642 (O.S.)");
+  assert.deepEqual(matchTargetDay(newton, 1, 4), date(1643, 1, 4, "gregorian", true));
+  assert.equal(matchTargetDay(newton, 12, 25), newton);
+});
+
+test("an unmarked date matches only its own day", () => {
+  assert.equal(matchTargetDay(parsePerplexityDate("October 20, 1879"), 10, 8), null);
+  assert.equal(matchTargetDay(parsePerplexityDate("December 25, 1642"), 1, 4), null);
+});
+
+const birth = overrides => ({
+  title: "Birth of Ada Example", type: "birthday", date: "1879-10-08", year: 1879, calendar: "gregorian",
+  qid: "Q4242", context: "", keywords: [], sources: [], ...overrides,
+});
+
+test("a Gregorian Wikidata statement does not confirm the Julian day", async () => {
+  fakeProviders({ wikidata: () => wikidataEntity("Q4242", { claims: { P569: [["+1879-10-20"]] } }) });
+
+  const result = await validateWithWikidataClaims(birth(), "October", "08");
+
+  assert.equal(result.validated, false);
+  assert.equal(result.reason, "wikidata-date-conflict");
+});
+
+test("a Julian Wikidata statement confirms its Gregorian day", async () => {
+  fakeProviders({ wikidata: () => wikidataEntity("Q4242", { claims: { P569: [["+1879-10-08", 11, "julian"]] } }) });
+
+  const result = await validateWithWikidataClaims(birth({ date: "1879-10-20" }), "October", "20");
+
+  assert.equal(result.validated, true);
+  assert.equal(result.statement.calendar, "julian");
+});
+
+test("a seed dated in the Julian calendar is listed under either year", async () => {
+  fakeProviders({ wikimedia: () => onThisDayFeed({ births: [{ year: 1643, text: "Isaac Newton, English physicist", pages: [] }] }) });
+  const newton = { title: "Birth of Isaac Newton", type: "birthday", date: "1643-01-04", year: 1643, calendar: "gregorian", dualDate: { date: "1642-12-25", calendar: "julian" }, keywords: [] };
+
+  const dual = await validateWithWikipediaOnThisDay(newton, "January", "04");
+  const single = await validateWithWikipediaOnThisDay({ ...newton, year: 1642, date: "1642-01-04", dualDate: undefined }, "January", "04");
+
+  assert.equal(dual.validated, true);
+  assert.equal(single.reason, "wiki-on-this-day-year-mismatch");
+});
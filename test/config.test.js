@@ -0,0 +1,131 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pipeline } = require("./helpers");
+
+const { loadConfig } = pipeline;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "science-config-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function configFile(contents) {
+  const file = path.join(dir, `config-${fs.readdirSync(dir).length}.json`);
+  fs.writeFileSync(file, typeof contents === "string" ? contents : JSON.stringify(contents));
+  return file;
+}
+
+// Every schema problem, one per line after the header
+function problems(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err.message.split("\n").slice(1).map(line => line.replace(/^\s*- /, ""));
+  }
+  assert.fail("expected an invalid config");
+}
+
+test("falls back to the defaults without a config file", t => {
+  t.mock.method(fs, "existsSync", () => false);
+  delete process.env.CONFIG_FILE;
+
+  const config = loadConfig();
+
+  assert.deepEqual(config, loadConfig(null));
+  assert.equal(config.vertical, "science");
+  assert.equal(config.pipeline.maxSources, 5);
+  assert.deepEqual(config.output.formats, ["json"]);
+  assert.equal(config.validation.mode, "first-pass");
+});
+
+test("a named config file that does not exist is an error", () => {
+  assert.throws(() => loadConfig(path.join(dir, "missing.json")), /^Error: Cannot read config .*missing\.json: ENOENT/);
+});
+
+test("merges sections key by key and replaces categories as a whole", () => {
+  const config = loadConfig(configFile({
+    pipeline: { maxSources: 3 },
+    categories: [{ name: "Geology", count: 2, description: "Earthquakes and eruptions." }],
+  }));
+
+  assert.equal(config.pipeline.maxSources, 3);
+  assert.equal(config.pipeline.targetTotal, 7);
+  assert.deepEqual(config.categories.map(c => c.name), ["Geology"]);
+});
+
+test("rejects unknown keys", () => {
+  assert.deepEqual(problems(() => loadConfig(configFile({ pipeline: { maxSource: 3 }, theme: "dark" }))), [
+    "config.pipeline.maxSource: unknown key",
+    "config.theme: unknown key",
+  ]);
+});
+
+test("rejects values of the wrong type", () => {
+  assert.deepEqual(problems(() => loadConfig(configFile({
+    pipeline: { checkSources: "no", targetTotal: 6.5 },
+    output: { formats: "csv" },
+  }))), [
+    "config.pipeline.targetTotal: expected integer, got number",
+    "config.pipeline.checkSources: expected boolean, got string",
+    "config.output.formats: expected array, got string",
+  ]);
+});
+
+test("rejects values out of range or outside the allowed set", () => {
+  assert.deepEqual(problems(() => loadConfig(configFile({
+    pipeline: { maxSources: 25 },
+    validation: { threshold: 0.5, borderline: 0.7 },
+    translations: { languages: ["de", "pt"] },
+  }))), [
+    "config.pipeline.maxSources: must be <= 20",
+    "config.translations.languages[1]: must be one of de, fr, es, it, ja",
+    "config.validation.borderline: must be <= threshold",
+  ]);
+});
+
+test("names the file in the error", () => {
+  const file = configFile({ archive: { maxAgeDays: 0 } });
+
+  assert.throws(() => loadConfig(file), { message: `Invalid config (${file}):\n  - config.archive.maxAgeDays: must be >= 1` });
+});
+
+test("--set follows dotted paths and parses values as JSON", () => {
+  const config = loadConfig(null, [
+    "pipeline.maxSources=3",
+    "pipeline.checkSources=false",
+    "validation.reliability.perplexity=0.7",
+    "output.formats=[\"csv\",\"ics\"]",
+    "models.polish=gpt-4o-mini",
+    "categories.prizes & standards.count=2",
+    "categories.0.count=4",
+  ]);
+
+  assert.equal(config.pipeline.maxSources, 3);
+  assert.equal(config.pipeline.checkSources, false);
+  assert.equal(config.validation.reliability.perplexity, 0.7);
+  assert.equal(config.validation.reliability["wiki-article"], 0.85);
+  assert.deepEqual(config.output.formats, ["csv", "ics"]);
+  assert.equal(config.models.polish, "gpt-4o-mini");
+  assert.equal(config.categories.find(c => c.name === "Prizes & Standards").count, 2);
+  assert.equal(config.categories[0].count, 4);
+});
+
+test("--set applies after the config file", () => {
+  const config = loadConfig(configFile({ pipeline: { maxSources: 3 } }), ["pipeline.maxSources=8"]);
+
+  assert.equal(config.pipeline.maxSources, 8);
+});
+
+test("--set values are validated like the file", () => {
+  assert.deepEqual(problems(() => loadConfig(null, ["pipeline.maxSources=three", "archive.enabled=1"])), [
+    "config.pipeline.maxSources: expected integer, got string",
+    "config.archive.enabled: expected boolean, got integer",
+  ]);
+});
+
+test("--set rejects malformed assignments and paths", () => {
+  assert.throws(() => loadConfig(null, ["pipeline.maxSources"]), /Invalid --set "pipeline\.maxSources" \(expected key\.path=value\)/);
+  assert.throws(() => loadConfig(null, ["categories.Alchemy.count=2"]), /no item named "Alchemy"/);
+  assert.throws(() => loadConfig(null, ["vertical.name=x"]), /"vertical" is not an object/);
+});
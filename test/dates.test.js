@@ -0,0 +1,67 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { pipeline } = require("./helpers");
+
+const { resolveDates } = pipeline;
+
+test("resolveDates pads single dates and reads comma-separated lists", () => {
+  assert.deepEqual(resolveDates({ date: ["3-7"] }), ["03-07"]);
+  assert.deepEqual(resolveDates({ date: ["10-08,10-09", " 12-25 "] }), ["10-08", "10-09", "12-25"]);
+});
+
+test("resolveDates expands --from/--to inclusively across month ends", () => {
+  assert.deepEqual(resolveDates({ from: "02-27", to: "03-02" }), ["02-27", "02-28", "02-29", "03-01", "03-02"]);
+  assert.deepEqual(resolveDates({ from: "10-08", to: "10-08" }), ["10-08"]);
+});
+
+test("resolveDates wraps a range from December into January", () => {
+  assert.deepEqual(resolveDates({ from: "12-30", to: "01-02" }), ["12-30", "12-31", "01-01", "01-02"]);
+  assert.deepEqual(resolveDates({ from: "12-31", to: "01-01" }), ["12-31", "01-01"]);
+});
+
+test("resolveDates covers a whole leap year when a range ends the day before it starts", () => {
+  const dates = resolveDates({ from: "03-01", to: "02-29" });
+
+  assert.equal(dates.length, 366);
+  assert.equal(dates[0], "03-01");
+  assert.equal(dates.at(-1), "02-29");
+});
+
+test("resolveDates lists every day of a month, including February 29", () => {
+  const february = resolveDates({ month: ["2"] });
+
+  assert.equal(february.length, 29);
+  assert.equal(february.at(-1), "02-29");
+  assert.equal(resolveDates({ month: ["04"] }).length, 30);
+});
+
+test("resolveDates combines dates, ranges and months without duplicates", () => {
+  assert.deepEqual(resolveDates({ date: ["12-31", "01-01"], from: "12-30", to: "01-01" }), ["12-31", "01-01", "12-30"]);
+});
+
+test("resolveDates defaults to today", () => {
+  const now = new Date();
+  const today = `${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`;
+
+  assert.deepEqual(resolveDates({}), [today]);
+});
+
+test("resolveDates rejects malformed and impossible dates", () => {
+  assert.throws(() => resolveDates({ date: ["2026-10-08"] }), /Invalid date "2026-10-08" \(expected MM-DD\)/);
+  assert.throws(() => resolveDates({ date: ["October 8"] }), /expected MM-DD/);
+  assert.throws(() => resolveDates({ date: ["13-01"] }), /Invalid date "13-01"/);
+  assert.throws(() => resolveDates({ date: ["04-31"] }), /Invalid date "04-31"/);
+  assert.throws(() => resolveDates({ date: ["00-10"] }), /Invalid date "00-10"/);
+});
+
+test("resolveDates rejects a half-open or invalid range", () => {
+  assert.throws(() => resolveDates({ from: "12-30" }), /--from and --to must be used together/);
+  assert.throws(() => resolveDates({ to: "01-02" }), /--from and --to must be used together/);
+  assert.throws(() => resolveDates({ from: "12-30", to: "01-32" }), /Invalid date "01-32"/);
+});
+
+test("resolveDates rejects months outside 1-12", () => {
+  for (const month of ["0", "13", "1.5", "Oct"]) {
+    assert.throws(() => resolveDates({ month: [month] }), { message: `Invalid month "${month}" (expected 1-12)` });
+  }
+});
@@ -0,0 +1,91 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { pipeline, reset } = require("./helpers");
+
+const { dedupeCandidates, METRICS } = pipeline;
+
+beforeEach(reset);
+
+function entry(category, overrides = {}) {
+  return {
+    category,
+    event: {
+      title: "First Pulsar Discovered",
+      type: "event",
+      year: 1967,
+      date: "1967-11-28",
+      calendar: "gregorian",
+      qid: null,
+      context: "",
+      keywords: [],
+      sources: [],
+      ...overrides,
+    },
+  };
+}
+
+test("merges candidates with the same title in the same year", () => {
+  const first = entry("Physics");
+  const second = entry("Astronomy");
+
+  assert.deepEqual(dedupeCandidates([first, second]), [first]);
+  assert.deepEqual(first.event.dedup.merged, [{ title: "First Pulsar Discovered", category: "Astronomy", reason: "same-title" }]);
+  assert.equal(METRICS.dedup.merged, 1);
+  assert.deepEqual(METRICS.dedup.reasons, { "same-title": 1 });
+});
+
+test("keeps the same title in another year", () => {
+  const candidates = [entry("Physics"), entry("Astronomy", { year: 1968, date: "1968-11-28" })];
+
+  assert.equal(dedupeCandidates(candidates).length, 2);
+  assert.equal(METRICS.dedup.merged, 0);
+});
+
+test("merges candidates naming the same QID under different titles", () => {
+  const first = entry("Physics", { qid: "Q4360", title: "Bell Burnell Spots a Radio Pulse" });
+  const second = entry("Astronomy", { qid: "Q4360", title: "Pulsars Found at Cambridge", year: 1968, date: "1968-02-24" });
+
+  assert.deepEqual(dedupeCandidates([first, second]), [first]);
+  assert.equal(first.event.dedup.merged[0].reason, "same-qid");
+});
+
+test("keeps the same QID for another type in another year", () => {
+  const birth = entry("Physics", { qid: "Q937", type: "birthday", title: "Birth of Albert Einstein", year: 1879, date: "1879-03-14" });
+  const paper = entry("Physics", { qid: "Q937", title: "Annus Mirabilis Papers Published", year: 1905, date: "1905-03-14" });
+
+  assert.equal(dedupeCandidates([birth, paper]).length, 2);
+});
+
+test("drops a birthday covered by an event about the same person", () => {
+  const event = entry("Physics", { title: "Marie Curie Discovers Polonium", year: 1898 });
+  const birth = entry("Chemistry", { type: "birthday", title: "Birth of Marie Curie", year: 1867, date: "1867-11-07" });
+
+  assert.equal(dedupeCandidates([event, birth]).length, 1);
+  assert.deepEqual(METRICS.dedup.reasons, { "person-covered": 1 });
+});
+
+test("merges candidates sharing a mission ID in the same year", () => {
+  const first = entry("Space", { title: "New Shepard NS-36 Launch", year: 2025 });
+  const second = entry("Engineering", { title: "Blue Origin Flies NS-36", year: 2025 });
+
+  assert.deepEqual(dedupeCandidates([first, second]), [first]);
+  assert.equal(first.event.dedup.merged[0].reason, "same-entities");
+});
+
+test("keeps the better-scoring duplicate and the original order", () => {
+  const other = entry("Biology", { title: "Structure of DNA Described", year: 1953 });
+  const thin = entry("Physics");
+  const rich = entry("Astronomy", { qid: "Q4360", sources: ["https://www.nature.com/articles/217709a0"], keywords: ["pulsar"] });
+
+  assert.deepEqual(dedupeCandidates([other, thin, rich]), [other, rich]);
+  assert.equal(rich.event.dedup.merged[0].category, "Physics");
+});
+
+test("an event published by an earlier run always wins", () => {
+  const earlier = { ...entry("published 2026-10-01"), earlier: true };
+  const rich = entry("Astronomy", { qid: "Q4360", sources: ["https://www.nature.com/articles/217709a0"] });
+
+  assert.deepEqual(dedupeCandidates([rich], [earlier]), []);
+  assert.deepEqual(earlier.event.dedup.merged, [{ title: "First Pulsar Discovered", category: "Astronomy", reason: "same-title" }]);
+  assert.equal(METRICS.dedup.published, 1);
+});
@@ -0,0 +1,110 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { pipeline, reset, fakeProviders, fastTimers, verdictReply, onThisDayFeed, exaResults } = require("./helpers");
+
+const { validateEventReality, CONFIG, METRICS, CANDIDATE_POOL } = pipeline;
+
+function discovery(overrides = {}) {
+  return {
+    title: "Discovery of the Widget Effect",
+    type: "discovery",
+    date: "1905-10-08",
+    year: 1905,
+    calendar: "gregorian",
+    qid: null,
+    context: "Researchers described the widget effect for the first time.",
+    keywords: ["widget", "effect"],
+    sources: [],
+    ...overrides,
+  };
+}
+
+const birth = () => discovery({
+  title: "Birth of Ada Example", type: "birthday", date: "1879-10-08", year: 1879, keywords: ["Ada Example", "physicist"],
+});
+
+const ADA_FEED = () => onThisDayFeed({ births: [{ year: 1879, text: "Ada Example, English physicist", pages: [] }] });
+
+beforeEach(() => {
+  reset();
+  CONFIG.validation.mode = "ensemble";
+});
+
+test("publishes when the signals agree", async () => {
+  const calls = fakeProviders({ wikimedia: ADA_FEED, perplexity: () => verdictReply({ verdict: "YES" }) });
+
+  const result = await validateEventReality(birth(), "October", "08");
+
+  assert.equal(result.valid, true);
+  assert.equal(result.method, "ensemble");
+  assert.equal(result.reason, "ensemble-confident");
+  assert.equal(result.borderline, false);
+  assert.ok(result.confidence >= CONFIG.validation.threshold);
+  assert.deepEqual(result.signals.map(s => [s.source, s.vote]), [["wiki-on-this-day", 1], ["perplexity", 1]]);
+  assert.equal(calls.filter(c => c.provider === "exa").length, 0);
+  assert.equal(METRICS.ensemble.confident, 1);
+});
+
+test("flags a score in the borderline band and holds it back", async t => {
+  fastTimers(t);
+  fakeProviders({
+    wikimedia: () => onThisDayFeed(),
+    perplexity: () => verdictReply({ verdict: "YES", confidence: "MEDIUM" }),
+    exa: () => exaResults([]),
+  });
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, "ensemble-borderline");
+  assert.equal(result.borderline, true);
+  assert.ok(result.confidence >= CONFIG.validation.borderline && result.confidence < CONFIG.validation.threshold);
+  assert.ok(result.tiers.some(tier => tier.tier === "3"), "Tier 3 ran while it could still decide");
+  assert.equal(METRICS.ensemble.borderline, 1);
+});
+
+test("publishes a borderline score with publishBorderline", async t => {
+  fastTimers(t);
+  CONFIG.validation.publishBorderline = true;
+  fakeProviders({
+    wikimedia: () => onThisDayFeed(),
+    perplexity: () => verdictReply({ verdict: "YES", confidence: "MEDIUM" }),
+    exa: () => exaResults([]),
+  });
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.valid, true);
+  assert.equal(result.reason, "ensemble-borderline");
+  assert.equal(result.borderline, true);
+});
+
+test("pools a rejected event that Perplexity places on another day", async () => {
+  fakeProviders({
+    wikimedia: () => onThisDayFeed(),
+    perplexity: () => verdictReply({ verdict: "NO", actualDate: "November 2, 1905" }),
+  });
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, "ensemble-rejected");
+  assert.equal(result.borderline, false);
+  assert.equal(METRICS.ensemble.rejected, 1);
+  assert.equal(METRICS.pool.added, 1);
+  assert.equal(CANDIDATE_POOL.peek("11-02").candidates[0].event.date, "1905-11-02");
+});
+
+test("skips Tier 3 when it cannot lift the score into the borderline band", async () => {
+  const calls = fakeProviders({
+    wikimedia: () => onThisDayFeed(),
+    perplexity: () => verdictReply({ verdict: "NO" }),
+  });
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.reason, "ensemble-rejected");
+  assert.deepEqual(result.tiers.map(tier => tier.tier), ["0", "2"]);
+  assert.equal(calls.filter(c => c.provider === "exa").length, 0);
+  assert.equal(METRICS.pool.added, 0);
+});
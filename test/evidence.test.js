@@ -0,0 +1,74 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { pipeline, reset } = require("./helpers");
+
+const { collectEvidence, CONTENTS_CACHE } = pipeline;
+
+const PULSAR = { title: "First Pulsar Discovered", type: "event", date: "1967-11-28", year: 1967, calendar: "gregorian" };
+
+function cached(url, text) {
+  CONTENTS_CACHE.set(url, { text, timestamp: Date.now() });
+  return text;
+}
+
+beforeEach(reset);
+
+test("quotes the sentence naming the date and subject, at its offset in the cached text", () => {
+  const url = "https://example.org/pulsar";
+  const text = cached(url, "The Cambridge radio telescope began its survey in July 1967. On 28 November 1967, Jocelyn Bell Burnell recorded the first pulsar. Further pulsars followed in early 1968.");
+
+  const [evidence] = collectEvidence(PULSAR, [url]);
+
+  assert.equal(evidence.status, "supported");
+  assert.equal(evidence.quote, "On 28 November 1967, Jocelyn Bell Burnell recorded the first pulsar.");
+  assert.equal(text.slice(evidence.offset, evidence.offset + evidence.quote.length), evidence.quote);
+  assert.deepEqual(evidence.matched, { date: true, year: true, subject: true });
+  assert.equal(evidence.link, `${url}#:~:text=On%2028%20November%201967%2C%20Jocelyn%20Bell%20Burnell%20recorded%20the%20first%20pulsar.`);
+});
+
+test("joins two sentences when the date and subject are split across them", () => {
+  const url = "https://example.org/survey";
+  const text = cached(url, "The survey ran through the autumn of 1967 at Cambridge.\nOn November 28 the chart showed it again.\nIt was the first pulsar ever discovered, and the note was filed.");
+
+  const [evidence] = collectEvidence(PULSAR, [url]);
+
+  assert.equal(evidence.status, "supported");
+  assert.equal(evidence.quote, "On November 28 the chart showed it again. It was the first pulsar ever discovered, and the note was filed.");
+  const start = evidence.offset;
+  const end = text.indexOf("filed.") + "filed.".length;
+  assert.equal(text.slice(start, end).replace(/\n/g, " "), evidence.quote);
+  assert.deepEqual(evidence.matched, { date: true, year: false, subject: true });
+  assert.equal(evidence.link, `${url}#:~:text=On%20November%2028%20the%20chart,and%20the%20note%20was%20filed.`);
+});
+
+test("strips Markdown from the quote but keeps the offset into the raw text", () => {
+  const url = "https://example.org/markdown";
+  const text = cached(url, "## The **first pulsar**\n\nOn November 18, 1967, the [first pulsar](https://example.org/p) signal was discovered by the team of the survey at Cambridge.");
+
+  const [evidence] = collectEvidence(PULSAR, [url]);
+
+  // November 18 is not November 28
+  assert.equal(evidence.status, "partial");
+  assert.deepEqual(evidence.matched, { date: false, year: true, subject: true });
+  assert.equal(evidence.quote, "On November 18, 1967, the first pulsar signal was discovered by the team of the survey at Cambridge.");
+  assert.equal(evidence.offset, text.indexOf("On November 18"));
+});
+
+test("ranks supported sources first and reports uncached and unsupported ones", () => {
+  cached("https://example.org/short", "Short.");
+  cached("https://example.org/unrelated", "Radio astronomy grew quickly after the war, with large dishes built across Europe and Australia in the 1950s.");
+  cached("https://example.org/pulsar", "On 28 November 1967, Jocelyn Bell Burnell recorded the first pulsar in the survey data at Cambridge.");
+
+  const evidence = collectEvidence(PULSAR, [
+    "https://example.org/unrelated", "https://example.org/missing", "https://example.org/short", "https://example.org/pulsar",
+  ]);
+
+  assert.deepEqual(evidence.map(e => [e.url, e.status]), [
+    ["https://example.org/pulsar", "supported"],
+    ["https://example.org/missing", "uncached"],
+    ["https://example.org/short", "uncached"],
+    ["https://example.org/unrelated", "none"],
+  ]);
+  assert.deepEqual(evidence[3].matched, { date: false, year: false, subject: false });
+  assert.equal(evidence[3].quote, undefined);
+});
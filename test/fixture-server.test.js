@@ -0,0 +1,67 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { execFile } = require("child_process");
+const { pipeline } = require("./helpers");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const MODULE = path.join(__dirname, "..", "science-perplexity-exa.js");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = pipeline.createFixtureServer(FIXTURES);
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// The base URL is read at load time, so Tier 0 runs in a child process pointed at the server
+function runTier0(event, monthName, day) {
+  const script = `require(${JSON.stringify(MODULE)})
+    .validateWithWikipediaOnThisDay(${JSON.stringify(event)}, ${JSON.stringify(monthName)}, ${JSON.stringify(day)})
+    .then(r => process.stdout.write(JSON.stringify(r)));`;
+  const env = { ...process.env, WIKIMEDIA_BASE_URL: baseUrl, CACHE_BACKEND: "memory", LOG_LEVEL: "silent", HTTP_MODE: "live" };
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ["-e", script], { env, timeout: 30000 }, (err, stdout) => {
+      if (err) reject(err);
+      else resolve(JSON.parse(stdout));
+    });
+  });
+}
+
+test("serves a recorded feed by request path", async () => {
+  const res = await fetch(`${baseUrl}/feed/v1/wikipedia/en/onthisday/all/10/08`);
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).births.length, 2);
+});
+
+test("answers 404 for a missing fixture", async () => {
+  const res = await fetch(`${baseUrl}/feed/v1/wikipedia/en/onthisday/all/10/09`);
+  assert.equal(res.status, 404);
+  await res.body?.cancel();
+});
+
+test("answers 400 for a malformed path", async () => {
+  const res = await fetch(`${baseUrl}/%E0`);
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error.message, /Malformed path/);
+});
+
+test("Tier 0 confirms a birth from the served feed", async () => {
+  const result = await runTier0({ title: "Birth of Henry Louis Le Chatelier", type: "birthday", year: 1850 }, "October", "08");
+
+  assert.equal(result.validated, true);
+  assert.equal(result.reason, "wiki-on-this-day-name-confirmed");
+  assert.deepEqual(result.entry, { kind: "birth", year: 1850, text: "Henry Louis Le Chatelier, French chemist" });
+});
+
+test("Tier 0 reports a year mismatch from the served feed", async () => {
+  const result = await runTier0({ title: "Birth of Henry Louis Le Chatelier", type: "birthday", year: 1851 }, "October", "08");
+
+  assert.equal(result.validated, false);
+  assert.equal(result.reason, "wiki-on-this-day-year-mismatch");
+  assert.deepEqual(result.feedYears, [1850]);
+});
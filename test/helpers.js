@@ -0,0 +1,105 @@
+// Shared setup for the node:test suites: loads the pipeline with in-memory caches and state and
+// no log output, and stands in for every provider through setProviderClients.
+process.env.CACHE_BACKEND = "memory";
+process.env.STATE_BACKEND = "memory";
+process.env.LOG_LEVEL = "silent";
+process.env.HTTP_MODE = "live";
+
+const pipeline = require("../science-perplexity-exa.js");
+
+const PROVIDERS = ["perplexity", "openai", "exa", "wikidata", "wikimedia", "web", "archive"];
+const GREGORIAN = "http://www.wikidata.org/entity/Q1985727";
+const JULIAN = "http://www.wikidata.org/entity/Q1985786";
+
+const realSetTimeout = setTimeout;
+
+// Empty caches, fresh metrics and budget, default config. Providers without a fake
+// fail like an unreachable host, so no test ever reaches the network.
+function reset() {
+  for (const cache of [...pipeline.CACHES, ...pipeline.EDITORIAL_STATE]) cache.invalidate("");
+  pipeline.resetMetrics();
+  pipeline.BUDGET.spent = 0;
+  pipeline.BUDGET.run = Infinity;
+  pipeline.BUDGET.event = Infinity;
+  pipeline.applyConfig(pipeline.loadConfig(null));
+  pipeline.setProviderClients(Object.fromEntries(PROVIDERS.map(p => [p, () => {
+    throw new Error(`Unexpected ${p} request`);
+  }])));
+}
+
+// Installs fakes, keyed by provider; each is called as client({ method, path, headers, payload }).
+// Returns the calls made, in order.
+function fakeProviders(clients) {
+  const calls = [];
+  pipeline.setProviderClients(Object.fromEntries(Object.entries(clients).map(([provider, client]) => [
+    provider,
+    async request => {
+      calls.push({ provider, ...request });
+      return client(request, calls.filter(c => c.provider === provider).length);
+    },
+  ])));
+  return calls;
+}
+
+// Backoff sleeps return at once; the requested delays are collected
+function fastTimers(t) {
+  const delays = [];
+  t.mock.method(global, "setTimeout", (fn, ms, ...args) => {
+    delays.push(ms);
+    return realSetTimeout(fn, 0, ...args);
+  });
+  return delays;
+}
+
+function chatReply(content, usage = { prompt_tokens: 200, completion_tokens: 100 }) {
+  return { choices: [{ message: { content } }], usage };
+}
+
+function verdictReply({ verdict, confidence = "HIGH", actualDate = null, reason = "Checked.", sources = [] }) {
+  return chatReply(JSON.stringify({ verdict, confidence, actual_date: actualDate, reason, sources }));
+}
+
+// Wikidata EntityData JSON. claims: { P569: [["+1879-03-14", 11, "julian"?], ...] }
+function wikidataEntity(qid, { title = null, claims = {} } = {}) {
+  const toClaim = ([time, precision = 11, calendar]) => ({
+    rank: "normal",
+    mainsnak: {
+      snaktype: "value",
+      datavalue: { value: { time: `${time}T00:00:00Z`, precision, calendarmodel: calendar === "julian" ? JULIAN : GREGORIAN } },
+    },
+  });
+  return {
+    entities: {
+      [qid]: {
+        id: qid,
+        sitelinks: title ? { enwiki: { site: "enwiki", title } } : {},
+        claims: Object.fromEntries(Object.entries(claims).map(([prop, values]) => [prop, values.map(toClaim)])),
+      },
+    },
+  };
+}
+
+// Wikimedia "on this day" feed JSON. entries: { births: [{ year, text, pages: [[title, qid]] }] }
+function onThisDayFeed(entries = {}) {
+  return Object.fromEntries(Object.entries(entries).map(([group, items]) => [group, items.map(item => ({
+    text: item.text,
+    year: item.year,
+    pages: (item.pages || []).map(([title, qid]) => ({ normalizedtitle: title, wikibase_item: qid })),
+  }))]));
+}
+
+function exaResults(results) {
+  return { results: results.map((r, i) => ({ id: r.id || `doc-${i + 1}`, title: r.title || "", ...r })) };
+}
+
+module.exports = {
+  pipeline,
+  reset,
+  fakeProviders,
+  fastTimers,
+  chatReply,
+  verdictReply,
+  wikidataEntity,
+  onThisDayFeed,
+  exaResults,
+};
@@ -0,0 +1,70 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { pipeline } = require("./helpers");
+
+const { extractJsonArray } = pipeline;
+
+const fixesOf = result => result.repaired.flatMap(r => r.fixes);
+
+test("reads a well-formed array without repairs", () => {
+  const result = extractJsonArray('[{"title": "A", "year": 1905}, {"title": "B", "year": 1906}]');
+  assert.deepEqual(result, { items: [{ title: "A", year: 1905 }, { title: "B", year: 1906 }], repaired: [], dropped: [], truncated: false });
+});
+
+test("finds the array inside code fences and prose", () => {
+  const result = extractJsonArray('Here are the events:\n```json\n[{"title": "A"}]\n```\nLet me know if you need more.');
+  assert.deepEqual(result.items, [{ title: "A" }]);
+});
+
+test("returns null without an array of objects", () => {
+  assert.equal(extractJsonArray("No events found."), null);
+  assert.deepEqual(extractJsonArray("[]").items, []);
+});
+
+test("repairs smart quotes, raw line breaks and comments", () => {
+  const result = extractJsonArray('[{“title”: “Penicillin”, // the mould\n "context": "Line one\nline two"}]');
+  assert.deepEqual(result.items, [{ title: "Penicillin", context: "Line one\nline two" }]);
+  assert.deepEqual(fixesOf(result).sort(), ["comments", "control-characters", "smart-quotes"]);
+});
+
+test("escapes straight quotes inside smart-quoted strings", () => {
+  const result = extractJsonArray('[{"title": “The "Great" Comet”, "year": 1811}]');
+  assert.deepEqual(result.items, [{ title: 'The "Great" Comet', year: 1811 }]);
+  assert.deepEqual(fixesOf(result).sort(), ["quotes", "smart-quotes"]);
+});
+
+test("repairs trailing and missing commas", () => {
+  const result = extractJsonArray('[{\n  "title": "A"\n  "year": 1905,\n  "keywords": ["x", "y",],\n}]');
+  assert.deepEqual(result.items, [{ title: "A", year: 1905, keywords: ["x", "y"] }]);
+  assert.deepEqual(fixesOf(result), ["trailing-commas", "missing-commas"]);
+});
+
+test("quotes unquoted keys outside strings only", () => {
+  const result = extractJsonArray('[{title: "Nobel Prize, Physics: awarded", year: 1921, note: "{a, b: c}"}]');
+  assert.deepEqual(result.items, [{ title: "Nobel Prize, Physics: awarded", year: 1921, note: "{a, b: c}" }]);
+  assert.deepEqual(result.repaired, [{ index: 0, title: "Nobel Prize, Physics: awarded", fixes: ["unquoted-keys"] }]);
+});
+
+test("skips an unreadable object and keeps the others", () => {
+  const result = extractJsonArray('[{"title": "A"}, {"title" "B"}, {"title": "C"}]');
+  assert.deepEqual(result.items, [{ title: "A" }, { title: "C" }]);
+  assert.equal(result.dropped.length, 1);
+  assert.equal(result.dropped[0].index, 1);
+});
+
+test("salvages the complete objects of a truncated array", () => {
+  const result = extractJsonArray('[{"title": "A", "note": "uses } and ]"}, {"title": "B"}, {"title": "C", "context": "cut off at max_to');
+  assert.deepEqual(result.items, [{ title: "A", note: "uses } and ]" }, { title: "B" }]);
+  assert.equal(result.truncated, true);
+});
+
+test("brackets inside smart-quoted strings do not end an object", () => {
+  const result = extractJsonArray('[{“title”: “Braces } and ] in a title”, “year”: 1905}, {“title”: “B”}]');
+  assert.deepEqual(result.items, [{ title: "Braces } and ] in a title", year: 1905 }, { title: "B" }]);
+  assert.equal(result.truncated, false);
+});
+
+test("a straight quote inside a smart-quoted string does not end it while scanning", () => {
+  const result = extractJsonArray('[{"title": “The "Great" Comet {1811}”, "year": 1811}, {"title": "B"}]');
+  assert.deepEqual(result.items, [{ title: 'The "Great" Comet {1811}', year: 1811 }, { title: "B" }]);
+});
@@ -0,0 +1,50 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { pipeline } = require("./helpers");
+
+const { extractName, parsePerplexityDate } = pipeline;
+
+// ---------- extractName ----------
+test("extractName strips title prefixes and suffixes", () => {
+  assert.equal(extractName("Birth of Marie Curie", "birthday"), "Marie Curie");
+  assert.equal(extractName("Death of Isaac Newton (1727)", "death"), "Isaac Newton");
+  assert.equal(extractName("Born: Lise Meitner", "birthday"), "Lise Meitner");
+  assert.equal(extractName("Alan Turing's Birthday", "birthday"), "Alan Turing");
+});
+
+test("extractName drops the description after the name", () => {
+  assert.equal(extractName("Albert Einstein, German-born theoretical physicist", "birthday"), "Albert Einstein");
+  assert.equal(extractName("Emmy Noether, influential mathematician", "death"), "Emmy Noether");
+  assert.equal(extractName("Grace Hopper, pioneer of computer programming", "birthday"), "Grace Hopper");
+});
+
+test("extractName is only defined for birthdays and deaths", () => {
+  assert.equal(extractName("Discovery of Penicillin", "discovery"), null);
+});
+
+// ---------- parsePerplexityDate ----------
+test("parsePerplexityDate reads month-first, day-first and ISO dates", () => {
+  assert.deepEqual(parsePerplexityDate("March 14, 1879"), { year: 1879, month: 3, day: 14, calendar: "gregorian", era: "CE" });
+  assert.deepEqual(parsePerplexityDate("14 March 1879"), { year: 1879, month: 3, day: 14, calendar: "gregorian", era: "CE" });
+  assert.deepEqual(parsePerplexityDate("born 1879-03-14 in Ulm"), { year: 1879, month: 3, day: 14, calendar: "gregorian", era: "CE" });
+});
+
+test("parsePerplexityDate reads BC years as negative and Julian by default", () => {
+  assert.deepEqual(parsePerplexityDate("March 15, 44 BC"), { year: -44, month: 3, day: 15, calendar: "julian", era: "BCE" });
+  assert.equal(parsePerplexityDate("March 15, 44 B.C.E.").year, -44);
+  assert.equal(parsePerplexityDate("June 3, 1564").calendar, "julian");
+});
+
+test("parsePerplexityDate takes the calendar from an Old/New Style marker", () => {
+  assert.equal(parsePerplexityDate("25 December 1642 (O.S.)").calendar, "julian");
+  assert.equal(parsePerplexityDate("January 4, 1643 (N.S.)").calendar, "gregorian");
+  assert.equal(parsePerplexityDate("October 25, 1917 Old Style").calendar, "julian");
+  // The bracket gives the other calendar's day, so the date before it is New Style
+  assert.equal(parsePerplexityDate("November 7, 1917 [O.S. 25 October]").calendar, "gregorian");
+});
+
+test("parsePerplexityDate rejects impossible or missing dates", () => {
+  assert.equal(parsePerplexityDate("February 30, 1900"), null);
+  assert.equal(parsePerplexityDate("sometime in 1900"), null);
+  assert.equal(parsePerplexityDate(null), null);
+});
@@ -0,0 +1,77 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pipeline, reset, fakeProviders, fastTimers, chatReply, wikidataEntity, onThisDayFeed } = require("./helpers");
+
+const { runDate, CANDIDATE_POOL, CONFIG, METRICS } = pipeline;
+
+const CONTEXT = "The physicist was born into a family of instrument makers and later described the widget effect. ".repeat(6).trim();
+const CATEGORY = { name: "Physics & Astronomy", count: 2, description: "Physics" };
+const SOURCES = ["https://www.nature.com/articles/widget", "https://www.esa.int/widget", "https://en.wikipedia.org/wiki/Ada_Example"];
+
+const birth = (overrides = {}) => ({
+  title: "Birth of Ada Example",
+  type: "birthday",
+  date: "1879-10-08",
+  year: 1879,
+  calendar: "gregorian",
+  category: "Physics",
+  qid: "Q4242",
+  context: CONTEXT,
+  keywords: ["Ada Example", "physicist"],
+  sources: SOURCES,
+  ...overrides,
+});
+
+let outDir;
+
+beforeEach(() => {
+  reset();
+  CONFIG.pipeline.checkSources = false;
+  CONFIG.pipeline.fallbackMax = 0;
+  CONFIG.archive.enabled = false;
+  outDir = fs.mkdtempSync(path.join(os.tmpdir(), "pool-test-"));
+});
+
+afterEach(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+// The seed run for `seedDate` finds `seeded`; the later run for `drawDate` seeds nothing new
+async function seedThenDraw(seeded, seedDate, drawDate, claims) {
+  fakeProviders({
+    perplexity: () => chatReply(JSON.stringify(seeded)),
+    wikimedia: () => onThisDayFeed(),
+    wikidata: () => wikidataEntity("Q4242", { title: "Ada Example", claims }),
+  });
+  const first = await runDate(seedDate, { categories: [CATEGORY], outDir, formats: ["json"] });
+
+  fakeProviders({
+    perplexity: () => chatReply("[]"),
+    wikimedia: () => onThisDayFeed(),
+    wikidata: () => wikidataEntity("Q4242", { title: "Ada Example", claims }),
+  });
+  const later = await runDate(drawDate, { categories: [CATEGORY], outDir, formats: ["json"] });
+  return { first, later };
+}
+
+test("a candidate pooled by one run is drawn and published by the run for its date", async t => {
+  fastTimers(t);
+  const { first, later } = await seedThenDraw([birth()], "10-08", "10-18", { P569: [["+1879-10-18"]] });
+
+  assert.deepEqual(first.events, []);
+  assert.equal(METRICS.pool.drawn, 1);
+  assert.deepEqual(later.events.map(e => [e.title, e.date]), [["Birth of Ada Example", "10-18"]]);
+  assert.equal(CANDIDATE_POOL.peek("10-18"), undefined);
+});
+
+test("a Julian stated date is pooled under its Gregorian day", async t => {
+  fastTimers(t);
+  const { first, later } = await seedThenDraw([birth()], "10-08", "01-04", { P569: [["+1642-12-25", 11, "julian"]] });
+
+  assert.deepEqual(first.events, []);
+  assert.equal(CANDIDATE_POOL.peek("12-25"), undefined);
+  assert.deepEqual(later.events.map(e => [e.date, e.year, e.calendar, e.dualDate]), [
+    ["01-04", 1643, "gregorian", { date: "1642-12-25", calendar: "julian" }],
+  ]);
+});
@@ -0,0 +1,99 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { execFile, execFileSync } = require("child_process");
+
+const MODULE = path.join(__dirname, "..", "science-perplexity-exa.js");
+
+let server;
+let baseUrl;
+let fixturesDir;
+let served;
+
+before(async () => {
+  // Each request for the feed answers with a different entry, as a live API might
+  server = http.createServer((req, res) => {
+    served++;
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ births: [{ year: 1879, text: `Ada Example, physicist (response ${served})`, pages: [] }] }));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function freshFixtures() {
+  fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), "fixtures-test-"));
+  served = 0;
+}
+
+function cleanup() {
+  fs.rmSync(fixturesDir, { recursive: true, force: true });
+}
+
+// Fetches the same feed twice, emptying the caches in between so the request repeats.
+// Asynchronous, so the stand-in in this process can answer.
+function fetchTwice(mode, extraEnv = {}) {
+  const env = {
+    ...process.env, HTTP_MODE: mode, FIXTURES_DIR: fixturesDir, WIKIMEDIA_BASE_URL: baseUrl,
+    CACHE_BACKEND: "memory", STATE_BACKEND: "memory", LOG_LEVEL: "silent", CONCURRENCY: "", ...extraEnv,
+  };
+  const script = `const p = require(${JSON.stringify(MODULE)});
+    (async () => {
+      const texts = [];
+      for (let i = 0; i < 2; i++) {
+        for (const cache of p.CACHES) cache.invalidate("");
+        const feed = await p.getWikipediaOnThisDay("October", "08");
+        texts.push(feed ? feed.entries[0].text : null);
+      }
+      return texts;
+    })().then(out => process.stdout.write(JSON.stringify(out)));`;
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ["-e", script], { env, timeout: 30000 }, (err, stdout) => {
+      if (err) reject(err);
+      else resolve(JSON.parse(stdout));
+    });
+  });
+}
+
+function fixtureFiles() {
+  return fs.readdirSync(path.join(fixturesDir, "wikimedia")).sort();
+}
+
+test("a repeated request replays its responses in the recorded order", async t => {
+  freshFixtures();
+  t.after(cleanup);
+
+  const recorded = await fetchTwice("record");
+  const replayed = await fetchTwice("replay", { WIKIMEDIA_BASE_URL: "http://127.0.0.1:9" });
+
+  assert.deepEqual(recorded, ["Ada Example, physicist (response 1)", "Ada Example, physicist (response 2)"]);
+  assert.deepEqual(replayed, recorded);
+  assert.deepEqual(fixtureFiles().map(f => f.replace(/^[0-9a-f]+-/, "")), ["1.json", "2.json"]);
+});
+
+test("a repeated request is refused under concurrency, since its order is not deterministic", async t => {
+  freshFixtures();
+  t.after(cleanup);
+
+  const recorded = await fetchTwice("record", { CONCURRENCY: "3" });
+
+  assert.deepEqual(recorded, ["Ada Example, physicist (response 1)", null]);
+  assert.equal(served, 1);
+  assert.equal(fixtureFiles().length, 1);
+});
+
+test("the CLI refuses to record or replay with more than one event at a time", t => {
+  freshFixtures();
+  t.after(cleanup);
+  const env = { ...process.env, HTTP_MODE: "replay", FIXTURES_DIR: fixturesDir, CACHE_BACKEND: "memory", STATE_BACKEND: "memory" };
+
+  assert.throws(
+    () => execFileSync(process.execPath, [MODULE, "--date", "10-08", "--concurrency", "2"], { env, timeout: 30000, encoding: "utf8", stdio: "pipe" }),
+    err => err.status === 1 && /HTTP_MODE=replay needs --concurrency 1/.test(err.stderr),
+  );
+});
@@ -0,0 +1,77 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pipeline, reset, fakeProviders, chatReply, verdictReply, exaResults } = require("./helpers");
+
+const { processEvent, runDate, REVIEW_QUEUE, CONFIG, METRICS } = pipeline;
+
+const CONTEXT = "Researchers at the laboratory described the widget effect, a measurable shift in conductivity. ".repeat(8).trim();
+const CATEGORY = { name: "Physics & Astronomy", count: 2, description: "Physics" };
+
+const discovery = (overrides = {}) => ({
+  title: "Discovery of the Widget Effect",
+  type: "event",
+  date: "1905-10-08",
+  year: 1905,
+  calendar: "gregorian",
+  category: "Physics",
+  qid: null,
+  context: CONTEXT,
+  keywords: ["widget", "conductivity"],
+  sources: [],
+  ...overrides,
+});
+
+let outDir;
+
+beforeEach(() => {
+  reset();
+  CONFIG.pipeline.checkSources = false;
+  CONFIG.pipeline.fallbackMax = 0;
+  CONFIG.archive.enabled = false;
+  outDir = fs.mkdtempSync(path.join(os.tmpdir(), "review-test-"));
+});
+
+afterEach(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+test("a validated event left without sources is queued for review", async () => {
+  fakeProviders({
+    perplexity: () => verdictReply({ verdict: "YES" }),
+    exa: () => exaResults([]),
+  });
+
+  const published = await processEvent(discovery(), "October", "08");
+
+  assert.equal(published, null);
+  const [item] = REVIEW_QUEUE.get("10-08").items;
+  assert.equal(item.reason, "no-sources");
+  assert.equal(item.method, "tier2-perplexity");
+});
+
+test("a seeded event matching an approval with an edited year is merged into it", async () => {
+  REVIEW_QUEUE.set("10-08", {
+    items: [{
+      id: "abc12345",
+      status: "approved",
+      category: CATEGORY.name,
+      reason: "perplexity-rejected",
+      method: "tier2-perplexity",
+      tiers: [],
+      event: discovery({ sources: ["https://www.nature.com/articles/widget", "https://www.esa.int/widget", "https://en.wikipedia.org/wiki/Widget_effect"] }),
+      edits: { year: 1906 },
+      decidedAt: "2026-01-01T00:00:00.000Z",
+    }],
+  });
+  const calls = fakeProviders({
+    perplexity: () => chatReply(JSON.stringify([discovery({ sources: ["https://www.nature.com/articles/widget"] })])),
+    openai: () => chatReply(CONTEXT),
+  });
+
+  const result = await runDate("10-08", { categories: [CATEGORY], outDir, formats: ["json"] });
+
+  assert.equal(calls.filter(c => c.provider === "perplexity").length, 1);
+  assert.equal(METRICS.dedup.merged, 1);
+  assert.deepEqual(result.events.map(e => [e.year, e.validation.method]), [[1906, "editorial"]]);
+});
@@ -0,0 +1,87 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { pipeline, reset } = require("./helpers");
+
+const { enforceEventSchema, REVIEW_QUEUE, METRICS } = pipeline;
+
+function validated(overrides = {}) {
+  return {
+    title: "First Pulsar Discovered",
+    type: "event",
+    date: "1967-10-08",
+    year: 1967,
+    calendar: "gregorian",
+    category: "Astronomy",
+    qid: "Q4360",
+    context: "Jocelyn Bell Burnell noticed a regular radio pulse in the Cambridge survey data.",
+    keywords: ["pulsar"],
+    sources: ["https://www.nature.com/articles/217709a0"],
+    validation: { method: "tier2-perplexity", reason: "perplexity-confirmed", tiers: [] },
+    ...overrides,
+  };
+}
+
+beforeEach(reset);
+
+test("publishes an event that fits the schema, tidying loose fields", () => {
+  const event = validated({ qid: " q4360 ", type: "Event", year: "1967", keywords: "pulsar, radio astronomy" });
+
+  const [{ published }] = enforceEventSchema([{ event, category: "Astronomy" }], "October", "08");
+
+  assert.equal(published.date, "10-08");
+  assert.equal(published.year, 1967);
+  assert.equal(published.type, "event");
+  assert.equal(published.qid, "Q4360");
+  assert.deepEqual(published.keywords, ["pulsar", "radio astronomy"]);
+  assert.equal(METRICS.events.dropped, 0);
+  assert.equal(REVIEW_QUEUE.peek("10-08"), undefined);
+});
+
+// One event per drop reason, each broken in a way toPublishedEvent cannot tidy
+const VIOLATIONS = {
+  title: { title: "   " },
+  date: { date: "1967-10-32" },
+  year: { year: "late 1960s" },
+  calendar: { calendar: "revised-julian" },
+  type: { type: "meeting" },
+  context: { context: "" },
+  sources: { sources: [] },
+  keywords: { keywords: { pulsar: true } },
+  validation: { validation: { method: "", reason: "perplexity-confirmed", tiers: [] } },
+  evidence: { evidence: [{ url: "https://www.nature.com/articles/217709a0", status: "guessed" }] },
+  translations: { translations: { pt: { title: "Primeiro pulsar", context: "…", date: null, wikipedia: null } } },
+};
+
+for (const [field, overrides] of Object.entries(VIOLATIONS)) {
+  test(`drops an event with a bad ${field} as schema-${field}`, () => {
+    METRICS.events.validated = 1;
+    const event = validated(overrides);
+
+    assert.deepEqual(enforceEventSchema([{ event, category: "Astronomy" }], "October", "08"), []);
+
+    assert.equal(METRICS.events.validated, 0);
+    assert.equal(METRICS.events.dropped, 1);
+    assert.deepEqual(METRICS.dropReasons, { [`schema-${field}`]: 1 });
+    const [item] = REVIEW_QUEUE.peek("10-08").items;
+    assert.equal(item.reason, `schema-${field}`);
+    assert.equal(item.category, "Astronomy");
+  });
+}
+
+test("counts each dropped event once and keeps the valid ones", () => {
+  METRICS.events.validated = 4;
+  const entries = [
+    validated(),
+    validated({ title: "Bad Type", type: "meeting" }),
+    validated({ title: "Another Bad Type", type: "lecture" }),
+    validated({ title: "No Sources", sources: [] }),
+  ].map(event => ({ event, category: "Astronomy" }));
+
+  const valid = enforceEventSchema(entries, "October", "08");
+
+  assert.deepEqual(valid.map(v => v.published.title), ["First Pulsar Discovered"]);
+  assert.equal(METRICS.events.validated, 1);
+  assert.equal(METRICS.events.dropped, 3);
+  assert.deepEqual(METRICS.dropReasons, { "schema-type": 2, "schema-sources": 1 });
+  assert.equal(REVIEW_QUEUE.peek("10-08").items.length, 3);
+});
@@ -0,0 +1,95 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const ARTICLE = `<html><head><title>Pulsar</title></head><body>${"<p>The first pulsar was observed in 1967.</p>".repeat(60)}</body></html>`;
+
+// The stand-in sees each source as /<host><path>; www. and trailing slashes are ignored
+const ROUTES = {
+  "/example.org/ok": [200, ARTICLE],
+  "/example.org/moved": [301, "", { location: "https://example.org/ok?utm_source=redirect" }],
+  "/example.org/gone": [404, "Gone"],
+  "/example.org/broken": [500, "Server error"],
+  "/example.org/blocked": [403, "Forbidden"],
+  "/example.org/missing": [200, "<html><head><title>Page Not Found</title></head><body>Sorry.</body></html>"],
+  "/example.org/deep/article": [302, "", { location: "/" }],
+  "/example.org": [200, ARTICLE],
+  "/doi.org/10.1000/abc": [302, "", { location: "https://example.org/ok" }],
+};
+
+let server;
+let requests;
+let pipeline;
+let reset;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const route = req.url.split("?")[0].replace(/^\/www\./, "/").replace(/\/+$/, "");
+    requests.push(route);
+    const [status, body, headers = {}] = ROUTES[route] || [404, "No route"];
+    res.writeHead(status, { "Content-Type": "text/html", ...headers });
+    res.end(body);
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  // Read when the pipeline loads
+  process.env.WEB_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.RATE_LIMIT_WEB = "1000:1000";
+  ({ pipeline, reset } = require("./helpers"));
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  reset();
+  pipeline.setProviderClients({ web: null });
+  pipeline.CONFIG.archive.enabled = false;
+  requests = [];
+});
+
+test("follows redirects and keeps the canonical target", async () => {
+  const kept = await pipeline.cleanSources(["http://example.org/moved?utm_campaign=feed#top"]);
+
+  assert.deepEqual(kept, ["https://example.org/ok"]);
+  assert.deepEqual(requests, ["/example.org/moved", "/example.org/ok"]);
+  assert.equal(pipeline.METRICS.sources.redirected, 1);
+  assert.equal(pipeline.METRICS.sources.canonicalized, 1);
+});
+
+test("keeps a DOI even though it redirects to the publisher", async () => {
+  assert.deepEqual(await pipeline.cleanSources(["https://dx.doi.org/10.1000/ABC"]), ["https://doi.org/10.1000/abc"]);
+});
+
+test("drops 4xx and 5xx sources but keeps ones that block bots", async () => {
+  const kept = await pipeline.cleanSources([
+    "https://example.org/gone", "https://example.org/broken", "https://example.org/blocked", "https://example.org/ok",
+  ]);
+
+  assert.deepEqual(kept, ["https://example.org/blocked", "https://example.org/ok"]);
+  assert.equal(pipeline.METRICS.sources.dead, 2);
+  assert.equal(pipeline.METRICS.sources.blocked, 1);
+});
+
+test("drops soft 404s: a not-found page and an article that lands on the front page", async () => {
+  const kept = await pipeline.cleanSources(["https://example.org/missing", "https://example.org/deep/article", "https://example.org/"]);
+
+  assert.deepEqual(kept, ["https://example.org/"]);
+  assert.equal(pipeline.METRICS.sources.soft404, 2);
+});
+
+test("removes duplicates once URLs are canonical", async () => {
+  const kept = await pipeline.cleanSources([
+    "https://example.org/ok", "https://www.example.org/ok/?utm_source=feed", "https://example.org/moved",
+  ]);
+
+  assert.deepEqual(kept, ["https://example.org/ok"]);
+  assert.equal(pipeline.METRICS.sources.duplicates, 2);
+});
+
+test("caches health results, except server errors", async () => {
+  await pipeline.cleanSources(["https://example.org/ok", "https://example.org/gone", "https://example.org/broken"]);
+  requests = [];
+  await pipeline.cleanSources(["https://example.org/ok", "https://example.org/gone", "https://example.org/broken"]);
+
+  assert.deepEqual(requests, ["/example.org/broken"]);
+});
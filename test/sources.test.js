@@ -0,0 +1,147 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { pipeline, reset } = require("./helpers");
+
+const { filterSourcesByKeywords, applyUniversalSourceCheck, dedupeCandidates, CONTENTS_CACHE, METRICS } = pipeline;
+
+const PADDING = " Further details followed in later reports from the observatory and the press.".repeat(2);
+
+function cachePage(url, text) {
+  CONTENTS_CACHE.set(url, { text: text + PADDING, timestamp: Date.now() });
+  return url;
+}
+
+beforeEach(reset);
+
+// ---------- filterSourcesByKeywords ----------
+test("keeps up to two sources without looking at them", () => {
+  const sources = ["https://example.org/a", "https://example.org/b"];
+  assert.deepEqual(filterSourcesByKeywords({ title: "Pulsar Discovery", keywords: [] }, sources), sources);
+});
+
+test("keeps sources matching at least two keywords, best first", () => {
+  const event = { title: "First Pulsar Discovered", keywords: ["pulsar", "Bell Burnell"] };
+  const sources = [
+    cachePage("https://example.org/unrelated", "A report about weather balloons and rainfall."),
+    cachePage("https://example.org/partial", "A strange radio signal was discovered by a telescope."),
+    cachePage("https://www.nature.com/pulsar", "Jocelyn Bell Burnell discovered the first pulsar."),
+    cachePage("https://example.org/pulsar", "The first pulsar was discovered by Bell Burnell."),
+  ];
+
+  assert.deepEqual(filterSourcesByKeywords(event, sources), ["https://www.nature.com/pulsar", "https://example.org/pulsar"]);
+});
+
+test("drops sources with very short content", () => {
+  const event = { title: "First Pulsar Discovered", keywords: ["pulsar", "Bell Burnell"] };
+  CONTENTS_CACHE.set("https://example.org/stub", { text: "first pulsar Bell Burnell", timestamp: Date.now() });
+  const sources = [
+    "https://example.org/stub",
+    cachePage("https://example.org/a", "The first pulsar was discovered by Bell Burnell."),
+    cachePage("https://example.org/b", "Bell Burnell noticed the pulsar signal first."),
+  ];
+
+  assert.deepEqual(filterSourcesByKeywords(event, sources), ["https://example.org/a", "https://example.org/b"]);
+});
+
+test("drops sources missing a numeric ID from the keywords", () => {
+  const event = { title: "New Shepard NS-36 Launch", keywords: ["NS-36", "New Shepard"] };
+  const sources = [
+    cachePage("https://example.org/ns35", "The NS-35 launch of New Shepard carried crew to space."),
+    cachePage("https://example.org/ns36", "The NS-36 launch of New Shepard carried crew to space."),
+    cachePage("https://example.org/ns-36-spaced", "Blue Origin flew NS 36 on its New Shepard launch vehicle."),
+  ];
+
+  assert.deepEqual(filterSourcesByKeywords(event, sources), ["https://example.org/ns36", "https://example.org/ns-36-spaced"]);
+});
+
+test("falls back to two sources with a single keyword match", () => {
+  const event = { title: "Quasar Catalogue Published", keywords: [] };
+  const sources = [
+    cachePage("https://example.org/a", "A quasar is a very bright galactic nucleus."),
+    cachePage("https://example.org/b", "The catalogue lists thousands of stars."),
+    cachePage("https://example.org/c", "Nothing relevant in this text at all."),
+    cachePage("https://example.org/d", "The new catalogue of radio sources."),
+  ];
+
+  assert.deepEqual(filterSourcesByKeywords(event, sources), ["https://example.org/a", "https://example.org/b"]);
+});
+
+test("reading cached pages does not count as a cache hit", () => {
+  const event = { title: "First Pulsar Discovered", keywords: ["pulsar", "Bell Burnell"] };
+  const sources = [
+    cachePage("https://example.org/a", "The first pulsar was discovered by Bell Burnell."),
+    cachePage("https://example.org/b", "Bell Burnell noticed the pulsar signal first."),
+    cachePage("https://example.org/c", "A report about weather balloons and rainfall."),
+  ];
+
+  filterSourcesByKeywords(event, sources);
+  assert.equal(METRICS.cacheHits.contents, undefined);
+});
+
+test("keeps the first two sources when none can be scored", () => {
+  const sources = ["https://example.org/a", "https://example.org/b", "https://example.org/c"];
+  assert.deepEqual(filterSourcesByKeywords({ title: "Quasar Catalogue Published", keywords: [] }, sources), sources.slice(0, 2));
+});
+
+// ---------- applyUniversalSourceCheck ----------
+test("leaves results alone for events without an ID", () => {
+  const results = [{ url: "https://example.org/ns-35" }, { url: "https://example.org/b" }];
+  assert.equal(applyUniversalSourceCheck({ title: "First Pulsar Discovered" }, results), results);
+});
+
+test("prefers results naming the event's ID", () => {
+  const event = { title: "New Shepard NS-36 Launch" };
+  const results = [
+    { url: "https://example.org/ns-35", text: "" },
+    { url: "https://example.org/launch", text: "New Shepard flew again" },
+    { url: "https://example.org/flight", text: "Mission NS-36 landed" },
+  ];
+
+  assert.deepEqual(applyUniversalSourceCheck(event, results).map(r => r.url), ["https://example.org/flight"]);
+});
+
+test("falls back to results without any ID", () => {
+  const event = { title: "New Shepard NS-36 Launch" };
+  const results = [
+    { url: "https://example.org/ns-35", text: "" },
+    { url: "https://example.org/launch", text: "New Shepard flew again" },
+  ];
+
+  assert.deepEqual(applyUniversalSourceCheck(event, results).map(r => r.url), ["https://example.org/launch"]);
+});
+
+test("keeps operator pages about another flight before giving up", () => {
+  const event = { title: "New Shepard NS-36 Launch" };
+  const results = [
+    { url: "https://example.org/ns-35", text: "" },
+    { url: "https://www.blueorigin.com/news/ns-35", text: "" },
+  ];
+
+  assert.deepEqual(applyUniversalSourceCheck(event, results).map(r => r.url), ["https://www.blueorigin.com/news/ns-35"]);
+});
+
+test("returns every result when all name another ID", () => {
+  const event = { title: "New Shepard NS-36 Launch" };
+  const results = [{ url: "https://example.org/ns-35" }, { url: "https://example.org/ns-34" }];
+
+  assert.equal(applyUniversalSourceCheck(event, results), results);
+});
+
+// ---------- Domain registry (through duplicate ranking) ----------
+function candidate(category, sources) {
+  return { category, event: { title: "First Pulsar Discovered", year: 1967, type: "discovery", sources, keywords: [], context: "" } };
+}
+
+test("history.com and historytoday.com do not count as sources", () => {
+  const hinted = candidate("hinted", ["https://www.history.com/a", "https://www.historytoday.com/b", "https://www.history.com/c"]);
+  const listed = candidate("listed", ["https://www.nature.com/articles/a"]);
+
+  assert.deepEqual(dedupeCandidates([hinted, listed]).map(c => c.category), ["listed"]);
+});
+
+test("only the listed European domains count as European sources", () => {
+  const com = candidate("bbc.com", ["https://www.bbc.com/news/a"]);
+  const uk = candidate("bbc.co.uk", ["https://www.bbc.co.uk/news/a"]);
+
+  assert.deepEqual(dedupeCandidates([com, uk]).map(c => c.category), ["bbc.co.uk"]);
+});
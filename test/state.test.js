@@ -0,0 +1,68 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { pipeline } = require("./helpers");
+
+const MODULE = path.join(__dirname, "..", "science-perplexity-exa.js");
+
+let stateDir;
+
+before(() => { stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "state-test-")); });
+after(() => fs.rmSync(stateDir, { recursive: true, force: true }));
+
+// A fresh process with the default state backend, as a record/replay run would start
+function inRun(body, extraEnv = {}) {
+  const env = { ...process.env, HTTP_MODE: "replay", STATE_DIR: stateDir, LOG_LEVEL: "silent", ...extraEnv };
+  delete env.STATE_BACKEND;
+  const script = `const p = require(${JSON.stringify(MODULE)});
+    const out = (${body})(p);
+    p.flushCaches();
+    process.stdout.write(JSON.stringify(out ?? null));`;
+  return JSON.parse(execFileSync(process.execPath, ["-e", script], { env, timeout: 30000, encoding: "utf8" }));
+}
+
+test("editorial state is kept apart from the provider caches", () => {
+  for (const store of pipeline.EDITORIAL_STATE) {
+    assert.ok(!pipeline.CACHES.includes(store), store.name);
+  }
+});
+
+test("the review queue persists across record/replay runs and never expires", () => {
+  inRun(`p => { p.REVIEW_QUEUE.set("10-08", { items: [{ id: "r1", status: "approved" }] }); }`);
+  const entry = inRun(`p => ({ value: p.REVIEW_QUEUE.peek("10-08"), expires: p.REVIEW_QUEUE.entries()[0].expires })`);
+
+  assert.deepEqual(entry, { value: { items: [{ id: "r1", status: "approved" }] }, expires: null });
+});
+
+test("the candidate pool persists across record/replay runs and never expires", () => {
+  inRun(`p => { p.CANDIDATE_POOL.set("01-04", { candidates: [{ event: { title: "Birth of Isaac Newton" } }] }); }`);
+  const entry = inRun(`p => ({ value: p.CANDIDATE_POOL.peek("01-04"), expires: p.CANDIDATE_POOL.entries()[0].expires })`);
+
+  assert.deepEqual(entry, { value: { candidates: [{ event: { title: "Birth of Isaac Newton" } }] }, expires: null });
+});
+
+test("the published ledger persists across record/replay runs and never expires", () => {
+  inRun(`p => { p.PUBLISHED_LEDGER.set("10-08", { events: [{ title: "First Pulsar Discovered" }] }); }`);
+  const entry = inRun(`p => ({ value: p.PUBLISHED_LEDGER.peek("10-08"), expires: p.PUBLISHED_LEDGER.entries()[0].expires })`);
+
+  assert.deepEqual(entry, { value: { events: [{ title: "First Pulsar Discovered" }] }, expires: null });
+});
+
+test("cache commands leave editorial state alone", () => {
+  const cacheDir = path.join(stateDir, "cache");
+  inRun(`p => {
+    p.REVIEW_QUEUE.set("10-08", { items: [] });
+    p.CONTENTS_CACHE.set("10-08 page", { text: "cached" });
+  }`, { CACHE_BACKEND: "file", CACHE_DIR: cacheDir });
+
+  const env = { ...process.env, CACHE_BACKEND: "file", CACHE_DIR: cacheDir, STATE_DIR: stateDir, LOG_LEVEL: "silent" };
+  delete env.STATE_BACKEND;
+  const out = execFileSync(process.execPath, [MODULE, "cache", "invalidate", "10-08"], { env, timeout: 30000, encoding: "utf8" });
+
+  assert.match(out, /contents: invalidated 1 entries/);
+  assert.doesNotMatch(out, /review|candidates|published/);
+  assert.ok(inRun(`p => !!p.REVIEW_QUEUE.peek("10-08")`));
+});
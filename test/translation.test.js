@@ -0,0 +1,83 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { pipeline, reset, fakeProviders, chatReply, verdictReply } = require("./helpers");
+
+const { translateEvent, processEvent, CONFIG, METRICS } = pipeline;
+
+const EVENT = {
+  title: "New Shepard NS-36 Launch",
+  type: "event",
+  date: "2025-10-08",
+  year: 2025,
+  calendar: "gregorian",
+  context: "Blue Origin flew NS-36 to 105 km with 6 passengers.",
+};
+
+const FAITHFUL = { title: "Start von New Shepard NS-36", context: "Blue Origin flog NS-36 mit 6 Passagieren auf 105 km." };
+
+const translation = reply => chatReply(JSON.stringify(reply));
+const prompts = calls => calls.map(c => c.payload.messages[1].content);
+
+beforeEach(reset);
+
+test("keeps a translation that carries every number, year and identifier", async () => {
+  const calls = fakeProviders({ openai: () => translation(FAITHFUL) });
+
+  assert.deepEqual(await translateEvent(EVENT, "de"), FAITHFUL);
+  assert.equal(calls.length, 1);
+  assert.equal(METRICS.translations.retried, 0);
+});
+
+test("retries a translation that dropped a number and names it in the prompt", async () => {
+  const calls = fakeProviders({
+    openai: (request, n) => translation(n === 1 ? { ...FAITHFUL, context: "Blue Origin flog NS-36 mit sechs Passagieren auf 105 km." } : FAITHFUL),
+  });
+
+  assert.deepEqual(await translateEvent(EVENT, "de"), FAITHFUL);
+  assert.equal(calls.length, 2);
+  assert.doesNotMatch(prompts(calls)[0], /previous translation lost/);
+  assert.match(prompts(calls)[1], /Your previous translation lost: 6\. Include them unchanged\./);
+  assert.equal(METRICS.translations.retried, 1);
+});
+
+test("gives up after a second translation that altered an identifier", async () => {
+  const calls = fakeProviders({
+    openai: () => translation({ title: "Start von New Shepard NS 36", context: "Blue Origin flog NS 36 mit 6 Passagieren auf 105 km." }),
+  });
+
+  assert.equal(await translateEvent(EVENT, "de"), null);
+  assert.equal(calls.length, 2);
+  assert.match(prompts(calls)[1], /lost: NS-36\./);
+});
+
+test("retries an unreadable reply", async () => {
+  const calls = fakeProviders({ openai: (request, n) => n === 1 ? chatReply("Hier ist die Übersetzung.") : translation(FAITHFUL) });
+
+  assert.deepEqual(await translateEvent(EVENT, "de"), FAITHFUL);
+  assert.equal(calls.length, 2);
+  assert.equal(METRICS.translations.retried, 1);
+});
+
+test("publishes the English original when a translation cannot be kept", async () => {
+  CONFIG.pipeline.checkSources = false;
+  CONFIG.archive.enabled = false;
+  CONFIG.translations.languages = ["de"];
+  const context = "Blue Origin flew the NS-36 mission of its New Shepard rocket to 105 km with 6 passengers aboard. ".repeat(8).trim();
+  const calls = fakeProviders({
+    perplexity: () => verdictReply({ verdict: "YES" }),
+    openai: ({ payload }) => payload.messages[0].content.includes("translator")
+      ? translation({ title: "Start von New Shepard", context: "Blue Origin flog mit Passagieren ins All." })
+      : chatReply(context),
+  });
+
+  const published = await processEvent({
+    ...EVENT, category: "Space", qid: null, context, keywords: ["New Shepard", "NS-36"],
+    sources: ["https://www.blueorigin.com/news/ns-36", "https://www.nasa.gov/ns-36", "https://en.wikipedia.org/wiki/NS-36"],
+  }, "October", "08");
+
+  assert.equal(published.title, EVENT.title);
+  assert.equal(published.context, context);
+  assert.equal(published.translations, undefined);
+  assert.equal(calls.filter(c => c.payload.messages[0].content.includes("translator")).length, 2);
+  assert.deepEqual(METRICS.translations, { translated: 0, retried: 1, failed: 1 });
+});
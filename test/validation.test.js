@@ -0,0 +1,412 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  pipeline, reset, fakeProviders, fastTimers, chatReply, verdictReply, wikidataEntity, onThisDayFeed, exaResults,
+} = require("./helpers");
+
+const { validateEventReality, METRICS, BUDGET, CACHES, CANDIDATE_POOL } = pipeline;
+
+const LONG_TEXT = "The widget effect was first described on October 8, 1905, when the laboratory published its measurements. ".repeat(3);
+
+function discovery(overrides = {}) {
+  return {
+    title: "Discovery of the Widget Effect",
+    type: "discovery",
+    date: "1905-10-08",
+    year: 1905,
+    calendar: "gregorian",
+    qid: null,
+    context: "Researchers described the widget effect for the first time.",
+    keywords: ["widget", "effect"],
+    sources: [],
+    ...overrides,
+  };
+}
+
+function birth(overrides = {}) {
+  return discovery({
+    title: "Birth of Ada Example",
+    type: "birthday",
+    date: "1879-10-08",
+    year: 1879,
+    qid: "Q4242",
+    context: "Ada Example, the physicist, was born.",
+    keywords: ["Ada Example", "physicist"],
+    ...overrides,
+  });
+}
+
+const reasons = result => result.tiers.map(t => `${t.tier}:${t.reason}`);
+
+// Answers the Tier 2 question with `verdict` and a year-correction rewrite with `rewrite`
+function perplexity(verdict, rewrite = "Rewritten context.") {
+  return ({ payload }) => payload.messages[1].content.startsWith("Rewrite")
+    ? chatReply(rewrite)
+    : verdictReply(verdict);
+}
+
+function exa({ search = [], contents = [] }) {
+  return ({ path }) => path === "/search" ? exaResults(search) : exaResults(contents);
+}
+
+beforeEach(reset);
+
+// ---------- Tier 0 ----------
+test("Tier 0 passes a birthday whose QID the feed lists for the same year", async () => {
+  fakeProviders({
+    wikimedia: () => onThisDayFeed({ births: [{ year: 1879, text: "Ada Example, physicist", pages: [["Ada Example", "Q4242"]] }] }),
+  });
+
+  const result = await validateEventReality(birth(), "October", "08");
+
+  assert.equal(result.valid, true);
+  assert.equal(result.method, "tier0-wiki-on-this-day");
+  assert.equal(result.reason, "wiki-on-this-day-qid-confirmed");
+});
+
+test("Tier 0 passes a birthday listed by name for the same year", async () => {
+  fakeProviders({
+    wikimedia: () => onThisDayFeed({ births: [{ year: 1879, text: "Ada Example, English physicist", pages: [] }] }),
+  });
+
+  const result = await validateEventReality(birth({ qid: null }), "October", "08");
+
+  assert.equal(result.valid, true);
+  assert.equal(result.reason, "wiki-on-this-day-name-confirmed");
+});
+
+test("Tier 0 year mismatch falls through to Perplexity", async () => {
+  const calls = fakeProviders({
+    wikimedia: () => onThisDayFeed({ births: [{ year: 1880, text: "Ada Example, English physicist", pages: [] }] }),
+    perplexity: perplexity({ verdict: "YES" }),
+  });
+
+  const result = await validateEventReality(birth({ qid: null }), "October", "08");
+
+  assert.equal(result.tiers[0].reason, "wiki-on-this-day-year-mismatch");
+  assert.equal(result.method, "tier2-perplexity");
+  assert.equal(calls.filter(c => c.provider === "perplexity").length, 1);
+});
+
+test("Tier 0 runs only for birthdays and deaths", async () => {
+  const calls = fakeProviders({ perplexity: perplexity({ verdict: "YES" }) });
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.method, "tier2-perplexity");
+  assert.deepEqual(calls.map(c => c.provider), ["perplexity"]);
+});
+
+// ---------- Tier 0.5 ----------
+test("Tier 0.5 passes when a Wikidata statement has the claimed date", async () => {
+  fakeProviders({
+    wikimedia: () => onThisDayFeed(),
+    wikidata: () => wikidataEntity("Q4242", { claims: { P569: [["+1879-10-08"]] } }),
+  });
+
+  const result = await validateEventReality(birth(), "October", "08");
+
+  assert.equal(result.valid, true);
+  assert.equal(result.method, "tier0.5-wikidata-claims");
+  assert.equal(result.reason, "wikidata-claim-confirmed");
+  assert.equal(METRICS.validation.wikidata_success, 1);
+});
+
+test("Tier 0.5 corrects the year when Wikidata has the same day in another year", async () => {
+  fakeProviders({
+    wikimedia: () => onThisDayFeed(),
+    wikidata: () => wikidataEntity("Q4242", { claims: { P569: [["+1878-10-08"]] } }),
+    perplexity: perplexity(null, "Ada Example was born in 1878."),
+  });
+  const event = birth();
+
+  const result = await validateEventReality(event, "October", "08");
+
+  assert.equal(result.valid, true);
+  assert.equal(result.method, "tier0.5-wikidata-year-corrected");
+  assert.equal(event.year, 1878);
+  assert.equal(event.date, "1878-10-08");
+  assert.equal(event.context, "Ada Example was born in 1878.");
+  assert.equal(METRICS.validation.wikidata_year_corrected, 1);
+});
+
+test("Tier 0.5 rejects a person dated to another day and pools them for that day", async () => {
+  fakeProviders({
+    wikimedia: () => onThisDayFeed(),
+    wikidata: () => wikidataEntity("Q4242", { claims: { P569: [["+1879-10-18"]] } }),
+  });
+
+  const result = await validateEventReality(birth(), "October", "08");
+
+  assert.equal(result.valid, false);
+  assert.equal(result.method, "tier0.5-wikidata-claims");
+  assert.equal(result.reason, "date-rehomed");
+  assert.equal(CANDIDATE_POOL.peek("10-18").candidates.length, 1);
+});
+
+test("Tier 0.5 date conflicts on other events fall through to Perplexity", async () => {
+  fakeProviders({
+    wikidata: () => wikidataEntity("Q77", { claims: { P575: [["+1905-11-02"]] } }),
+    perplexity: perplexity({ verdict: "YES" }),
+  });
+
+  const result = await validateEventReality(discovery({ qid: "Q77" }), "October", "08");
+
+  assert.equal(result.tiers[0].reason, "wikidata-date-conflict");
+  assert.equal(result.method, "tier2-perplexity");
+  assert.equal(result.valid, true);
+});
+
+test("Tier 0.5 without day-precise statements falls through", async () => {
+  fakeProviders({
+    wikidata: () => wikidataEntity("Q77", { claims: { P575: [["+1905-00-00", 9]] } }),
+    perplexity: perplexity({ verdict: "YES" }),
+  });
+
+  const result = await validateEventReality(discovery({ qid: "Q77" }), "October", "08");
+
+  assert.equal(result.tiers[0].reason, "wikidata-imprecise");
+  assert.equal(result.method, "tier2-perplexity");
+});
+
+// ---------- Tier 1 ----------
+function articleProviders(text, openai) {
+  return fakeProviders({
+    wikimedia: () => onThisDayFeed(),
+    wikidata: () => wikidataEntity("Q4242", { title: "Ada Example" }),
+    exa: exa({ search: [{ id: "wiki-1", url: "https://en.wikipedia.org/wiki/Ada_Example" }], contents: [{ id: "wiki-1", text }] }),
+    ...(openai && { openai }),
+  });
+}
+
+test("Tier 1 passes when the Wikipedia article names the person", async () => {
+  articleProviders("Ada Example (8 October 1879 – 1950) was a physicist.");
+
+  const result = await validateEventReality(birth(), "October", "08");
+
+  assert.deepEqual(reasons(result), ["0:not-on-wiki-date-page", "0.5:wikidata-no-date-claims", "1:wikipedia-article-name-confirmed"]);
+  assert.equal(result.method, "tier1-wiki-article");
+  assert.equal(result.valid, true);
+});
+
+test("Tier 1 passes on the date pattern when the name is not in the article", async () => {
+  articleProviders("A physicist born on October 8 in a small town.");
+
+  const result = await validateEventReality(birth({ title: "Birth of A. Example" }), "October", "08");
+
+  assert.equal(result.reason, "wikipedia-article-confirmed");
+});
+
+test("Tier 1 falls back to GPT and passes on YES", async () => {
+  const calls = articleProviders("A physicist of the nineteenth century.", () => chatReply("YES"));
+
+  const result = await validateEventReality(birth({ title: "Birth of A. Example" }), "October", "08");
+
+  assert.equal(result.reason, "wikipedia-article-gpt-confirmed");
+  assert.equal(calls.filter(c => c.provider === "openai")[0].payload.model, "gpt-4o-mini");
+});
+
+test("Tier 1 rejects when neither the article nor GPT confirms the date", async () => {
+  const calls = articleProviders("A physicist of the nineteenth century.", () => chatReply("NO"));
+
+  const result = await validateEventReality(birth({ title: "Birth of A. Example" }), "October", "08");
+
+  assert.equal(result.valid, false);
+  assert.equal(result.method, "tier1-wiki-article");
+  assert.equal(result.reason, "wiki-date-mismatch");
+  assert.equal(calls.filter(c => c.provider === "perplexity").length, 0);
+});
+
+// ---------- Tier 2 / 2.5 ----------
+test("Tier 2 passes on a Perplexity YES", async () => {
+  fakeProviders({ perplexity: perplexity({ verdict: "YES" }) });
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.valid, true);
+  assert.equal(result.reason, "perplexity-confirmed");
+  assert.equal(METRICS.validation.tier2_yes, 1);
+});
+
+test("Tier 2.5 corrects the year when Perplexity gives the same day in another year", async () => {
+  fakeProviders({ perplexity: perplexity({ verdict: "NO", actualDate: "October 8, 1906" }, "The widget effect was described in 1906.") });
+  const event = discovery();
+
+  const result = await validateEventReality(event, "October", "08");
+
+  assert.equal(result.valid, true);
+  assert.equal(result.method, "tier2-perplexity-year-corrected");
+  assert.equal(event.year, 1906);
+  assert.equal(event.context, "The widget effect was described in 1906.");
+  assert.equal(METRICS.validation.tier2_year_corrected, 1);
+});
+
+test("Tier 2.5 pools an event Perplexity places on another day", async () => {
+  fakeProviders({ perplexity: perplexity({ verdict: "NO", actualDate: "November 2, 1905" }) });
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, "date-rehomed");
+  assert.equal(METRICS.pool.added, 1);
+});
+
+test("Tier 2 rejects on a NO without a date", async () => {
+  fakeProviders({ perplexity: perplexity({ verdict: "NO" }) });
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.valid, false);
+  assert.equal(result.method, "tier2-perplexity");
+  assert.equal(result.reason, "perplexity-rejected");
+});
+
+test("Tier 2 UNCLEAR skips Tier 3 when the budget is low", async () => {
+  const calls = fakeProviders({ perplexity: perplexity({ verdict: "UNCLEAR" }) });
+  BUDGET.run = 1;
+  BUDGET.spent = 0.9;
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.reason, "budget-tier3-skipped");
+  assert.equal(METRICS.budget.tier3_skipped, 1);
+  assert.equal(calls.filter(c => c.provider === "exa").length, 0);
+});
+
+test("a malformed Perplexity reply is treated as UNCLEAR and not cached", async () => {
+  fakeProviders({
+    perplexity: () => chatReply("I could not find anything about this."),
+    exa: exa({ search: [] }),
+  });
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.tiers[0].format, "malformed");
+  assert.equal(result.tiers[1].tier, "3");
+  assert.equal(METRICS.validation.tier2_malformed, 1);
+  assert.equal(CACHES.find(c => c.name === "perplexity_validation").size, 0);
+});
+
+test("Perplexity retries failed requests with exponential backoff", async t => {
+  const delays = fastTimers(t);
+  fakeProviders({
+    perplexity: (req, n) => n < 3 ? { status: 503, body: JSON.stringify({ error: { message: "overloaded" } }) } : verdictReply({ verdict: "YES" }),
+  });
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.reason, "perplexity-confirmed");
+  assert.deepEqual(delays, [1000, 2000]);
+  assert.equal(METRICS.apiCalls.perplexity, 1);
+});
+
+test("Perplexity gives up after three attempts and Tier 3 decides", async t => {
+  const delays = fastTimers(t);
+  const calls = fakeProviders({
+    perplexity: () => { throw new Error("ECONNRESET"); },
+    exa: exa({ search: Array.from({ length: 5 }, (_, i) => ({ url: `https://www.nature.com/articles/widget-${i}`, text: LONG_TEXT })) }),
+  });
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(calls.filter(c => c.provider === "perplexity").length, 3);
+  assert.deepEqual(delays, [1000, 2000]);
+  assert.match(result.tiers[0].reason, /ECONNRESET/);
+  assert.equal(result.method, "tier3-exa-include-text");
+  assert.equal(result.valid, true);
+});
+
+// ---------- Tier 3 ----------
+function unclear(exaClient, openai) {
+  return fakeProviders({
+    perplexity: perplexity({ verdict: "UNCLEAR", confidence: "LOW" }),
+    exa: exaClient,
+    ...(openai && { openai }),
+  });
+}
+
+const page = (url, text = LONG_TEXT) => ({ url, text });
+
+test("Tier 3 passes on five results from trusted domains", async () => {
+  unclear(exa({ search: Array.from({ length: 5 }, (_, i) => page(`https://www.nature.com/articles/widget-${i}`)) }));
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.valid, true);
+  assert.equal(result.reason, "exa-strong-signal");
+});
+
+test("Tier 3 passes on three results with a high-trust source", async () => {
+  unclear(exa({ search: [page("https://www.nature.com/a"), page("https://example.org/b"), page("https://example.net/c")] }));
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.reason, "exa-good-signal");
+});
+
+test("Tier 3 passes when GPT confirms a weaker result", async () => {
+  const calls = unclear(exa({ search: [page("https://example.org/widget")] }), () => chatReply("YES"));
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.valid, true);
+  assert.equal(result.reason, "exa-gpt-verified");
+  assert.equal(calls.filter(c => c.provider === "openai").length, 1);
+});
+
+test("Tier 3 fetches missing page text before asking GPT", async () => {
+  const calls = unclear(exa({ search: [{ url: "https://example.org/widget" }], contents: [{ text: LONG_TEXT }] }), () => chatReply("YES"));
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.reason, "exa-gpt-verified");
+  assert.deepEqual(calls.filter(c => c.provider === "exa").map(c => c.path), ["/search", "/contents"]);
+});
+
+test("Tier 3 retries without results and then rejects", async t => {
+  const delays = fastTimers(t);
+  unclear(exa({ search: [] }));
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, "exa-no-results");
+  assert.equal(result.tiers[1].attempts, 3);
+  assert.deepEqual(delays, [1000, 1000]);
+  assert.equal(METRICS.validation.tier3_retries, 2);
+});
+
+test("Tier 3 retries when GPT does not confirm and then rejects", async t => {
+  fastTimers(t);
+  const calls = unclear(exa({ search: [page("https://example.org/widget")] }), () => chatReply("NO"));
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.reason, "exa-gpt-failed");
+  assert.equal(result.tiers[1].gptAnswers.length, 3);
+  assert.equal(calls.filter(c => c.provider === "openai").length, 3);
+});
+
+test("Tier 3 recovers from a failed search on retry", async t => {
+  fastTimers(t);
+  unclear((req, n) => {
+    if (n === 1) throw new Error("socket hang up");
+    return exaResults(Array.from({ length: 5 }, (_, i) => page(`https://www.nature.com/articles/widget-${i}`)));
+  });
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.reason, "exa-strong-signal");
+  assert.equal(result.tiers[1].attempts, 2);
+  assert.equal(METRICS.validation.tier3_retries, 1);
+});
+
+test("Tier 3 rejects when every search fails", async t => {
+  fastTimers(t);
+  const calls = unclear(() => { throw new Error("socket hang up"); });
+
+  const result = await validateEventReality(discovery(), "October", "08");
+
+  assert.equal(result.reason, "exa-error");
+  assert.equal(calls.filter(c => c.provider === "exa").length, 3);
+});
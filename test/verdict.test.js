@@ -0,0 +1,109 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { pipeline } = require("./helpers");
+
+const { parseVerdict } = pipeline;
+
+test("reads a strict JSON verdict", () => {
+  const reply = JSON.stringify({
+    verdict: "NO",
+    confidence: "HIGH",
+    actual_date: "March 14, 1879",
+    reason: "Born in Ulm on 14 March.",
+    sources: ["https://en.wikipedia.org/wiki/Albert_Einstein"],
+  });
+
+  assert.deepEqual(parseVerdict(reply), {
+    verdict: "NO",
+    confidence: "HIGH",
+    actualDate: "March 14, 1879",
+    reason: "Born in Ulm on 14 March.",
+    sources: ["https://en.wikipedia.org/wiki/Albert_Einstein"],
+    format: "json",
+  });
+});
+
+test("keeps the actual date only for a NO", () => {
+  const reply = JSON.stringify({ verdict: "YES", confidence: "MEDIUM", actual_date: "March 14, 1879", reason: "Matches.", sources: [] });
+  assert.equal(parseVerdict(reply).actualDate, null);
+});
+
+test("reads JSON inside code fences and prose", () => {
+  const reply = "Here is my answer:\n```json\n{\"verdict\": \"YES\", \"confidence\": \"HIGH\", \"actual_date\": null, \"reason\": \"Confirmed.\", \"sources\": []}\n```";
+  const result = parseVerdict(reply);
+  assert.equal(result.verdict, "YES");
+  assert.equal(result.format, "json");
+});
+
+test("reads near-miss JSON loosely", () => {
+  const result = parseVerdict('{"Verdict": "no", "Confidence": "medium", "Actual-Date": "October 8, 1906", "Reason": "One year later.", "Sources": "https://example.org/a, https://example.org/b"}');
+  assert.deepEqual(result, {
+    verdict: "NO",
+    confidence: "MEDIUM",
+    actualDate: "October 8, 1906",
+    reason: "One year later.",
+    sources: ["https://example.org/a", "https://example.org/b"],
+    format: "json-loose",
+  });
+});
+
+test("reads JSON with trailing commas", () => {
+  const result = parseVerdict('{\n  "verdict": "YES",\n  "confidence": "HIGH",\n  "reason": "Confirmed by the archive",\n  "sources": ["https://example.org/a",],\n}');
+  assert.equal(result.verdict, "YES");
+  assert.equal(result.confidence, "HIGH");
+  assert.deepEqual(result.sources, ["https://example.org/a"]);
+  assert.equal(result.format, "json-loose");
+});
+
+test("reads the old line format", () => {
+  const reply = [
+    "**VERDICT:** NO",
+    "CONFIDENCE: LOW",
+    "ACTUAL_DATE: 25 December 1642 (O.S.)",
+    "REASON: Julian calendar date.",
+    "SOURCES: https://example.org/newton",
+  ].join("\n");
+
+  assert.deepEqual(parseVerdict(reply), {
+    verdict: "NO",
+    confidence: "LOW",
+    actualDate: "25 December 1642 (O.S.)",
+    reason: "Julian calendar date.",
+    sources: ["https://example.org/newton"],
+    format: "text",
+  });
+});
+
+test("treats an empty actual date as none", () => {
+  assert.equal(parseVerdict("VERDICT: NO\nACTUAL_DATE: N/A\nREASON: Wrong day.").actualDate, null);
+  assert.equal(parseVerdict("VERDICT: NO\nACTUAL_DATE: [null]").actualDate, null);
+});
+
+test("defaults a missing confidence to LOW", () => {
+  assert.equal(parseVerdict("VERDICT: YES").confidence, "LOW");
+});
+
+test("does not read UNKNOWN or NOT SURE as a verdict", () => {
+  for (const answer of ["UNKNOWN", "NOT SURE", "Nope"]) {
+    const result = parseVerdict(`VERDICT: ${answer}\nREASON: Could not verify.`);
+    assert.equal(result.format, "malformed", answer);
+    assert.equal(result.verdict, "UNCLEAR", answer);
+  }
+});
+
+test("does not read an echoed prompt template as a verdict", () => {
+  const result = parseVerdict('{\n  "verdict": "YES" | "NO" | "UNCLEAR",\n  "confidence": "HIGH" | "MEDIUM" | "LOW"\n}');
+  assert.equal(result.format, "malformed");
+});
+
+test("counts a reply without any verdict as malformed", () => {
+  assert.deepEqual(parseVerdict("I am sorry, I cannot browse the web right now."), {
+    verdict: "UNCLEAR",
+    confidence: "LOW",
+    actualDate: null,
+    reason: "Malformed verdict",
+    sources: [],
+    format: "malformed",
+  });
+  assert.equal(parseVerdict("").format, "malformed");
+});
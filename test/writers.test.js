@@ -0,0 +1,104 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { pipeline } = require("./helpers");
+
+const { OUTPUT_WRITERS } = pipeline;
+
+const EVENT = {
+  title: 'The "Widget", Effect <Revisited> & More',
+  date: "10-08",
+  year: 1905,
+  calendar: "gregorian",
+  category: "Physics",
+  type: "event",
+  qid: "Q42",
+  context: "Schrödinger measured it twice, then published;\nsee the lab notes\\appendix.",
+  sources: ["https://example.org/a?x=1&y=2", "https://example.org/b"],
+  keywords: ["widget", "=SUM(A1)"],
+  validation: { method: "tier2-perplexity", reason: "perplexity-confirmed", tiers: [] },
+};
+
+const FORMULA = { ...EVENT, title: '=HYPERLINK("x")', year: -44, qid: null, context: "Short." };
+
+function envelope(events) {
+  return {
+    schemaVersion: "1.4.0",
+    date: "10-08",
+    vertical: "science",
+    run: { id: "run1", generatedAt: "2026-10-08T12:00:00.000Z", generator: "science-event-validation/7.2" },
+    events,
+  };
+}
+
+test("csv quotes commas, quotes and newlines and defuses formulas", () => {
+  assert.equal(OUTPUT_WRITERS.csv.render(envelope([EVENT, FORMULA])), [
+    "date,year,calendar,title,type,category,qid,context,sources,keywords,validation_method,validation_reason",
+    '10-08,1905,gregorian,"The ""Widget"", Effect <Revisited> & More",event,Physics,Q42,"Schrödinger measured it twice, then published;\nsee the lab notes\\appendix.",https://example.org/a?x=1&y=2 | https://example.org/b,widget; =SUM(A1),tier2-perplexity,perplexity-confirmed',
+    `10-08,-44,gregorian,"'=HYPERLINK(""x"")",event,Physics,,Short.,https://example.org/a?x=1&y=2 | https://example.org/b,widget; =SUM(A1),tier2-perplexity,perplexity-confirmed`,
+    "",
+  ].join("\r\n"));
+});
+
+test("ics escapes text, folds at 75 octets and ends lines with CRLF", () => {
+  const year = new Date().getFullYear();
+  const ics = OUTPUT_WRITERS.ics.render(envelope([EVENT]));
+
+  assert.equal(ics, [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//science-event-validation/7.2//science events//EN",
+    "CALSCALE:GREGORIAN",
+    "BEGIN:VEVENT",
+    "UID:fad8db769bf9ecb1@science-events",
+    "DTSTAMP:20261008T120000Z",
+    `DTSTART;VALUE=DATE:${year}1008`,
+    "RRULE:FREQ=YEARLY",
+    "TRANSP:TRANSPARENT",
+    'SUMMARY:The "Widget"\\, Effect <Revisited> & More (1905)',
+    "DESCRIPTION:October 8\\, 1905\\n\\nSchrödinger measured it twice\\, then publi",
+    " shed\\;\\nsee the lab notes\\\\appendix.\\n\\nSources:\\nhttps://example.org/a?x=",
+    " 1&y=2\\nhttps://example.org/b",
+    "URL:https://example.org/a?x=1&y=2",
+    "CATEGORIES:Physics",
+    "END:VEVENT",
+    "END:VCALENDAR",
+    "",
+  ].join("\r\n"));
+  assert.ok(ics.split("\r\n").every(line => Buffer.byteLength(line) <= 75));
+  assert.doesNotMatch(ics.replace(/\r\n/g, ""), /[\r\n]/);
+});
+
+test("rss escapes XML in titles, links and descriptions", () => {
+  assert.equal(OUTPUT_WRITERS.rss.render(envelope([EVENT])), [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0">',
+    "  <channel>",
+    "    <title>science events on October 8</title>",
+    `    <link>${pipeline.CONFIG.output.feedLink}</link>`,
+    "    <description>Validated science anniversaries for October 8</description>",
+    "    <lastBuildDate>Thu, 08 Oct 2026 12:00:00 GMT</lastBuildDate>",
+    "    <generator>science-event-validation/7.2</generator>",
+    "    <item>",
+    "      <title>1905: The &quot;Widget&quot;, Effect &lt;Revisited&gt; &amp; More</title>",
+    "      <link>https://example.org/a?x=1&amp;y=2</link>",
+    "      <description>Schrödinger measured it twice, then published;\nsee the lab notes\\appendix.</description>",
+    "      <category>Physics</category>",
+    '      <guid isPermaLink="false">fad8db769bf9ecb1</guid>',
+    "      <pubDate>Thu, 08 Oct 2026 12:00:00 GMT</pubDate>",
+    "    </item>",
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n"));
+});
+
+test("jsonl writes one self-contained object per line", () => {
+  const lines = OUTPUT_WRITERS.jsonl.render(envelope([EVENT, FORMULA])).split("\n");
+
+  assert.equal(lines.pop(), "");
+  assert.deepEqual(lines.map(line => JSON.parse(line)), [
+    { schemaVersion: "1.4.0", vertical: "science", runId: "run1", ...EVENT },
+    { schemaVersion: "1.4.0", vertical: "science", runId: "run1", ...FORMULA },
+  ]);
+  assert.equal(OUTPUT_WRITERS.jsonl.render(envelope([])), "");
+});